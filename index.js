@@ -4,6 +4,7 @@
  */
 module.exports = {
     CommandHandler: require('./src/CommandHandler'),
+    CommandType: require('./src/CommandType'),
     InteractionManager: require('./src/InteractionManager'),
     SuiteEmbed: require('./src/SuiteEmbed'),
     PermissionUtils: require('./src/PermissionUtils'),
@@ -11,4 +12,20 @@ module.exports = {
     Logger: require('./src/Logger'),
     PaginateContent: require('./src/PaginateContent'),
     CreatePagination: require('./src/CreatePagination'),
+    ArgumentParser: require('./src/ArgumentParser'),
+    CooldownManager: require('./src/CooldownManager'),
+    ConcurrencyManager: require('./src/ConcurrencyManager'),
+    MemoryCooldownStore: require('./src/MemoryCooldownStore'),
+    I18n: require('./src/I18n'),
+    GuildSettingsManager: require('./src/GuildSettingsManager'),
+    MemorySettingsStore: require('./src/MemorySettingsStore'),
+    JsonSettingsStore: require('./src/JsonSettingsStore'),
+    EventHandler: require('./src/EventHandler'),
+    Metrics: require('./src/Metrics'),
+    HybridContext: require('./src/HybridContext'),
+    Testing: require('./src/Testing'),
+    CommandValidator: require('./src/CommandValidator'),
+    ErrorHandler: require('./src/ErrorHandler'),
+    DocsGenerator: require('./src/DocsGenerator'),
+    ...require('./src/Errors'), // SuiteError, UserError, InternalError, CommandTimeoutError, createErrorId
 };
\ No newline at end of file
@@ -0,0 +1,288 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+const CommonUtils = require('./CommonUtils');
+const I18n = require('./I18n');
+
+const BOOLEAN_VALUES = {
+    true: true, yes: true, y: true, on: true, 1: true,
+    false: false, no: false, n: false, off: false, 0: false,
+};
+
+/**
+ * Argument type resolvers. Each receives the raw token and the message,
+ * and returns the parsed value or null if the token is invalid for that type.
+ */
+const types = {
+    string: (token, message, def) => {
+        if (def.choices && !def.choices.some(c => c.toLowerCase() === token.toLowerCase())) return null;
+        if (def.min !== undefined && token.length < def.min) return null;
+        if (def.max !== undefined && token.length > def.max) return null;
+        return token;
+    },
+    integer: (token, message, def) => {
+        if (!/^-?\d+$/.test(token)) return null;
+        return inRange(parseInt(token, 10), def);
+    },
+    number: (token, message, def) => {
+        const value = Number(token);
+        if (token.trim() === '' || !Number.isFinite(value)) return null;
+        return inRange(value, def);
+    },
+    boolean: token => BOOLEAN_VALUES[token.toLowerCase()] ?? null,
+    user: (token, message) => (message.guild ? CommonUtils.resolveUser(message.guild, token) : fetchUser(message.client, token)),
+    member: (token, message) => CommonUtils.resolveMember(message.guild, token),
+    role: (token, message) => CommonUtils.resolveRole(message.guild, token),
+    channel: (token, message) => CommonUtils.resolveChannel(message.guild, token),
+    mentionable: async (token, message) => CommonUtils.resolveRole(message.guild, token) ?? CommonUtils.resolveMember(message.guild, token),
+    duration: (token, message, def) => {
+        const value = CommonUtils.parseDuration(token);
+        return value === null ? null : inRange(value, def);
+    },
+    rest: token => token,
+};
+
+// Argument types of slash command option types (see fromApplicationCommandOptions). Attachments are read from the message instead.
+const OPTION_TYPES = {
+    [ApplicationCommandOptionType.String]: 'string',
+    [ApplicationCommandOptionType.Integer]: 'integer',
+    [ApplicationCommandOptionType.Number]: 'number',
+    [ApplicationCommandOptionType.Boolean]: 'boolean',
+    [ApplicationCommandOptionType.User]: 'user',
+    [ApplicationCommandOptionType.Channel]: 'channel',
+    [ApplicationCommandOptionType.Role]: 'role',
+    [ApplicationCommandOptionType.Mentionable]: 'mentionable',
+};
+
+/**
+ * Fetches a user by ID or mention. Used in DMs, where there is no guild to resolve users through.
+ * @param {import('discord.js').Client} client The client.
+ * @param {string} token The raw token.
+ * @returns {Promise<import('discord.js').User | null>} The user, or null if the token is no user ID or mention, or the user doesn't exist.
+ */
+async function fetchUser(client, token) {
+    const match = token.match(/^(?:<@!?(\d+)>|(\d+))$/);
+    return match ? client.users.fetch(match[1] || match[2]).catch(() => null) : null;
+}
+
+/**
+ * Applies optional `min`/`max` bounds of an argument definition to a numeric value.
+ * @param {number} value The parsed value.
+ * @param {object} def The argument definition.
+ * @returns {number | null} The value, or null if it is out of range.
+ */
+function inRange(value, def) {
+    if (def.min !== undefined && value < def.min) return null;
+    if (def.max !== undefined && value > def.max) return null;
+    return value;
+}
+
+/**
+ * Parses legacy command arguments against a declared schema.
+ *
+ * Commands opt in by exporting `args` (positional arguments) and/or `flags` (`--flag` / `--key=value` options):
+ * ```js
+ * args: [
+ *     { name: 'target', type: 'member' },
+ *     { name: 'duration', type: 'duration', default: 60000 },
+ *     { name: 'reason', type: 'rest', optional: true }
+ * ],
+ * flags: [{ name: 'silent', type: 'boolean' }]
+ * ```
+ */
+const ArgumentParser = {
+    types,
+
+    /**
+     * Splits raw input into tokens. Double quotes group words into one token, also inside
+     * a token (`--reason="two words"`). Single quotes are left alone so apostrophes keep working.
+     * @param {string} input The raw argument string (without prefix and command name).
+     * @returns {{ value: string, raw: string, index: number }[]} The tokens, with quotes removed from `value` and their
+     *          position in the input as `index`.
+     */
+    tokenize(input) {
+        const pattern = /(?:[^\s"]+|"[^"]*"|")+/g;
+        return [...input.matchAll(pattern)].map(match => ({ value: match[0].replace(/"([^"]*)"/g, '$1'), raw: match[0], index: match.index }));
+    },
+
+    /**
+     * Parses raw input according to a command's `args` and `flags` definitions.
+     * @param {string} input The raw argument string (without prefix and command name).
+     * @param {object} command The command object declaring `args` and/or `flags`.
+     * @param {import('discord.js').Message} message The message, used to resolve mentions.
+     * @param {object} [options={}] Options.
+     * @param {I18n} [options.i18n] Translations for error messages (`suite.arguments.*`). Defaults to the built-in ones.
+     * @param {string} [options.locale] Locale for error messages.
+     * @returns {Promise<{ values: object, error: string | null }>} Named values (arguments and flags), or an error describing the problem.
+     */
+    async parse(input, command, message, options = {}) {
+        const i18n = options.i18n || I18n.getDefault();
+        const t = (key, vars) => i18n.t(`suite.arguments.${key}`, options.locale, vars);
+        const argDefs = command.args || [];
+        const flagDefs = command.flags || [];
+        const values = {};
+        const positional = [];
+        const skipped = []; // Flag tokens (and '--'), left out of a rest argument
+
+        // Separate flags from positional tokens ('--' ends flag parsing)
+        let flagsEnded = false;
+        for (const token of this.tokenize(input)) {
+            const flagMatch = !flagsEnded && token.raw.startsWith('--') && token.value.match(/^--([\w-]+)(?:=([\s\S]*))?$/);
+            if (token.raw === '--' && !flagsEnded) {
+                flagsEnded = true;
+                skipped.push(token);
+                continue;
+            }
+            if (!flagMatch) {
+                positional.push(token);
+                continue;
+            }
+            skipped.push(token);
+
+            const [, flagName, flagValue] = flagMatch;
+            const def = flagDefs.find(f => f.name === flagName || f.aliases?.includes(flagName));
+            if (!def) return { values, error: t('unknownOption', { name: flagName }) };
+
+            const type = def.type || 'boolean';
+            if (flagValue === undefined) {
+                if (type !== 'boolean') return { values, error: t('optionValueRequired', { name: def.name, type }) };
+                values[def.name] = true;
+                continue;
+            }
+            const parsed = await this._resolve(type, flagValue, message, def);
+            if (parsed === null) return { values, error: t('invalidOption', { name: def.name, expected: this._describe(type, def, t) }) };
+            values[def.name] = parsed;
+        }
+
+        // Flags that were not provided fall back to their default (booleans default to false)
+        for (const def of flagDefs) {
+            if (values[def.name] === undefined) values[def.name] = def.default ?? ((def.type || 'boolean') === 'boolean' ? false : null);
+        }
+
+        // Positional arguments, in declaration order
+        let index = 0;
+        for (const def of argDefs) {
+            const type = def.type || 'string';
+            const optional = def.optional || def.default !== undefined;
+
+            if (index >= positional.length) {
+                if (!optional) return { values, error: t('missing', { name: def.name }) };
+                values[def.name] = typeof def.default === 'function' ? await def.default(message) : (def.default ?? null);
+                continue;
+            }
+
+            let token;
+            if (type === 'rest') {
+                token = this._sliceRest(input, positional.slice(index), skipped);
+                index = positional.length;
+            } else {
+                token = positional[index++].value;
+            }
+
+            const parsed = await this._resolve(type, token, message, def);
+            if (parsed === null) return { values, error: t('invalid', { name: def.name, expected: this._describe(type, def, t) }) };
+            values[def.name] = parsed;
+        }
+
+        if (index < positional.length && argDefs.length > 0) {
+            return { values, error: t('tooMany', { input: positional.slice(index).map(token => token.raw).join(' ') }) };
+        }
+        return { values, error: null };
+    },
+
+    /**
+     * Converts slash command options to argument definitions, so hybrid commands parse prefix input
+     * with the names, types, choices and bounds of their slash options. A last string option without
+     * choices or length limits takes the rest of the input, so it doesn't need quotes.
+     * Attachment options are skipped; prefix commands read them from the message's attachments.
+     * @param {object[]} [options=[]] The options in API format (`data.toJSON().options`).
+     * @returns {object[]} The argument definitions (see `parse`).
+     */
+    fromApplicationCommandOptions(options = []) {
+        const defs = options.filter(option => OPTION_TYPES[option.type]).map(option => {
+            const def = { name: option.name, type: OPTION_TYPES[option.type], optional: !option.required };
+            if (def.type === 'string') {
+                if (option.choices?.length) def.choices = option.choices.map(choice => choice.value);
+                if (option.min_length !== undefined) def.min = option.min_length;
+                if (option.max_length !== undefined) def.max = option.max_length;
+            } else {
+                if (option.min_value !== undefined) def.min = option.min_value;
+                if (option.max_value !== undefined) def.max = option.max_value;
+            }
+            return def;
+        });
+        const last = defs[defs.length - 1];
+        if (last?.type === 'string' && !last.choices && last.min === undefined && last.max === undefined) last.type = 'rest';
+        return defs;
+    },
+
+    /**
+     * Builds a usage string from a command's argument definitions, e.g. `!ban <target> [reason...] [--silent]`.
+     * @param {object} command The command object.
+     * @param {string} [prefix=''] The prefix to show.
+     * @returns {string} The usage string.
+     */
+    formatUsage(command, prefix = '') {
+        if (command.usage) return `${prefix}${command.name} ${command.usage}`.trim();
+        const parts = [`${prefix}${command.name}`];
+        for (const def of command.args || []) {
+            const label = def.type === 'rest' ? `${def.name}...` : def.name;
+            parts.push(def.optional || def.default !== undefined ? `[${label}]` : `<${label}>`);
+        }
+        for (const def of command.flags || []) {
+            const type = def.type || 'boolean';
+            parts.push(type === 'boolean' ? `[--${def.name}]` : `[--${def.name}=<${type}>]`);
+        }
+        return parts.join(' ');
+    },
+
+    /**
+     * Resolves a token with the resolver for the given type.
+     * @private
+     */
+    async _resolve(type, token, message, def) {
+        const resolver = typeof type === 'function' ? type : types[type];
+        if (!resolver) throw new Error(`Unknown argument type "${type}" for "${def.name}".`);
+        const value = await resolver(token, message, def);
+        return value === undefined ? null : value;
+    },
+
+    /**
+     * Describes the expected input for an error message.
+     * @param {string | Function} type The argument type.
+     * @param {object} def The argument definition.
+     * @param {Function} t Translates `suite.arguments.*` keys.
+     * @private
+     */
+    _describe(type, def, t) {
+        if (typeof type === 'function') return t('custom');
+        if (def.choices) return t('oneOf', { choices: def.choices.map(c => `\`${c}\``).join(', ') });
+        let range = '';
+        if (def.min !== undefined && def.max !== undefined) range = ` ${t('range', { min: def.min, max: def.max })}`;
+        else if (def.min !== undefined) range = ` ${t('min', { min: def.min })}`;
+        else if (def.max !== undefined) range = ` ${t('max', { max: def.max })}`;
+        return `${t(`types.${type}`)}${range}`;
+    },
+
+    /**
+     * Gets the text of a rest argument from the input, so its spacing and line breaks are kept.
+     * Flags between its tokens are cut out, with the whitespace before them.
+     * @param {string} input The raw argument string.
+     * @param {{ raw: string, index: number }[]} tokens The positional tokens of the rest argument.
+     * @param {{ raw: string, index: number }[]} skipped The flag tokens, in input order.
+     * @returns {string} The text.
+     * @private
+     */
+    _sliceRest(input, tokens, skipped) {
+        const last = tokens[tokens.length - 1];
+        const end = last.index + last.raw.length;
+        let from = tokens[0].index;
+        let text = '';
+        for (const token of skipped) {
+            if (token.index < from || token.index > end) continue;
+            text += input.slice(from, token.index).trimEnd();
+            from = token.index + token.raw.length;
+        }
+        return text + input.slice(from, end);
+    },
+};
+
+module.exports = ArgumentParser;
@@ -1,16 +1,49 @@
 const fs = require('fs');
 const path = require('path');
-const { Collection, REST, Routes, InteractionType, ApplicationCommandType, PermissionsBitField } = require('discord.js');
+const { pathToFileURL } = require('url');
+const { Collection, REST, Routes, InteractionType, ApplicationCommandType, PermissionsBitField, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const PermissionUtils = require('./PermissionUtils');
+const CommonUtils = require('./CommonUtils');
+const ArgumentParser = require('./ArgumentParser');
+const HybridContext = require('./HybridContext');
+const CooldownManager = require('./CooldownManager');
+const ConcurrencyManager = require('./ConcurrencyManager');
+const ErrorHandler = require('./ErrorHandler');
+const { UserError, CommandTimeoutError } = require('./Errors');
+const CommandType = require('./CommandType');
+const { createHelpCommand } = require('./HelpCommand');
+const { stopPaginations } = require('./CreatePagination');
+const { createSettingsCommand } = require('./SettingsCommand');
+const GuildSettingsManager = require('./GuildSettingsManager');
+const CommandValidator = require('./CommandValidator');
+const DocsGenerator = require('./DocsGenerator');
+const EventHandler = require('./EventHandler');
+const Metrics = require('./Metrics');
+const CommandSync = require('./CommandSync');
+const I18n = require('./I18n');
 const Logger = require('./Logger'); // Use internal logger if none provided
 
-// Enum for command types used internally
-const CommandType = {
-    SLASH: 'SLASH',         // ApplicationCommandType.ChatInput
-    USER: 'USER',           // ApplicationCommandType.User
-    MESSAGE: 'MESSAGE',       // ApplicationCommandType.Message
-    LEGACY: 'LEGACY'        // Prefix-based message command
-};
+// File names (without extension) marking a subcommand directory and a subcommand group directory
+const COMMAND_TREE_FILE = '_command';
+const SUBCOMMAND_GROUP_FILE = '_group';
+// Extensions of the command and event files that are loaded (see options.extensions)
+const DEFAULT_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+// Errors thrown by require() for ES modules, which are loaded with import() instead
+const ESM_REQUIRE_ERRORS = ['ERR_REQUIRE_ESM', 'ERR_REQUIRE_ASYNC_MODULE'];
+// Custom ID prefix of the confirmation buttons (InteractionManager ignores the 'djs-suite:' namespace)
+const CONFIRM_CUSTOM_ID = 'djs-suite:confirm';
+// Appended to ES module URLs so reloads bypass the import cache
+let importVersion = 0;
+// Properties a subcommand inherits from its group or parent command unless it declares its own
+const INHERITED_PROPERTIES = ['guildOnly', 'devOnly', 'permissions', 'roles', 'botPermissions', 'cooldown', 'maxConcurrency', 'timeout'];
+
+/**
+ * Creates an empty load report (see `loadCommands`).
+ * @returns {{ loaded: object[], skipped: object[], warned: object[] }}
+ */
+function createLoadReport() {
+    return { loaded: [], skipped: [], warned: [] };
+}
 
 /**
  * Handles loading, registration, and execution of all command types.
@@ -21,34 +54,114 @@ class CommandHandler {
      * @param {import('discord.js').Client} client The Discord Client instance.
      * @param {object} [options={}] Configuration options.
      * @param {string} [options.commandDir='./commands'] Path to the directory containing command files.
-     * @param {string} [options.prefix] Prefix string for legacy message commands (required to enable legacy commands).
-     * @param {string} [options.devGuildId] Guild ID for registering slash commands during development.
+     * @param {string[]} [options.extensions=['.js', '.cjs', '.mjs']] Extensions of the command and event files to load.
+     *        Add '.ts' when running under a TypeScript loader (e.g. tsx); '.d.ts' files are always ignored.
+     * @param {string | string[] | ((message: import('discord.js').Message) => string | string[] | null | Promise<string | string[] | null>)} [options.prefix]
+     *        Prefix(es) for legacy message commands, or a (possibly async) resolver called per message, e.g. for per-guild prefixes (required to enable legacy commands).
+     * @param {boolean} [options.mentionPrefix=true] Whether mentioning the bot also works as a prefix for legacy commands.
+     * @param {boolean | { window?: number, deleteResponses?: boolean }} [options.editTracking=false] Re-runs legacy commands when their message is edited
+     *        within `window` seconds (default 60), editing the previous responses in place. With `deleteResponses`, deleting the message deletes its responses.
+     * @param {string | string[]} [options.devGuildId] Guild ID(s) for registering slash commands during development, and for commands with `scope: 'guild'`.
      * @param {boolean} [options.registerGlobally] Whether to register slash commands globally (default: true if devGuildId is not set).
+     * @param {string[] | 'all'} [options.cleanupGuilds] Extra guilds whose commands are kept in sync even if no command targets them anymore,
+     *        so removed guild commands are deleted there. `'all'` checks every guild the bot is in (small bots only).
      * @param {Logger} [options.logger] A logger instance.
      * @param {string[]} [options.ownerIds=[]] Array of user IDs considered bot owners (for devOnly commands).
+     * @param {'overwrite'|'diff'} [options.syncMode='overwrite'] How application commands are registered: a full PUT, or only the commands that changed.
+     * @param {object} [options.cooldownStore] Storage adapter for cooldowns (defaults to an in-memory store, see MemoryCooldownStore).
+     * @param {{ owners?: boolean, roles?: string[], users?: string[] }} [options.cooldownExempt] Users, roles or owners that bypass all cooldowns.
+     * @param {string | Function} [options.cooldownMessage] Cooldown reply template or function (see `_formatCooldownMessage`). Defaults to the `suite.cooldown` translation.
+     * @param {() => number} [options.now=Date.now] Clock used for cooldowns (useful for tests).
+     * @param {number} [options.executionTimeout=0] Seconds after which a running command is reported as hung and the user gets a fallback reply
+     *        (0 disables it). Commands can set their own `timeout`.
+     * @param {Function} [options.onError] Called with every internal error of a command or middleware (not UserErrors), and
+     *        `{ errorId, source: 'command' | 'middleware', middleware?, context }`. Use it to report errors to a tracker (see ErrorHandler).
+     * @param {Function} [options.errorReply] Builds the error reply from the error and `{ errorId, message, userError, source, context }`;
+     *        return a string or reply options, e.g. `{ embeds: [SuiteEmbed.error(message)] }`. Defaults to the message.
+     * @param {boolean | object} [options.helpCommand=false] Registers the built-in help command (slash and legacy). Pass an object for options (see HelpCommand).
+     * @param {object} [options.settingsStore] Storage adapter for per-guild command settings (defaults to an in-memory store, see MemorySettingsStore and JsonSettingsStore).
+     * @param {boolean | object} [options.settingsCommand=false] Registers the built-in slash command for managing guild settings. Pass an object for options (see SettingsCommand).
+     * @param {string} [options.eventDir] Path to a directory of client event files to load (see EventHandler).
+     * @param {boolean} [options.watch=false] Whether to watch `commandDir` (and `eventDir`) and hot-reload changed files.
+     * @param {boolean} [options.strict=false] Whether invalid commands and validation warnings throw instead of being logged (see `loadCommands`).
+     * @param {I18n | object} [options.i18n] An I18n instance, or options to create one (see I18n), for localized replies and command metadata.
+     * @param {Metrics | false} [options.metrics] Where usage metrics are recorded (see Metrics). Defaults to a new instance; `false` disables recording.
      */
     constructor(client, options = {}) {
         if (!client) throw new Error("CommandHandler requires a Discord Client instance.");
         this.client = client;
         this.commands = new Collection(); // Stores all loaded commands: <commandName, commandObject>
-        this.cooldowns = new Collection(); // Stores cooldowns: <userId, <commandName, timestamp>>
+        this.middlewares = []; // Command execution pipeline (see use())
+        this._listeners = []; // Client listeners attached by the handler: [event, listener] (removed by destroy())
+        this._runs = new Set(); // Pipelines currently running (awaited by shutdown())
+        this.destroyed = false;
 
         this.commandDir = options.commandDir ? path.resolve(options.commandDir) : path.resolve('./commands');
+        this.extensions = options.extensions || DEFAULT_EXTENSIONS;
+        this.strict = options.strict ?? false;
+        this.loadReport = null; // Result of the last loadCommands() call
         this.prefix = options.prefix;
-        this.devGuildId = options.devGuildId;
-        this.registerGlobally = options.registerGlobally ?? !this.devGuildId; // Default based on devGuildId
+        this.mentionPrefix = options.mentionPrefix ?? true;
+        const editTracking = options.editTracking === true ? {} : options.editTracking || null;
+        this.editTracking = editTracking && { window: editTracking.window ?? 60, deleteResponses: editTracking.deleteResponses ?? false };
+        this._trackedMessages = new Map(); // Legacy command messages that can still be edited: <messageId, { createdAt, responses, previous, queue }>
+        this.devGuildIds = [].concat(options.devGuildId || []);
+        this.registerGlobally = options.registerGlobally ?? this.devGuildIds.length === 0; // Default based on devGuildId
+        this.cleanupGuilds = options.cleanupGuilds || [];
+        this._registeredGuildIds = new Set(); // Guilds commands were registered to in this session (cleaned up when emptied)
         this.logger = options.logger || new Logger({ level: 'info' });
         this.ownerIds = options.ownerIds || [];
+        this.syncMode = options.syncMode || 'overwrite';
+        this.helpCommand = options.helpCommand || false;
+        this.settingsCommand = options.settingsCommand || false;
+        this.settings = new GuildSettingsManager({ store: options.settingsStore }); // Disabled commands and overrides per guild
+        this.cooldownMessage = options.cooldownMessage || null;
+        this.i18n = options.i18n instanceof I18n ? options.i18n : new I18n(options.i18n); // Translations for replies and command data
+        this.metrics = options.metrics === false ? null : options.metrics || new Metrics(); // Execution counters and timings
+        this.cooldowns = new CooldownManager({ // Tracks command uses (see CooldownManager for cooldown formats)
+            store: options.cooldownStore,
+            exempt: options.cooldownExempt,
+            ownerIds: this.ownerIds,
+            now: options.now,
+        });
+
+        this.concurrency = new ConcurrencyManager({ now: options.now }); // Tracks in-flight executions (see ConcurrencyManager for maxConcurrency formats)
+        this.executionTimeout = options.executionTimeout ?? 0;
+        this.errors = new ErrorHandler({ // Logs errors with an error ID and builds the replies (see Errors for UserError)
+            logger: this.logger,
+            i18n: this.i18n,
+            onError: options.onError,
+            errorReply: options.errorReply,
+        });
+
+        // Built-in checks run as the first middlewares of the pipeline
+        this._registerBuiltinMiddlewares();
 
-        // Load commands immediately
-        this.loadCommands();
+        // Load events and commands immediately. Files are loaded asynchronously (ES modules need import()),
+        // so `loaded` resolves once they are available; commands received before that wait for it.
+        // In strict mode, `loaded` rejects with the validation error.
+        this.events = options.eventDir ? new EventHandler(this, { eventDir: options.eventDir }) : null;
+        this.loaded = (async () => {
+            await this.events?.loadEvents();
+            await this.loadCommands();
+        })();
+        this._loadSucceeded = this.loaded.then(() => true, error => {
+            this.logger.error('Failed to load commands and events:', error);
+            return false;
+        });
+
+        // Hot-reload command files on change (opt-in, intended for development)
+        if (options.watch) this.watchCommands();
 
-        // Register slash commands when the client is ready
+        // Register slash commands when the client is ready (and the commands are loaded).
+        // Never after a failed load, which would remove the registered commands.
+        const register = () => this._loadSucceeded.then(succeeded => succeeded && !this.destroyed && this.registerSlashCommands());
         if (this.client.isReady()) {
-            this.registerSlashCommands();
+            register();
         } else {
             // Use 'once' to ensure it runs only the first time the client is ready
-            this.client.once('ready', () => this.registerSlashCommands());
+            this.client.once('ready', register);
+            this._listeners.push(['ready', register]);
         }
 
         // Start listening for command interactions and messages
@@ -57,7 +170,21 @@ class CommandHandler {
     }
 
     /**
-     * Recursively reads a directory and returns paths of all .js files.
+     * The first development guild ID. Setting it replaces `devGuildIds` with the given guild ID(s).
+     * @deprecated Use `devGuildIds`, which holds every guild of the `devGuildId` option.
+     * @type {string | undefined}
+     */
+    get devGuildId() {
+        return this.devGuildIds[0];
+    }
+
+    set devGuildId(guildId) {
+        this.devGuildIds = [].concat(guildId || []);
+    }
+
+    /**
+     * Recursively reads a directory and returns paths of all files with a loadable extension (see `options.extensions`).
+     * Subcommand directories (containing a `_command` file) are returned as that single file.
      * @param {string} dir The directory path to read.
      * @returns {string[]} An array of absolute file paths.
      * @private
@@ -71,10 +198,16 @@ class CommandHandler {
                 try {
                     const stat = fs.statSync(filePath);
                     if (stat && stat.isDirectory()) {
-                        // Recurse into subdirectories
-                        results = results.concat(this._readDirRecursive(filePath));
-                    } else if (filePath.endsWith('.js')) {
-                        // Add .js file to results
+                        const treeFile = this._findSpecialFile(filePath, COMMAND_TREE_FILE);
+                        if (treeFile) {
+                            // Subcommand directory: loaded as a single command
+                            results.push(treeFile);
+                        } else {
+                            // Recurse into subdirectories
+                            results = results.concat(this._readDirRecursive(filePath));
+                        }
+                    } else if (this._isModuleFile(filePath)) {
+                        // Add command/event file to results
                         results.push(filePath);
                     }
                 } catch (statError) {
@@ -84,396 +217,2110 @@ class CommandHandler {
         } catch (readError) {
              // Log if directory doesn't exist, but don't crash
              if (readError.code === 'ENOENT') {
-                 this.logger.warn(`Command directory not found: ${dir}`);
+                 this.logger.warn(`Directory not found: ${dir}`);
              } else {
-                this.logger.error(`Error reading command directory ${dir}:`, readError);
+                this.logger.error(`Error reading directory ${dir}:`, readError);
              }
         }
         return results;
     }
 
     /**
-     * Loads all command files from the specified directory and its subdirectories.
+     * Checks whether a file has one of the configured extensions (and is not a TypeScript declaration file).
+     * @param {string} file The file path or name.
+     * @returns {boolean}
+     * @private
      */
-    loadCommands() {
-        this.logger.info(`Loading commands from: ${this.commandDir}`);
-        this.commands.clear(); // Clear existing commands for reload
-        const commandFiles = this._readDirRecursive(this.commandDir);
-        let loadedCount = 0;
-        let slashCommandCount = 0;
-        let legacyCommandCount = 0;
-
-        for (const file of commandFiles) {
-            try {
-                // Clear cache for the file to allow reloading changes without restarting bot
-                delete require.cache[require.resolve(file)];
-                const command = require(file);
-
-                // Basic validation: Ensure it exports an object with an execute function
-                if (!command || typeof command !== 'object') {
-                    this.logger.warn(`Skipping file: ${file}. Does not export an object.`);
-                    continue;
-                }
-                 if (typeof command.execute !== 'function') {
-                     this.logger.warn(`Skipping command in ${file}: Missing 'execute' function.`);
-                     continue;
-                 }
-
-                // Determine command type and name
-                let commandName;
-                let commandType;
-                let isSlash = false;
-
-                // Check for discord.js Application Command data structure
-                if (command.data && typeof command.data.toJSON === 'function') {
-                    commandName = command.data.name;
-                    isSlash = true;
-                    switch (command.data.type) {
-                        case ApplicationCommandType.ChatInput:
-                        case undefined: // Default type is ChatInput
-                            commandType = CommandType.SLASH;
-                            break;
-                        case ApplicationCommandType.User:
-                            commandType = CommandType.USER;
-                            break;
-                        case ApplicationCommandType.Message:
-                            commandType = CommandType.MESSAGE;
-                            break;
-                        default:
-                            this.logger.warn(`Unsupported application command type (${command.data.type}) in ${file}. Skipping.`);
-                            continue; // Skip unsupported types
-                    }
-                    slashCommandCount++;
-                }
-                // Check for legacy command structure (if prefix is enabled)
-                else if (this.prefix && command.name && typeof command.name === 'string') {
-                     commandName = command.name;
-                     commandType = CommandType.LEGACY;
-                     legacyCommandCount++;
-                }
-                 // Cannot determine command type
-                 else {
-                     this.logger.warn(`Could not determine command name/type for ${file}. Requires 'data' (for slash) or 'name' (for legacy). Skipping.`);
-                     continue;
-                 }
-
-
-                 // Store command details
-                 command.filePath = file; // Store path for debugging
-                 command.type = commandType;
+    _isModuleFile(file) {
+        const name = path.basename(file);
+        return !name.endsWith('.d.ts') && this.extensions.some(extension => name.endsWith(extension));
+    }
 
-                 // Register the main command name
-                 if (this.commands.has(commandName)) {
-                     this.logger.warn(`Command name conflict: "${commandName}" from ${file} is already registered. Overwriting.`);
-                 }
-                 this.commands.set(commandName, command);
-                 this.logger.debug(`Loaded ${commandType} command: ${commandName}`);
-                 loadedCount++;
-
-                 // Register legacy aliases if applicable
-                 if (commandType === CommandType.LEGACY && command.aliases && Array.isArray(command.aliases)) {
-                     command.aliases.forEach(alias => {
-                         if (this.commands.has(alias)) {
-                             this.logger.warn(`Alias conflict: "${alias}" for command "${commandName}" is already registered as a command or alias. Skipping alias.`);
-                         } else {
-                            this.commands.set(alias, command); // Point alias to the same command object
-                            this.logger.debug(`Registered alias "${alias}" for legacy command "${commandName}"`);
-                         }
-                     });
-                 }
+    /**
+     * Gets the name of a loadable file without its extension, e.g. "_command" for "_command.mjs".
+     * @param {string} file The file path or name.
+     * @returns {string | null} The name, or null if the file doesn't have a configured extension.
+     * @private
+     */
+    _getModuleName(file) {
+        if (!this._isModuleFile(file)) return null;
+        const name = path.basename(file);
+        const extension = this.extensions.filter(ext => name.endsWith(ext)).sort((a, b) => b.length - a.length)[0];
+        return name.slice(0, -extension.length);
+    }
 
-            } catch (error) {
-                this.logger.error(`Failed to load command file ${file}:`, error);
-            }
+    /**
+     * Finds a special file (`_command`, `_group`) in a directory, with any of the configured extensions.
+     * @param {string} dir The directory.
+     * @param {string} name The file name without extension.
+     * @returns {string | null} The absolute file path, or null if there is none.
+     * @private
+     */
+    _findSpecialFile(dir, name) {
+        for (const extension of this.extensions) {
+            const file = path.join(dir, name + extension);
+            if (fs.existsSync(file)) return file;
         }
-        this.logger.info(`Successfully loaded ${loadedCount} commands (${slashCommandCount} application, ${legacyCommandCount} legacy).`);
+        return null;
     }
 
     /**
-     * Registers Application (Slash) Commands with Discord.
-     * Uses `devGuildId` for guild-specific registration or registers globally.
-     * Automatically called when the client is ready.
+     * Loads all command files from the specified directory and its subdirectories.
+     * Every export is validated (see CommandValidator): files with errors are skipped, warnings are logged,
+     * and both are listed in the returned report. Duplicate names and aliases are reported as warnings.
+     * The previously loaded commands stay available until all files are loaded.
+     * @returns {Promise<{ loaded: { name: string, type: string, file: string }[], skipped: { file: string, errors: string[] }[], warned: { name: string, file: string, warnings: string[] }[] }>}
+     *          The load report (also stored as `loadReport`).
+     * @throws {Error} In strict mode, if any file was skipped or has warnings (the previous commands are kept). The error's `report` property holds the load report.
      */
-    async registerSlashCommands() {
-        const applicationCommandsData = this.commands
-            .filter(cmd => cmd.type !== CommandType.LEGACY && cmd.data)
-            .map(cmd => cmd.data.toJSON()); // Get the JSON representation for the API
-
-        if (applicationCommandsData.length === 0) {
-            this.logger.info("No application commands found to register.");
-            return;
+    async loadCommands() {
+        this.logger.info(`Loading commands from: ${this.commandDir}`);
+        const report = createLoadReport();
+        const commands = [];
+        for (const file of this._readDirRecursive(this.commandDir)) {
+            const command = await this._loadCommandFile(file, report);
+            if (command) commands.push(command);
         }
 
-        if (!this.client.token) {
-            this.logger.error('Cannot register application commands: Client token is missing.');
-            return;
+        // Register into a new collection first, so conflicts are part of the report before anything is replaced
+        const collection = new Collection();
+        for (const command of commands) {
+            const conflicts = this._registerCommand(command, collection);
+            if (conflicts.length > 0) this._reportWarnings(report, command.filePath, command.data?.name || command.name, conflicts, false);
+            report.loaded.push({ name: command.data?.name || command.name, type: command.type, file: command.filePath });
         }
-         if (!this.client.application?.id) {
-            // This might happen if called before the client is fully ready
-            this.logger.error('Cannot register application commands: Client application ID is missing. Ensure the client is ready.');
-            // Optionally schedule a retry?
-            return;
+        this.loadReport = report;
+        if (this.strict && (report.skipped.length > 0 || report.warned.length > 0)) {
+            throw this._createStrictError(report);
         }
 
-        const rest = new REST({ version: '10' }).setToken(this.client.token);
+        this.commands.clear(); // Replace the previously loaded commands
+        collection.forEach((command, key) => this.commands.set(key, command));
+        const legacyCommandCount = commands.filter(command => command.type === CommandType.LEGACY).length;
+        const problems = [
+            report.skipped.length > 0 && `${report.skipped.length} skipped`,
+            report.warned.length > 0 && `${report.warned.length} with warnings`,
+        ].filter(Boolean);
+        this.logger.info(`Successfully loaded ${commands.length} commands (${commands.length - legacyCommandCount} application, ${legacyCommandCount} legacy)${problems.length > 0 ? `; ${problems.join(', ')} (see loadReport)` : ''}.`);
 
-        try {
-            this.logger.info(`Registering ${applicationCommandsData.length} application command(s)...`);
+        this._registerBuiltinCommands();
+        return report;
+    }
 
-            let registrationRoute;
-            let locationDescription;
+    /**
+     * Records a skipped file in a load report.
+     * @param {object} report The load report.
+     * @param {string} file Absolute path to the file.
+     * @param {string[]} errors Why the file was skipped.
+     * @returns {null}
+     * @private
+     */
+    _reportSkipped(report, file, errors) {
+        report.skipped.push({ file, errors });
+        this.logger.warn(`Skipping command file ${file}: ${errors.join(' ')}`);
+        return null;
+    }
 
-            if (this.devGuildId && !this.registerGlobally) {
-                // Registering commands to a specific guild (faster updates for testing)
-                registrationRoute = Routes.applicationGuildCommands(this.client.application.id, this.devGuildId);
-                locationDescription = `in development guild ${this.devGuildId}`;
-            } else {
-                // Registering commands globally
-                registrationRoute = Routes.applicationCommands(this.client.application.id);
-                locationDescription = 'globally';
-                 // --- DANGER ZONE ---
-                 // Uncomment to clear all commands in the target scope (guild or global)
-                 // Useful if command names/types change drastically. Use with extreme caution!
-                 // this.logger.warn(`Clearing all application commands ${locationDescription}...`);
-                 // await rest.put(registrationRoute, { body: [] });
-                 // this.logger.info(`Successfully cleared application commands ${locationDescription}.`);
-                 // return; // Stop here after clearing
-                 // --- END DANGER ZONE ---
-            }
+    /**
+     * Records warnings of a loaded command in a load report.
+     * @param {object} report The load report.
+     * @param {string} file Absolute path to the command file.
+     * @param {string} name The command name.
+     * @param {string[]} warnings The warnings.
+     * @param {boolean} [log=true] Whether to log them (false if they were logged already).
+     * @private
+     */
+    _reportWarnings(report, file, name, warnings, log = true) {
+        if (warnings.length === 0) return;
+        const entry = report.warned.find(warned => warned.file === file);
+        if (entry) entry.warnings.push(...warnings);
+        else report.warned.push({ name, file, warnings: [...warnings] });
+        if (log) warnings.forEach(warning => this.logger.warn(`Command "${name}" (${file}): ${warning}`));
+    }
 
-            // Perform the registration (PUT request overwrites existing commands)
-            const data = await rest.put(registrationRoute, { body: applicationCommandsData });
+    /**
+     * Creates the error thrown in strict mode, listing every problem of a load report.
+     * @param {object} report The load report.
+     * @returns {Error}
+     * @private
+     */
+    _createStrictError(report) {
+        const lines = [
+            ...report.skipped.map(({ file, errors }) => `${file}: ${errors.join(' ')}`),
+            ...report.warned.map(({ file, warnings }) => `${file}: ${warnings.join(' ')}`),
+        ];
+        const error = new Error(`Command validation failed (strict mode):\n${lines.map(line => `- ${line}`).join('\n')}`);
+        error.report = report;
+        return error;
+    }
 
-            this.logger.info(`Successfully registered ${data.length} application command(s) ${locationDescription}.`);
+    /**
+     * Registers the enabled built-in commands. Commands loaded from files take precedence over built-ins with the same name.
+     * @private
+     */
+    _registerBuiltinCommands() {
+        const builtins = [];
+        if (this.helpCommand) builtins.push(createHelpCommand(this, typeof this.helpCommand === 'object' ? this.helpCommand : {}));
+        if (this.settingsCommand) builtins.push(createSettingsCommand(this, typeof this.settingsCommand === 'object' ? this.settingsCommand : {}));
 
-        } catch (error) {
-            this.logger.error(`Failed to register application commands ${locationDescription}:`, error);
-             // Log more detailed error info if available (e.g., response body)
-             if (error.response?.data) {
-                 this.logger.error("API Error Details:", error.response.data);
-             }
+        for (const command of builtins) {
+            const commandName = command.data?.name || command.name;
+            if (this.commands.has(commandName)) {
+                this.logger.debug(`Built-in command "${commandName}" skipped: A command with this name was loaded from ${this.commands.get(commandName).filePath}.`);
+                continue;
+            }
+            this._registerCommand(command);
         }
     }
 
     /**
-     * Checks and handles command cooldowns for a user.
-     * @param {object} command The command object being executed.
-     * @param {string} userId The ID of the user executing the command.
-     * @returns {number | false} The remaining cooldown time in seconds, or false if no cooldown is active.
+     * Gets the category of a command file: its directory relative to `commandDir` (e.g. "moderation").
+     * Files directly inside `commandDir` have no category.
+     * @param {string} file Absolute path to the command file.
+     * @returns {string | null} The category.
+     * @private
+     */
+    _getCategoryFromPath(file) {
+        let dir = path.dirname(file);
+        if (this._getModuleName(file) === COMMAND_TREE_FILE) dir = path.dirname(dir); // The subcommand directory is the command itself
+        const relative = path.relative(this.commandDir, dir);
+        return relative ? relative.split(path.sep).join('/') : null;
+    }
+
+    /**
+     * Loads a single command file (bypassing the module cache) and validates it (see CommandValidator).
+     * Does not touch the commands collection, so a broken file never replaces a working version.
+     * @param {string} file Absolute path to the command file.
+     * @param {object} [report] The load report to record problems in (see `loadCommands`).
+     * @returns {Promise<object | null>} The prepared command object, or null if the file could not be loaded.
      * @private
      */
-    _handleCooldown(command, userId) {
-        const cooldownDuration = command.cooldown;
-        if (!cooldownDuration || cooldownDuration <= 0) return false; // No cooldown set
+    async _loadCommandFile(file, report = createLoadReport()) {
+        if (this._getModuleName(file) === COMMAND_TREE_FILE) return this._loadCommandTree(file, report);
 
-        const now = Date.now();
-        // Ensure user has a cooldown collection
-        if (!this.cooldowns.has(userId)) {
-            this.cooldowns.set(userId, new Collection());
+        let command;
+        try {
+            command = await this._loadModule(file);
+        } catch (error) {
+            this.logger.error(`Failed to load command file ${file}:`, error);
+            report.skipped.push({ file, errors: [`Failed to load: ${error.message}`] });
+            return null;
         }
-        const userCooldowns = this.cooldowns.get(userId);
-        const commandIdentifier = command.data?.name || command.name; // Get name for slash or legacy
+        if (!command || typeof command !== 'object') return this._reportSkipped(report, file, ['Does not export an object.']);
 
-        const expirationTime = (userCooldowns.get(commandIdentifier) || 0) + (cooldownDuration * 1000);
+        // Determine command type
+        let commandType = null;
+        const typeErrors = [];
 
-        if (now < expirationTime) {
-            const timeLeft = (expirationTime - now) / 1000;
-            return timeLeft; // Cooldown is active, return remaining time
+        // Check for discord.js Application Command data structure
+        if (command.data && typeof command.data.toJSON === 'function') {
+            switch (command.data.type) {
+                case ApplicationCommandType.ChatInput:
+                case undefined: // Default type is ChatInput
+                    commandType = CommandType.SLASH;
+                    break;
+                case ApplicationCommandType.User:
+                    commandType = CommandType.USER;
+                    break;
+                case ApplicationCommandType.Message:
+                    commandType = CommandType.MESSAGE;
+                    break;
+                default:
+                    typeErrors.push(`Unsupported application command type (${command.data.type}).`);
+            }
+        }
+        // Check for legacy command structure (if prefix is enabled)
+        else if (this.prefix && command.name && typeof command.name === 'string') {
+            commandType = CommandType.LEGACY;
+        }
+        // Cannot determine command type
+        else if (command.data === undefined) {
+            typeErrors.push(`Could not determine command name/type. Requires 'data' (for slash) or 'name' (for legacy${this.prefix ? '' : ', needs the prefix option'}).`);
+        }
+        // Hybrid commands are slash commands that also respond to the prefix
+        if (command.hybrid === true) {
+            if (commandType === CommandType.SLASH) commandType = CommandType.HYBRID;
+            else if (commandType) typeErrors.push("'hybrid' requires 'data' to be a SlashCommandBuilder.");
         }
 
-        // Cooldown is not active or expired, set new cooldown
-        userCooldowns.set(commandIdentifier, now);
-        // Automatically remove the cooldown entry after it expires to prevent memory leaks
-        setTimeout(() => userCooldowns.delete(commandIdentifier), cooldownDuration * 1000);
+        const { errors, warnings } = CommandValidator.validate(command, { type: commandType });
+        if (typeErrors.length > 0 || errors.length > 0) return this._reportSkipped(report, file, [...typeErrors, ...errors]);
+        this._reportWarnings(report, file, command.data?.name || command.name, warnings);
 
-        return false; // Cooldown was not active
+        // Store command details
+        command.filePath = file; // Store path for debugging and reloading
+        command.type = commandType;
+        if (commandType === CommandType.HYBRID && !command.args && !command.flags) {
+            command.args = ArgumentParser.fromApplicationCommandOptions(command.data.toJSON().options); // Prefix input is parsed like the slash options
+        }
+        command.category = command.category ?? this._getCategoryFromPath(file);
+        return command;
     }
 
     /**
-     * Checks if the user and bot have the necessary permissions and roles to execute the command.
-     * @param {object} command The command object.
-     * @param {import('discord.js').GuildMember | null} member The GuildMember executing the command.
-     * @returns {string | null} An error message string if checks fail, or null if checks pass.
+     * Loads a command or event file, bypassing the module cache so changes are picked up without restarting the bot.
+     * CommonJS files are required; ES modules (`.mjs`, or `.js` in a `"type": "module"` package) are imported.
+     * Default exports (`export default`, or `exports.default` of compiled TypeScript) are unwrapped.
+     * @param {string} file Absolute path to the file.
+     * @returns {Promise<*>} The module's command/event object.
      * @private
      */
-    _checkPermissions(command, member) {
-        // Guild Only Check
-        if (command.guildOnly && !member) {
-             return 'This command can only be used inside a server.';
+    async _loadModule(file) {
+        let exports;
+        if (file.endsWith('.mjs')) {
+            exports = await this._importFresh(file);
+        } else {
+            try {
+                exports = this._requireFresh(file);
+            } catch (error) {
+                if (!ESM_REQUIRE_ERRORS.includes(error.code)) throw error;
+                exports = await this._importFresh(file);
+            }
         }
 
-        // Owner Only Check
-         if (command.devOnly && !this.ownerIds.includes(member?.id)) {
-             return 'This command can only be used by the bot owner(s).';
-         }
+        const isNamespace = exports?.[Symbol.toStringTag] === 'Module';
+        if ((isNamespace || exports?.__esModule) && exports.default !== undefined) return exports.default;
+        // Module namespaces are sealed, but loaded commands get properties such as `filePath` added
+        return isNamespace ? { ...exports } : exports;
+    }
 
-        // User Permissions Check (only applicable in guilds)
-        if (member && command.permissions && command.permissions.length > 0) {
-            const missingUserPerms = command.permissions.filter(perm => !PermissionUtils.hasPermission(member, perm));
-            if (missingUserPerms.length > 0) {
-                return `You lack the required permissions: \`${missingUserPerms.join(', ')}\``;
+    /**
+     * Requires a file after removing it from the require cache.
+     * @param {string} file Absolute path to the file.
+     * @returns {*} The module exports.
+     * @private
+     */
+    _requireFresh(file) {
+        delete require.cache[require.resolve(file)];
+        return require(file);
+    }
+
+    /**
+     * Imports an ES module under a new URL, since the import cache can't be cleared.
+     * Every reload keeps the previous version in memory, so hot reloading ES modules is meant for development.
+     * @param {string} file Absolute path to the file.
+     * @returns {Promise<object>} The module namespace.
+     * @private
+     */
+    _importFresh(file) {
+        return import(`${pathToFileURL(file).href}?v=${++importVersion}`);
+    }
+
+    /**
+     * Assembles a subcommand directory into a single slash command.
+     *
+     * ```
+     * commands/config/
+     * ├── _command.js        -> { data: SlashCommandBuilder (name, description), ...shared properties }
+     * ├── show.js            -> { data: SlashCommandSubcommandBuilder, execute, cooldown?, permissions?, ... }
+     * └── roles/
+     *     ├── _group.js      -> { data: SlashCommandSubcommandGroupBuilder (name, description), ...shared properties }
+     *     ├── add.js         -> /config roles add
+     *     └── remove.js      -> /config roles remove
+     * ```
+     * Subcommands inherit `guildOnly`, `devOnly`, `permissions`, `roles`, `botPermissions` and `cooldown`
+     * from their group and parent command unless they declare their own.
+     * Every file is validated; if any file fails to load or has errors, the whole command is skipped
+     * (a partial command would be registered incomplete).
+     * @param {string} file Absolute path to the `_command` file.
+     * @param {object} [report] The load report to record problems in (see `loadCommands`).
+     * @returns {Promise<object | null>} The prepared parent command, or null if the directory could not be loaded.
+     * @private
+     */
+    async _loadCommandTree(file, report = createLoadReport()) {
+        const dir = path.dirname(file);
+        const problems = { dir, errors: [], warnings: [] }; // Collected over all files of the directory
+        try {
+            const command = await this._loadModule(file);
+            if (!command || typeof command !== 'object' || !command.data || typeof command.data.addSubcommand !== 'function') {
+                return this._reportSkipped(report, file, [`${path.basename(file)} must export 'data' (a SlashCommandBuilder).`]);
             }
-        }
+            this._validateTreeFile(command, file, 'tree', problems);
 
-        // User Roles Check (only applicable in guilds)
-        if (member && command.roles && command.roles.length > 0) {
-            const hasRequiredRole = command.roles.some(roleResolvable => PermissionUtils.hasRole(member, roleResolvable));
-            if (!hasRequiredRole) {
-                // Try to resolve role names for a better message
-                const requiredRoleNames = command.roles.map(r => {
-                     const resolvedRole = typeof r === 'string' ? CommonUtils.resolveRole(member.guild, r) : r;
-                     return resolvedRole ? resolvedRole.name : r; // Show name if resolved, otherwise show input
-                 }).join(', ');
-                return `You need one of the following roles to use this command: \`${requiredRoleNames}\``;
+            command.subcommands = new Collection(); // <'subcommand' | 'group.subcommand', subcommandObject>
+
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const entryPath = path.resolve(dir, entry.name);
+
+                if (entry.isDirectory()) {
+                    const groupFile = this._findSpecialFile(entryPath, SUBCOMMAND_GROUP_FILE);
+                    if (!groupFile) {
+                        problems.warnings.push(`${entry.name}: Missing ${SUBCOMMAND_GROUP_FILE} file for the subcommand group. The directory is ignored.`);
+                        continue;
+                    }
+                    const group = await this._loadModule(groupFile);
+                    if (!group?.data || typeof group.data.addSubcommand !== 'function') {
+                        problems.errors.push(`${path.relative(dir, groupFile)}: Must export 'data' (a SlashCommandSubcommandGroupBuilder).`);
+                        continue;
+                    }
+                    this._validateTreeFile(group, groupFile, 'group', problems);
+                    for (const subEntry of fs.readdirSync(entryPath, { withFileTypes: true })) {
+                        if (!subEntry.isFile() || this._getModuleName(subEntry.name) === null || this._getModuleName(subEntry.name) === SUBCOMMAND_GROUP_FILE) continue;
+                        const subcommand = await this._loadSubcommand(path.resolve(entryPath, subEntry.name), command, group, problems);
+                        if (!subcommand) continue;
+                        group.data.addSubcommand(subcommand.data);
+                        command.subcommands.set(`${group.data.name}.${subcommand.data.name}`, subcommand);
+                    }
+                    command.data.addSubcommandGroup(group.data);
+                } else if (entry.isFile() && this._isModuleFile(entry.name) && this._getModuleName(entry.name) !== COMMAND_TREE_FILE) {
+                    const subcommand = await this._loadSubcommand(entryPath, command, null, problems);
+                    if (!subcommand) continue;
+                    command.data.addSubcommand(subcommand.data);
+                    command.subcommands.set(subcommand.data.name, subcommand);
+                }
             }
-        }
 
-        // Bot Permissions Check (only applicable in guilds)
-        if (member && command.botPermissions && command.botPermissions.length > 0) {
-            const botMember = member.guild.members.me; // Get the bot's GuildMember object
-             if (!botMember) return 'Could not verify bot permissions.'; // Should usually not happen
-            const missingBotPerms = command.botPermissions.filter(perm => !PermissionUtils.hasPermission(botMember, perm));
-             if (missingBotPerms.length > 0) {
-                 return `I lack the required permissions for this command: \`${missingBotPerms.join(', ')}\``;
-             }
-        }
+            if (problems.errors.length > 0) return this._reportSkipped(report, file, problems.errors);
+            if (command.subcommands.size === 0) return this._reportSkipped(report, file, ['No subcommand files found.']);
 
-        return null; // All checks passed
+            command.filePath = file;
+            command.type = CommandType.SLASH;
+            command.category = command.category ?? this._getCategoryFromPath(file);
+            this._reportWarnings(report, file, command.data.name, problems.warnings);
+            this.logger.debug(`Assembled command "${command.data.name}" from ${command.subcommands.size} subcommand file(s) in ${dir}`);
+            return command;
+        } catch (error) {
+            this.logger.error(`Failed to load subcommand directory ${dir}:`, error);
+            report.skipped.push({ file, errors: [`Failed to load: ${error.message}`] });
+            return null;
+        }
     }
 
     /**
-     * Sets up listeners for the 'interactionCreate' (for slash/context commands)
-     * and 'messageCreate' (for legacy commands) events.
+     * Validates one file of a subcommand directory, collecting its problems (prefixed with the file's path in the directory).
+     * @param {object} part The exported object.
+     * @param {string} file Absolute path to the file.
+     * @param {'tree' | 'group' | 'subcommand'} kind What the file is (see CommandValidator).
+     * @param {{ dir: string, errors: string[], warnings: string[] }} problems Problems of the directory.
+     * @returns {boolean} Whether the file has no errors.
      * @private
      */
-    _listen() {
-        // Listener for Application Commands (Slash, User Context, Message Context)
-        this.client.on('interactionCreate', async interaction => {
-            let command;
-            let commandType;
-            let commandName;
+    _validateTreeFile(part, file, kind, problems) {
+        const { errors, warnings } = CommandValidator.validate(part, { kind, type: CommandType.SLASH });
+        const label = path.relative(problems.dir, file);
+        problems.errors.push(...errors.map(error => `${label}: ${error}`));
+        problems.warnings.push(...warnings.map(warning => `${label}: ${warning}`));
+        return errors.length === 0;
+    }
 
-            // Determine command type from interaction
-            if (interaction.isChatInputCommand()) {
-                commandType = CommandType.SLASH;
-                commandName = interaction.commandName;
-            } else if (interaction.isUserContextMenuCommand()) {
-                commandType = CommandType.USER;
-                commandName = interaction.commandName;
-            } else if (interaction.isMessageContextMenuCommand()) {
-                commandType = CommandType.MESSAGE;
-                 commandName = interaction.commandName;
-            } else {
-                // Not a command interaction handled by this listener
-                // (Buttons, etc., are handled by InteractionManager if used)
-                return;
-            }
+    /**
+     * Loads and validates a single subcommand file of a subcommand directory.
+     * @param {string} file Absolute path to the subcommand file.
+     * @param {object} parent The parent command (from `_command.js`).
+     * @param {object | null} group The subcommand group (from `_group.js`), if any.
+     * @param {{ dir: string, errors: string[], warnings: string[] }} problems Problems of the directory (see `_validateTreeFile`).
+     * @returns {Promise<object | null>} The prepared subcommand object, or null if the file has errors.
+     * @private
+     */
+    async _loadSubcommand(file, parent, group, problems) {
+        const subcommand = await this._loadModule(file);
+        if (!this._validateTreeFile(subcommand, file, 'subcommand', problems)) return null;
 
-            // Find the command in our collection
-            command = this.commands.get(commandName);
+        for (const property of INHERITED_PROPERTIES) {
+            if (subcommand[property] === undefined) subcommand[property] = group?.[property] ?? parent[property];
+        }
+        subcommand.parent = parent;
+        subcommand.filePath = file;
+        subcommand.type = CommandType.SLASH;
+        subcommand.qualifiedName = [parent.data.name, group?.data.name, subcommand.data.name].filter(Boolean).join(' ');
+        return subcommand;
+    }
 
-            // Basic validation
-            if (!command || command.type !== commandType) {
-                this.logger.error(`Received interaction for unknown or mismatched command: ${commandName} (Type: ${commandType})`);
-                 // Inform user if possible?
-                 if (!interaction.replied && !interaction.deferred) {
-                    await interaction.reply({ content: 'An error occurred: Command not found or type mismatch.', ephemeral: true }).catch(() => {});
-                 }
-                return;
-            }
+    /**
+     * Resolves the subcommand file that handles an interaction of a subcommand directory command.
+     * @param {object} command The parent command.
+     * @param {import('discord.js').ChatInputCommandInteraction | import('discord.js').AutocompleteInteraction} interaction The interaction.
+     * @returns {object | null} The subcommand object, or null if it is unknown.
+     * @private
+     */
+    _resolveSubcommand(command, interaction) {
+        const key = [
+            interaction.options.getSubcommandGroup(false),
+            interaction.options.getSubcommand(false),
+        ].filter(Boolean).join('.');
+        return command.subcommands.get(key) || null;
+    }
 
-            const userId = interaction.user.id;
+    /**
+     * Finds the `_command.js` of the subcommand directory a file belongs to.
+     * @param {string} file Absolute path inside the command directory.
+     * @returns {string | null} Path to the `_command` file, or null if the file is not part of a subcommand directory.
+     * @private
+     */
+    _findCommandTreeFile(file) {
+        let dir = path.dirname(file);
+        while (dir.startsWith(this.commandDir + path.sep)) {
+            const treeFile = this._findSpecialFile(dir, COMMAND_TREE_FILE);
+            if (treeFile) return treeFile;
+            dir = path.dirname(dir);
+        }
+        return null;
+    }
 
-            // --- Pre-Execution Checks ---
+    /**
+     * Adds a prepared command (and its legacy aliases) to a commands collection.
+     * Name conflicts overwrite the earlier command; conflicting aliases are skipped.
+     * @param {object} command The command object returned by `_loadCommandFile`.
+     * @param {Collection<string, object>} [commands=this.commands] The collection to add the command to.
+     * @returns {string[]} The name and alias conflicts (also logged as warnings).
+     * @private
+     */
+    _registerCommand(command, commands = this.commands) {
+        // Legacy names and aliases are stored lowercase, since message input is matched case-insensitively
+        const isLegacy = command.type === CommandType.LEGACY;
+        const acceptsPrefix = isLegacy || command.type === CommandType.HYBRID;
+        const commandName = isLegacy ? command.name.toLowerCase() : command.data.name;
+        const conflicts = [];
 
-            // 1. Cooldown Check
-            const cooldownTimeLeft = this._handleCooldown(command, userId);
-            if (cooldownTimeLeft) {
-                return interaction.reply({
-                    content: `Please wait ${cooldownTimeLeft.toFixed(1)} more second(s) before reusing the \`${commandName}\` command.`,
-                    ephemeral: true
-                }).catch(e => this.logger.error(`Cooldown reply failed for ${commandName}:`, e));
-            }
+        // Register the main command name
+        if (commands.has(commandName)) {
+            conflicts.push(`Name "${commandName}" is already used by ${commands.get(commandName).filePath}. Overwriting it.`);
+            this.logger.warn(`Command name conflict: "${commandName}" from ${command.filePath} is already registered. Overwriting.`);
+        }
+        commands.set(commandName, command);
+        this.logger.debug(`Loaded ${command.type} command: ${commandName}`);
 
-             // 2. Permission Check (includes guildOnly, devOnly, roles, user perms, bot perms)
-             const permissionError = this._checkPermissions(command, interaction.member); // interaction.member is null in DMs
-             if (permissionError) {
-                 return interaction.reply({ content: permissionError, ephemeral: true })
-                    .catch(e => this.logger.error(`Permission reply failed for ${commandName}:`, e));
-             }
+        // Register legacy aliases if applicable
+        if (acceptsPrefix && command.aliases && Array.isArray(command.aliases)) {
+            command.aliases.map(alias => alias.toLowerCase()).forEach(alias => {
+                if (alias === commandName) return;
+                if (commands.has(alias)) {
+                    conflicts.push(`Alias "${alias}" is already registered as a command or alias. Skipping it.`);
+                    this.logger.warn(`Alias conflict: "${alias}" for command "${commandName}" is already registered as a command or alias. Skipping alias.`);
+                } else {
+                    commands.set(alias, command); // Point alias to the same command object
+                    this.logger.debug(`Registered alias "${alias}" for legacy command "${commandName}"`);
+                }
+            });
+        }
+        return conflicts;
+    }
 
-            // --- Execute Command ---
-            try {
-                this.logger.info(`Executing ${commandType} command "${commandName}" triggered by ${interaction.user.tag} (${userId})`);
-                // Pass interaction to the command's execute function
-                await command.execute(interaction);
-            } catch (error) {
-                this.logger.error(`Error executing ${commandType} command "${commandName}" (Source: ${command.filePath}):`, error);
-                // Try to inform the user about the error
-                 try {
-                     const replyMethod = (interaction.replied || interaction.deferred) ? 'followUp' : 'reply';
-                     await interaction[replyMethod]({ content: 'An error occurred while executing this command!', ephemeral: true });
-                 } catch (e) {
-                     this.logger.error(`Command execution error fallback reply failed for "${commandName}":`, e);
-                 }
+    /**
+     * Removes every collection entry (name and aliases) that was loaded from the given file.
+     * @param {string} file Absolute path to the command file.
+     * @returns {object[]} The removed command objects (without duplicates).
+     * @private
+     */
+    _unregisterFile(file) {
+        const removed = new Set();
+        for (const [key, command] of this.commands) {
+            if (command.filePath === file) {
+                this.commands.delete(key);
+                removed.add(command);
             }
-        });
+        }
+        return [...removed];
+    }
 
-        // Listener for Legacy Prefix Commands (only if prefix is set)
-        if (this.prefix) {
-            this.client.on('messageCreate', async message => {
-                // Basic checks: Ignore bots, DMs (unless configured otherwise), messages without prefix
-                if (message.author.bot || !message.guild || !message.content.startsWith(this.prefix)) {
-                    return;
-                }
+    /**
+     * Reloads a single command file. Handles added, changed and deleted files.
+     * If the new version fails to load, the previously loaded version is kept.
+     * Application commands are re-registered only when their `data` changed.
+     * @param {string} file Path to the command file.
+     * @returns {Promise<boolean>} True if the collection was updated, false otherwise.
+     * @throws {Error} In strict mode, if the file has errors or warnings (the previous version is kept).
+     */
+    async reloadCommand(file) {
+        const filePath = path.resolve(file);
 
-                // Parse arguments and command name
-                const args = message.content.slice(this.prefix.length).trim().split(/ +/);
-                const commandName = args.shift()?.toLowerCase(); // Get command name and remove it from args
+        // File deleted: unload whatever it provided
+        if (!fs.existsSync(filePath)) {
+            delete require.cache[filePath];
+            const removed = this._unregisterFile(filePath);
+            if (removed.length === 0) return false;
+            removed.forEach(cmd => this.logger.info(`Unloaded ${cmd.type} command "${cmd.data?.name || cmd.name}" (file removed).`));
+            if (removed.some(cmd => cmd.type !== CommandType.LEGACY)) this._scheduleRegistration();
+            return true;
+        }
 
-                if (!commandName) return; // No command name provided after prefix
+        const previous = this.commands.find(cmd => cmd.filePath === filePath);
+        const report = createLoadReport();
+        const command = await this._loadCommandFile(filePath, report);
+        if (this.strict && (report.skipped.length > 0 || report.warned.length > 0)) {
+            if (previous) this.logger.error(`Reload of ${filePath} failed validation. Keeping the previously loaded version of "${previous.data?.name || previous.name}".`);
+            throw this._createStrictError(report);
+        }
+        if (!command) {
+            if (previous) {
+                this.logger.error(`Reload of ${filePath} failed. Keeping the previously loaded version of "${previous.data?.name || previous.name}".`);
+            }
+            return false;
+        }
 
-                // Find the command (could be main name or an alias)
-                const command = this.commands.get(commandName);
+        this._unregisterFile(filePath);
+        this._registerCommand(command);
+        this.logger.info(`${previous ? 'Reloaded' : 'Loaded new'} ${command.type} command "${command.data?.name || command.name}" from ${filePath}`);
 
-                // Validate if it's a LEGACY command registered with this name/alias
-                if (!command || command.type !== CommandType.LEGACY) {
-                    return; // Not a valid legacy command or alias
-                }
+        // Only touch the Discord API if the application command definition changed
+        const previousData = previous?.data ? JSON.stringify(previous.data.toJSON()) : null;
+        const currentData = command.data ? JSON.stringify(command.data.toJSON()) : null;
+        if (previousData !== currentData) {
+            this._scheduleRegistration();
+        }
+        return true;
+    }
 
-                const userId = message.author.id;
+    /**
+     * Builds a JSON-serializable inventory of the loaded commands: names, types, categories, descriptions, option trees,
+     * aliases, cooldowns, required permissions and roles, and source files (see DocsGenerator.createManifest).
+     * Render it with `DocsGenerator.toMarkdown` / `toHTML`.
+     * @returns {{ prefix: string | null, commands: object[] }} The manifest.
+     */
+    getManifest() {
+        return DocsGenerator.createManifest(this);
+    }
 
-                 // --- Pre-Execution Checks ---
+    /**
+     * Writes the command manifest (see `getManifest`) to a JSON file, after the commands are loaded.
+     * @param {string} filePath Path of the JSON file (parent directories are created).
+     * @returns {Promise<object>} The manifest.
+     */
+    async exportManifest(filePath) {
+        await this.loaded;
+        const manifest = this.getManifest();
+        await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.promises.writeFile(filePath, `${JSON.stringify(manifest, null, 2)}\n`);
+        this.logger.info(`Exported the manifest of ${manifest.commands.length} command(s) to ${filePath}`);
+        return manifest;
+    }
 
-                // 1. Cooldown Check
-                const cooldownTimeLeft = this._handleCooldown(command, userId);
-                if (cooldownTimeLeft) {
-                     return message.reply(`Please wait ${cooldownTimeLeft.toFixed(1)} more second(s) before reusing the \`${command.name}\` command.`)
-                         .catch(e => this.logger.error(`Legacy cooldown reply failed for ${command.name}:`, e));
-                 }
+    /**
+     * Starts watching `commandDir` and `eventDir` (and their subdirectories) for added, changed or deleted files.
+     * Each change reloads only the affected file. Called automatically when `options.watch` is true.
+     */
+    watchCommands() {
+        if (this._watchers) return; // Already watching
+        this._watchers = new Map(); // <directoryPath, fs.FSWatcher>
+        this._reloadTimers = new Map(); // <filePath, Timeout> (debounces editor save bursts)
+        this._watchDirectory(this.commandDir);
+        this.logger.info(`Watching for command file changes in: ${this.commandDir}`);
+        if (this.events) {
+            this._watchDirectory(this.events.eventDir);
+            this.logger.info(`Watching for event file changes in: ${this.events.eventDir}`);
+        }
+    }
 
-                 // 2. Permission Check (includes guildOnly, devOnly, roles, user perms, bot perms)
-                 const permissionError = this._checkPermissions(command, message.member); // message.member exists because we checked message.guild
-                 if (permissionError) {
-                     return message.reply(permissionError)
-                         .catch(e => this.logger.error(`Legacy permission reply failed for ${command.name}:`, e));
-                 }
+    /**
+     * Stops watching the command and event directories and cancels pending reloads.
+     */
+    unwatchCommands() {
+        if (!this._watchers) return;
+        this._watchers.forEach(watcher => watcher.close());
+        this._reloadTimers.forEach(timer => clearTimeout(timer));
+        clearTimeout(this._registrationTimer);
+        this._watchers = null;
+        this._reloadTimers = null;
+        this._registrationTimer = null;
+        this.logger.info('Stopped watching for command file changes.');
+    }
 
-                // --- Execute Command ---
-                try {
-                    this.logger.info(`Executing ${CommandType.LEGACY} command "${command.name}" triggered by ${message.author.tag} (${userId})`);
-                    // Pass message and args to the legacy command's execute function
-                    await command.execute(message, args);
-                } catch (error) {
-                    this.logger.error(`Error executing ${CommandType.LEGACY} command "${command.name}" (Source: ${command.filePath}):`, error);
-                     // Try to inform the user
-                     await message.reply('An error occurred while executing this command!')
-                         .catch(e => this.logger.error(`Legacy command execution error fallback reply failed for "${command.name}":`, e));
-                }
+    /**
+     * Attaches a non-recursive watcher to a directory and all of its subdirectories.
+     * (Recursive `fs.watch` is not available on every platform for the supported Node versions.)
+     * @param {string} dir The directory to watch.
+     * @private
+     */
+    _watchDirectory(dir) {
+        if (!this._watchers || this._watchers.has(dir)) return;
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (eventType, filename) => {
+                if (filename) this._onWatchEvent(path.resolve(dir, filename.toString()));
             });
-             this.logger.info(`Listening for legacy commands with prefix: "${this.prefix}"`);
+        } catch (error) {
+            this.logger.error(`Could not watch directory ${dir}:`, error);
+            return;
+        }
+        watcher.on('error', error => this.logger.error(`Directory watcher error for ${dir}:`, error));
+        this._watchers.set(dir, watcher);
+
+        try {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (entry.isDirectory()) this._watchDirectory(path.resolve(dir, entry.name));
+            }
+        } catch (error) {
+            this.logger.warn(`Could not read subdirectories of ${dir}:`, error);
         }
     }
+
+    /**
+     * Handles a raw watcher event for a path inside the command (or event) directory.
+     * @param {string} changedPath Absolute path reported by the watcher.
+     * @private
+     */
+    _onWatchEvent(changedPath) {
+        let stat = null;
+        try {
+            stat = fs.statSync(changedPath);
+        } catch {
+            // Path no longer exists (deleted or renamed away)
+        }
+
+        if (this.events && (changedPath + path.sep).startsWith(this.events.eventDir + path.sep)) {
+            this._onEventWatchEvent(changedPath, stat);
+            return;
+        }
+
+        if (stat?.isDirectory()) {
+            // New directory: watch it and pick up any files already inside
+            if (!this._watchers.has(changedPath)) {
+                this._watchDirectory(changedPath);
+                this._readDirRecursive(changedPath).forEach(file => this._queueReload(this._findCommandTreeFile(file) || file));
+            }
+            return;
+        }
+
+        if (!stat && this._watchers.has(changedPath)) {
+            // Directory removed: stop watching it and unload everything it contained
+            const prefix = changedPath + path.sep;
+            for (const [dir, watcher] of this._watchers) {
+                if (dir === changedPath || dir.startsWith(prefix)) {
+                    watcher.close();
+                    this._watchers.delete(dir);
+                }
+            }
+            new Set(this.commands.filter(cmd => cmd.filePath?.startsWith(prefix)).map(cmd => cmd.filePath))
+                .forEach(file => this._queueReload(file));
+            // A removed subcommand group changes its parent command
+            const treeFile = this._findCommandTreeFile(changedPath);
+            if (treeFile) this._queueReload(treeFile);
+            return;
+        }
+
+        // Changes inside a subcommand directory reload the whole assembled command
+        if (this._isModuleFile(changedPath)) this._queueReload(this._findCommandTreeFile(changedPath) || changedPath);
+    }
+
+    /**
+     * Handles a watcher event inside the event directory.
+     * @param {string} changedPath Absolute path reported by the watcher.
+     * @param {fs.Stats | null} stat The path's stats, or null if it no longer exists.
+     * @private
+     */
+    _onEventWatchEvent(changedPath, stat) {
+        const reloadEvent = file => this.events.reloadEvent(file);
+
+        if (stat?.isDirectory()) {
+            if (!this._watchers.has(changedPath)) {
+                this._watchDirectory(changedPath);
+                this._readDirRecursive(changedPath).forEach(file => this._queueReload(file, reloadEvent));
+            }
+            return;
+        }
+
+        if (!stat && this._watchers.has(changedPath)) {
+            // Directory removed: stop watching it and detach everything it contained
+            const prefix = changedPath + path.sep;
+            for (const [dir, watcher] of this._watchers) {
+                if (dir === changedPath || dir.startsWith(prefix)) {
+                    watcher.close();
+                    this._watchers.delete(dir);
+                }
+            }
+            [...this.events.events.keys()].filter(file => file.startsWith(prefix)).forEach(file => this._queueReload(file, reloadEvent));
+            return;
+        }
+
+        if (this._isModuleFile(changedPath)) this._queueReload(changedPath, reloadEvent);
+    }
+
+    /**
+     * Debounces reloads of a single file (editors often emit several events per save).
+     * @param {string} file Absolute path to the command (or event) file.
+     * @param {(file: string) => Promise<boolean>} [reload] Reloads the file. Defaults to `reloadCommand`.
+     * @private
+     */
+    _queueReload(file, reload = changedFile => this.reloadCommand(changedFile)) {
+        if (!this._reloadTimers) return;
+        clearTimeout(this._reloadTimers.get(file));
+        this._reloadTimers.set(file, setTimeout(() => {
+            this._reloadTimers?.delete(file);
+            Promise.resolve(reload(file)).catch(error => this.logger.error(`Reload of ${file} failed:`, error));
+        }, 100));
+    }
+
+    /**
+     * Debounces application command registration after hot reloads, so saving several files
+     * results in a single API call. Does nothing until the client is ready.
+     * @private
+     */
+    _scheduleRegistration() {
+        if (!this.client.isReady()) return; // The 'ready' listener registers everything anyway
+        clearTimeout(this._registrationTimer);
+        this._registrationTimer = setTimeout(() => {
+            this._registrationTimer = null;
+            this.registerSlashCommands();
+        }, 1000);
+    }
+
+    /**
+     * Registers Application (Slash) Commands with Discord.
+     * Each command is registered where it belongs (see `getRegistrationTargets`): globally, in the dev guild(s),
+     * or in the guilds it lists in `guilds`. Guilds that no longer have commands are emptied, and so is the global list
+     * when no commands are left, so removed commands don't stay registered.
+     * With `syncMode: 'diff'` only changed commands are sent (see `syncApplicationCommands`),
+     * otherwise each command list is overwritten with a single PUT.
+     * Automatically called when the client is ready.
+     */
+    async registerSlashCommands() {
+        this._warnUnregisteredCommands();
+
+        if (this.syncMode === 'diff') {
+            await this.syncAllApplicationCommands();
+            return;
+        }
+
+        const rest = this._createRest();
+        if (!rest) return;
+
+        for (const [guildId, applicationCommandsData] of this.getRegistrationTargets()) {
+            const { route: registrationRoute, description: locationDescription } = this._getCommandsRoute(guildId);
+            try {
+                this.logger.info(`Registering ${applicationCommandsData.length} application command(s) ${locationDescription}...`);
+
+                // Perform the registration (PUT request overwrites existing commands)
+                const data = await rest.put(registrationRoute, { body: applicationCommandsData });
+                if (guildId) this._registeredGuildIds.add(guildId);
+
+                this.logger.info(`Successfully registered ${data.length} application command(s) ${locationDescription}.`);
+
+            } catch (error) {
+                this._logApiError(`Failed to register application commands ${locationDescription}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Groups the application commands by where they are registered:
+     * - commands with `guilds: [...]` go to those guilds,
+     * - commands with `scope: 'guild'` go to the dev guild(s),
+     * - commands with `scope: 'global'` are always registered globally,
+     * - all other commands are registered globally, or in the dev guild(s) while `registerGlobally` is false.
+     *
+     * Every dev guild, `cleanupGuilds` entry and guild registered to earlier in this session is included
+     * (possibly with an empty list) so commands removed from it are deleted. The global list is only included
+     * if anything is registered globally, so development runs never touch production commands.
+     * @returns {Map<string | null, object[]>} Command data per guild ID (`null` = global).
+     */
+    getRegistrationTargets() {
+        const targets = new Map();
+        const add = guildId => {
+            if (!targets.has(guildId)) targets.set(guildId, []);
+            return targets.get(guildId);
+        };
+
+        if (this._registersGlobally()) add(null);
+        const cleanupGuilds = this.cleanupGuilds === 'all' ? [...this.client.guilds.cache.keys()] : this.cleanupGuilds;
+        [...this.devGuildIds, ...cleanupGuilds, ...this._registeredGuildIds].forEach(add);
+
+        for (const command of this._getApplicationCommands()) {
+            const data = this.i18n.localizeCommand(command.data.toJSON()); // Get the JSON representation for the API, with translations from locale files
+            this._getCommandGuildIds(command).forEach(guildId => add(guildId).push(data));
+        }
+        return targets;
+    }
+
+    /**
+     * Warns about application commands that are registered nowhere: `scope: 'guild'` without `guilds` or dev guilds.
+     * Called once per registration, not for every lookup of the targets.
+     * @private
+     */
+    _warnUnregisteredCommands() {
+        for (const command of this._getApplicationCommands()) {
+            if (this._getCommandGuildIds(command).length > 0) continue;
+            this.logger.warn(`Command "${command.data.name}" has scope 'guild' but no guilds and no devGuildId are configured. It is not registered.`);
+        }
+    }
+
+    /**
+     * Syncs every registration target (see `getRegistrationTargets`) with `syncApplicationCommands`.
+     * @param {object} [options={}] Sync options.
+     * @param {boolean} [options.dryRun=false] If true, only computes and logs the plans.
+     * @param {boolean} [options.deleteStale=true] Whether registered commands that no longer exist locally should be deleted.
+     * @returns {Promise<Map<string | null, object | null>>} The sync plan per guild ID (`null` = global), null where the sync failed.
+     */
+    async syncAllApplicationCommands({ dryRun = false, deleteStale = true } = {}) {
+        const plans = new Map();
+        for (const guildId of this.getRegistrationTargets().keys()) {
+            plans.set(guildId, await this.syncApplicationCommands({ guildId, dryRun, deleteStale }));
+        }
+        return plans;
+    }
+
+    /**
+     * Compares the locally loaded application commands with the ones registered on Discord
+     * and creates, edits or deletes only the commands that differ.
+     * @param {object} [options={}] Sync options.
+     * @param {string | null} [options.guildId] Guild to sync. `null` syncs global commands. Defaults to the configured registration target.
+     *        Only the commands registered in that guild (see `getRegistrationTargets`) are compared.
+     * @param {boolean} [options.dryRun=false] If true, only computes and logs the plan without calling the API for changes.
+     * @param {boolean} [options.deleteStale=true] Whether registered commands that no longer exist locally should be deleted.
+     * @returns {Promise<{ create: object[], update: object[], delete: object[], unchanged: string[] } | null>} The sync plan, or null if the sync failed.
+     */
+    async syncApplicationCommands({ guildId = this._getDefaultGuildId(), dryRun = false, deleteStale = true } = {}) {
+        const rest = this._createRest();
+        if (!rest) return null;
+
+        const { route, description } = this._getCommandsRoute(guildId);
+
+        try {
+            const remoteCommands = await rest.get(route);
+            const plan = CommandSync.diff(this._getApplicationCommandsData(guildId), remoteCommands);
+            if (!deleteStale) plan.delete = [];
+
+            this._logSyncPlan(plan, description, dryRun);
+            if (!dryRun) {
+                await this._applySyncPlan(rest, guildId, plan);
+                if (guildId) this._registeredGuildIds.add(guildId);
+            }
+            return plan;
+        } catch (error) {
+            this._logApiError(`Failed to sync application commands ${description}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Deletes registered application commands that no longer exist locally, without creating or editing anything.
+     * @param {object} [options={}] Purge options.
+     * @param {string | null} [options.guildId] Guild to purge. `null` targets global commands. Defaults to the configured registration target.
+     * @param {boolean} [options.dryRun=false] If true, only logs which commands would be deleted.
+     * @returns {Promise<{ id: string, name: string }[] | null>} The stale commands, or null if the purge failed.
+     */
+    async purgeStaleCommands({ guildId = this._getDefaultGuildId(), dryRun = false } = {}) {
+        const rest = this._createRest();
+        if (!rest) return null;
+
+        const { route, description } = this._getCommandsRoute(guildId);
+
+        try {
+            const remoteCommands = await rest.get(route);
+            const { delete: stale } = CommandSync.diff(this._getApplicationCommandsData(guildId), remoteCommands);
+            const plan = { create: [], update: [], delete: stale, unchanged: [] };
+
+            this._logSyncPlan(plan, description, dryRun);
+            if (!dryRun) await this._applySyncPlan(rest, guildId, plan);
+            return stale;
+        } catch (error) {
+            this._logApiError(`Failed to purge stale application commands ${description}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Removes ALL application commands from the target scope (guild or global).
+     * Useful if command names/types change drastically. Use with extreme caution!
+     * @param {object} [options={}] Options.
+     * @param {string | null} [options.guildId] Guild to clear. `null` clears global commands. Defaults to the configured registration target.
+     * @returns {Promise<boolean>} True if the commands were cleared.
+     */
+    async clearApplicationCommands({ guildId = this._getDefaultGuildId() } = {}) {
+        const rest = this._createRest();
+        if (!rest) return false;
+
+        const { route, description } = this._getCommandsRoute(guildId);
+
+        try {
+            this.logger.warn(`Clearing all application commands ${description}...`);
+            await rest.put(route, { body: [] });
+            this.logger.info(`Successfully cleared application commands ${description}.`);
+            return true;
+        } catch (error) {
+            this._logApiError(`Failed to clear application commands ${description}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Gets the loaded application commands, without duplicates from aliases.
+     * @returns {object[]}
+     * @private
+     */
+    _getApplicationCommands() {
+        return [...new Set(this.commands.values())].filter(cmd => cmd.type !== CommandType.LEGACY && cmd.data);
+    }
+
+    /**
+     * Gets the JSON representation of the application commands registered in one place.
+     * @param {string | null} guildId Guild ID, or null for global commands.
+     * @returns {object[]} Command data for the API.
+     * @private
+     */
+    _getApplicationCommandsData(guildId) {
+        return this.getRegistrationTargets().get(guildId) || [];
+    }
+
+    /**
+     * Gets where a command is registered.
+     * @param {object} command The command object.
+     * @returns {(string | null)[]} Guild IDs, or `[null]` for global registration.
+     * @private
+     */
+    _getCommandGuildIds(command) {
+        if (command.guilds?.length) return command.guilds;
+        if (command.scope === 'global') return [null];
+        if (command.scope === 'guild' || !this._registersGlobally()) return this.devGuildIds;
+        return [null];
+    }
+
+    /**
+     * Whether commands without an explicit scope are registered globally.
+     * @returns {boolean}
+     * @private
+     */
+    _registersGlobally() {
+        return this.registerGlobally || this.devGuildIds.length === 0;
+    }
+
+    /**
+     * Gets the guild commands are registered to by default (the first dev guild), or null for global registration.
+     * @returns {string | null}
+     * @private
+     */
+    _getDefaultGuildId() {
+        return this._registersGlobally() ? null : this.devGuildIds[0];
+    }
+
+    /**
+     * Gets the API route for the command list of a scope.
+     * @param {string | null} guildId Guild ID, or null for global commands.
+     * @returns {{ route: string, description: string }}
+     * @private
+     */
+    _getCommandsRoute(guildId) {
+        const applicationId = this.client.application.id;
+        return guildId
+            ? { route: Routes.applicationGuildCommands(applicationId, guildId), description: `in guild ${guildId}` }
+            : { route: Routes.applicationCommands(applicationId), description: 'globally' };
+    }
+
+    /**
+     * Creates a REST client for the application commands API, if the client is able to use it.
+     * @returns {REST | null} The REST client, or null if the token or application ID is missing.
+     * @private
+     */
+    _createRest() {
+        if (!this.client.token) {
+            this.logger.error('Cannot register application commands: Client token is missing.');
+            return null;
+        }
+        if (!this.client.application?.id) {
+            // This might happen if called before the client is fully ready
+            this.logger.error('Cannot register application commands: Client application ID is missing. Ensure the client is ready.');
+            return null;
+        }
+        return new REST({ version: '10' }).setToken(this.client.token);
+    }
+
+    /**
+     * Sends the create/edit/delete requests of a sync plan, one at a time (the REST client handles rate limits).
+     * @param {REST} rest The REST client.
+     * @param {string | null} guildId Guild ID, or null for global commands.
+     * @param {object} plan The plan returned by `CommandSync.diff`.
+     * @private
+     */
+    async _applySyncPlan(rest, guildId, plan) {
+        const applicationId = this.client.application.id;
+        const commandRoute = id => guildId
+            ? Routes.applicationGuildCommand(applicationId, guildId, id)
+            : Routes.applicationCommand(applicationId, id);
+        const { route, description } = this._getCommandsRoute(guildId);
+
+        for (const data of plan.create) {
+            await rest.post(route, { body: data });
+        }
+        for (const { id, data } of plan.update) {
+            await rest.patch(commandRoute(id), { body: data });
+        }
+        for (const { id } of plan.delete) {
+            await rest.delete(commandRoute(id));
+        }
+        this.logger.info(`Successfully synced application commands ${description} (${plan.create.length} created, ${plan.update.length} updated, ${plan.delete.length} deleted, ${plan.unchanged.length} unchanged).`);
+    }
+
+    /**
+     * Logs the changes a sync plan will make (or would make, for dry runs).
+     * @param {object} plan The sync plan.
+     * @param {string} description Human-readable scope description.
+     * @param {boolean} dryRun Whether this is a dry run.
+     * @private
+     */
+    _logSyncPlan(plan, description, dryRun) {
+        const changes = plan.create.length + plan.update.length + plan.delete.length;
+        const prefix = dryRun ? '[Dry run] ' : '';
+        if (changes === 0) {
+            this.logger.info(`${prefix}Application commands ${description} are up to date (${plan.unchanged.length} unchanged).`);
+            return;
+        }
+        this.logger.info(`${prefix}Application command changes ${description}:`);
+        plan.create.forEach(data => this.logger.info(`  + create "${data.name}"`));
+        plan.update.forEach(({ name }) => this.logger.info(`  ~ update "${name}"`));
+        plan.delete.forEach(({ name }) => this.logger.info(`  - delete "${name}"`));
+    }
+
+    /**
+     * Logs an API error, including the response body if available.
+     * @param {string} message The log message.
+     * @param {Error} error The error thrown by the REST client.
+     * @private
+     */
+    _logApiError(message, error) {
+        this.logger.error(message, error);
+        // Log more detailed error info if available (e.g., response body)
+        if (error.rawError ?? error.response?.data) {
+            this.logger.error("API Error Details:", error.rawError ?? error.response.data);
+        }
+    }
+
+    /**
+     * Builds the reply shown when a command is on cooldown.
+     * A string template may use `{time}` (seconds, e.g. "4.2"), `{duration}` (e.g. "1m 5s"), `{command}` and `{uses}`.
+     * Without a template, the `suite.cooldown` translation for the context's locale is used.
+     * A function receives `(context, { remaining, limit })` and may return a string or reply options.
+     * @param {object} context The command context.
+     * @param {{ remaining: number, limit: object }} cooldown The blocking limit and remaining time in milliseconds.
+     * @returns {string | object} The reply.
+     * @private
+     */
+    _formatCooldownMessage(context, cooldown) {
+        const template = cooldown.limit.message ?? this.cooldownMessage;
+        if (typeof template === 'function') return template(context, cooldown);
+        const vars = {
+            time: (cooldown.remaining / 1000).toFixed(1),
+            duration: CommonUtils.formatDuration(cooldown.remaining),
+            command: context.commandName,
+            uses: cooldown.limit.uses,
+        };
+        return template ? this.i18n.format(template, vars) : this.i18n.t('suite.cooldown', context.locale, vars);
+    }
+
+    /**
+     * Builds the reply for a call rejected by a concurrency limit.
+     * @param {object} context The command context.
+     * @param {object} limit The limit that rejected the call (see ConcurrencyManager.normalize).
+     * @returns {string | object} The reply content or options.
+     * @private
+     */
+    _formatConcurrencyMessage(context, limit) {
+        const vars = { command: context.commandName, limit: limit.limit };
+        if (typeof limit.message === 'function') return limit.message(context, limit);
+        return limit.message ? this.i18n.format(limit.message, vars) : this.i18n.t('suite.concurrencyLimit', context.locale, vars);
+    }
+
+    /**
+     * Asks the invoker to confirm the command with Confirm/Cancel buttons. Used by the `confirm` command property
+     * (before `execute`) and by `context.confirm()` (inside `execute`).
+     *
+     * Only the invoker can press the buttons; others get an ephemeral notice. Cancelling edits the prompt; on timeout the
+     * buttons are disabled and the prompt is edited as well. After a confirmation, the command's first reply replaces the prompt
+     * (see `_sendReply`), so `execute` can reply as usual.
+     * @param {object} context The command context.
+     * @param {string | Function | object} [options={}] The prompt message, or options:
+     *        `{ message, timeout = 30, confirmLabel, cancelLabel, ephemeral = false }`. `message` is a string, reply options
+     *        or a function `(context) => string | replyOptions`; it defaults to the `suite.confirm.prompt` translation.
+     * @returns {Promise<boolean>} Whether the invoker confirmed.
+     * @throws {Error} If the command was already confirmed (a command asks at most once).
+     * @private
+     */
+    async _confirm(context, options = {}) {
+        if (context.confirmation) throw new Error(`Command "${context.commandName}" already asked for confirmation.`);
+        if (typeof options !== 'object' || options === null) options = { message: options };
+        const { interaction, message, user } = context;
+        const customId = `${CONFIRM_CUSTOM_ID}:${(interaction || message).id}`;
+        const buttons = disabled => new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${customId}:yes`)
+                .setLabel(options.confirmLabel || context.t('suite.confirm.confirm'))
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(disabled),
+            new ButtonBuilder()
+                .setCustomId(`${customId}:no`)
+                .setLabel(options.cancelLabel || context.t('suite.confirm.cancel'))
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(disabled),
+        );
+
+        const text = typeof options.message === 'function' ? await options.message(context) : options.message;
+        const payload = {
+            ...(typeof text === 'object' && text ? text : { content: text ?? context.t('suite.confirm.prompt', { command: context.commandName }) }),
+            components: [buttons(false)],
+        };
+        let prompt;
+        if (!interaction) prompt = await message.reply(payload);
+        else if (interaction.replied || interaction.deferred) prompt = await interaction.editReply(payload);
+        else prompt = await interaction.reply({ ...payload, ephemeral: options.ephemeral ?? false, fetchReply: true });
+
+        let button = null;
+        try {
+            button = await prompt.awaitMessageComponent({
+                time: (options.timeout ?? 30) * 1000,
+                filter: async pressed => {
+                    if (!pressed.customId?.startsWith(`${customId}:`)) return false;
+                    if (pressed.user.id === user.id) return true;
+                    const locale = await this.i18n.resolveLocale({ interaction: pressed });
+                    await pressed.reply({ content: this.i18n.t('suite.confirm.notYours', locale, { user: `<@${user.id}>` }), ephemeral: true }).catch(() => {});
+                    return false;
+                },
+            });
+        } catch (_) {
+            // Timed out (or the prompt was deleted)
+        }
+
+        const status = !button ? 'timedOut' : button.customId.endsWith(':yes') ? 'confirmed' : 'cancelled';
+        context.confirmation = { status, prompt, replaced: false };
+        this.logger.debug(`Confirmation of ${context.type} command "${context.commandName}" by ${user.tag} (${user.id}): ${status}`);
+        const update = { content: context.t(`suite.confirm.${status}`), components: status === 'confirmed' ? [] : [buttons(true)] };
+        try {
+            if (button) await button.update(update);
+            else if (interaction) await interaction.editReply(update);
+            else await prompt.edit(update);
+        } catch (error) {
+            this.logger.warn(`Could not update the confirmation prompt of "${context.commandName}": ${error.message}`);
+        }
+
+        return status === 'confirmed';
+    }
+
+    /**
+     * Sends a reply of a command (through the interaction or message view it received, or `context.reply`), accounting for
+     * responses the handler already sent: the first reply after a confirmation replaces the prompt (later ones are follow-ups
+     * for interactions), an interaction deferred while queued is answered by editing the deferral, and replies of an
+     * edit-tracked message reuse its previous responses.
+     * @param {object} context The command context.
+     * @param {import('discord.js').CommandInteraction | import('discord.js').Message} source The interaction or message itself.
+     * @param {string | object} response Content string or reply options.
+     * @returns {Promise<*>} What the underlying discord.js call returned.
+     * @private
+     */
+    _sendReply(context, source, response) {
+        const confirmed = context.confirmation?.status === 'confirmed' ? context.confirmation : null;
+        if (confirmed && !confirmed.replaced) {
+            confirmed.replaced = true;
+            return context.interaction ? source.editReply(toReplyEdit(response)) : confirmed.prompt.edit(toReplyEdit(response));
+        }
+        if (!context.interaction) return context.tracking ? this._sendTracked(context.tracking, source, response) : source.reply(response);
+        if (confirmed) return source.followUp(response);
+        return source.deferred && !source.replied ? source.editReply(toReplyEdit(response)) : source.reply(response);
+    }
+
+    /**
+     * Defers the reply of a command's interaction, unless the handler already answered it: an unreplaced confirmation
+     * prompt (the following `editReply` replaces it) or the deferral of a queued call.
+     * @param {object} context The command context.
+     * @param {import('discord.js').CommandInteraction} interaction The interaction itself.
+     * @param {object} [options] Defer options.
+     * @returns {Promise<*>} The prompt, or what `deferReply` returned.
+     * @private
+     */
+    async _deferReply(context, interaction, options) {
+        const { confirmation } = context;
+        if (confirmation?.status === 'confirmed' && !confirmation.replaced) {
+            confirmation.replaced = true;
+            return confirmation.prompt;
+        }
+        if (interaction.deferred && !interaction.replied) return undefined;
+        return interaction.deferReply(options);
+    }
+
+    /**
+     * Checks if the user and bot have the necessary permissions and roles to execute the command.
+     * @param {object} command The command object.
+     * @param {import('discord.js').GuildMember | null} member The GuildMember executing the command.
+     * @param {import('discord.js').User} [user] The user executing the command (needed for owner checks in DMs).
+     * @param {string} [locale] Locale of the error message.
+     * @returns {string | null} An error message string if checks fail, or null if checks pass.
+     * @private
+     */
+    _checkPermissions(command, member, user = member?.user, locale = this.i18n.defaultLocale) {
+        // Guild Scope Check (commands registered to specific guilds only run there, even through a prefix or a stale registration)
+        const guilds = command.guilds ?? command.parent?.guilds;
+        if (guilds?.length && !guilds.includes(member?.guild?.id)) {
+            return this.i18n.t('suite.notAvailableHere', locale);
+        }
+
+        // Guild Only Check
+        if (command.guildOnly && !member) {
+             return this.i18n.t('suite.guildOnly', locale);
+        }
+
+        // Owner Only Check
+         if (command.devOnly && !this.ownerIds.includes(user?.id ?? member?.id)) {
+             return this.i18n.t('suite.devOnly', locale);
+         }
+
+        // User Permissions Check (only applicable in guilds)
+        if (member && command.permissions && command.permissions.length > 0) {
+            const missingUserPerms = command.permissions.filter(perm => !PermissionUtils.hasPermission(member, perm));
+            if (missingUserPerms.length > 0) {
+                return this.i18n.t('suite.missingPermissions', locale, { permissions: missingUserPerms.join(', ') });
+            }
+        }
+
+        // User Roles Check (only applicable in guilds)
+        if (member && command.roles && command.roles.length > 0) {
+            const hasRequiredRole = command.roles.some(roleResolvable => PermissionUtils.hasRole(member, roleResolvable));
+            if (!hasRequiredRole) {
+                // Try to resolve role names for a better message
+                const requiredRoleNames = command.roles.map(r => {
+                     const resolvedRole = typeof r === 'string' ? CommonUtils.resolveRole(member.guild, r) : r;
+                     return resolvedRole ? resolvedRole.name : r; // Show name if resolved, otherwise show input
+                 }).join(', ');
+                return this.i18n.t('suite.missingRoles', locale, { roles: requiredRoleNames });
+            }
+        }
+
+        // Bot Permissions Check (only applicable in guilds)
+        if (member && command.botPermissions && command.botPermissions.length > 0) {
+            const botMember = member.guild.members.me; // Get the bot's GuildMember object
+             if (!botMember) return this.i18n.t('suite.botPermissionsUnknown', locale); // Should usually not happen
+            const missingBotPerms = command.botPermissions.filter(perm => !PermissionUtils.hasPermission(botMember, perm));
+             if (missingBotPerms.length > 0) {
+                 return this.i18n.t('suite.missingBotPermissions', locale, { permissions: missingBotPerms.join(', ') });
+             }
+        }
+
+        return null; // All checks passed
+    }
+
+    /**
+     * Registers a middleware in the command execution pipeline.
+     * Middlewares run in registration order for both application and legacy commands.
+     * The built-in 'settings', 'cooldown', 'permissions', 'arguments', 'confirmation' and 'concurrency' middlewares are registered first.
+     *
+     * A middleware is either a function (used as the `before` hook) or an object:
+     * - `name` {string} Identifier (used in logs, `options.before` and `removeMiddleware`).
+     * - `before(context)` Runs before `execute`. Call `context.block(reply)` or return `false` to stop the command.
+     *   Properties added to `context.state` are visible to later middlewares and to the command.
+     * - `after(context)` Runs after `execute` (or after the command was blocked). `context.result`,
+     *   `context.error` (with `context.errorId`) and `context.blocked` describe the outcome. Errors thrown here are logged and ignored.
+     * @param {Function | { name?: string, before?: Function, after?: Function }} middleware The middleware.
+     * @param {object} [options={}] Options.
+     * @param {string} [options.before] Insert the middleware before the middleware with this name instead of appending it.
+     * @returns {this} The CommandHandler instance for chaining.
+     * @throws {Error} If the middleware has neither a `before` nor an `after` hook.
+     */
+    use(middleware, options = {}) {
+        const entry = typeof middleware === 'function'
+            ? { name: middleware.name || 'anonymous', before: middleware }
+            : { ...middleware, name: middleware?.name || 'anonymous' };
+        if (typeof entry.before !== 'function' && typeof entry.after !== 'function') {
+            throw new Error(`Middleware "${entry.name}" must be a function or an object with a 'before' and/or 'after' function.`);
+        }
+
+        const index = options.before ? this.middlewares.findIndex(mw => mw.name === options.before) : -1;
+        if (index === -1) this.middlewares.push(entry);
+        else this.middlewares.splice(index, 0, entry);
+        this.logger.debug(`Registered command middleware: ${entry.name}`);
+        return this;
+    }
+
+    /**
+     * Removes a middleware (including the built-in ones) by name.
+     * @param {string} name The middleware name.
+     * @returns {boolean} True if a middleware was removed.
+     */
+    removeMiddleware(name) {
+        const index = this.middlewares.findIndex(mw => mw.name === name);
+        if (index === -1) return false;
+        this.middlewares.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Registers the built-in checks as middlewares, so custom middlewares can be placed around them.
+     * @private
+     */
+    _registerBuiltinMiddlewares() {
+        this.use({
+            name: 'settings',
+            before: async context => {
+                const evaluation = await this._evaluateGuildSettings(context);
+                if (!evaluation) return;
+                const { settings, denied, allowed } = evaluation;
+                context.state.guildSettings = settings; // Available to commands, e.g. the help command hides disabled commands
+                if (denied) {
+                    context.block(context.t(`suite.${denied}`));
+                    return;
+                }
+                context.state.permissionOverride = allowed; // Read by the permissions middleware
+            },
+        });
+        this.use({
+            name: 'cooldown',
+            before: async context => {
+                let cooldown;
+                try {
+                    cooldown = await this.cooldowns.consume(context.command, context);
+                } catch (error) {
+                    // A failing cooldown store should not take every command down with it
+                    this.logger.error(`Cooldown check failed for "${context.commandName}". Allowing execution:`, error);
+                    return;
+                }
+                if (cooldown) context.block(this._formatCooldownMessage(context, cooldown));
+            },
+        });
+        this.use({
+            name: 'permissions',
+            before: context => {
+                // Includes guildOnly, devOnly, roles, user perms, bot perms
+                // An allow override from the guild settings replaces the command's own permission and role requirements
+                const command = context.state.permissionOverride ? { ...context.command, permissions: [], roles: [] } : context.command;
+                const permissionError = this._checkPermissions(command, context.member, context.user, context.locale); // member is null in DMs
+                if (permissionError) context.block(permissionError);
+            },
+        });
+        this.use({
+            name: 'arguments',
+            before: async context => {
+                // Only legacy commands that declare an argument schema are parsed
+                const { command } = context;
+                if (context.type !== CommandType.LEGACY || (!command.args && !command.flags)) return;
+
+                const { values, error } = await ArgumentParser.parse(context.rawArgs, command, context.message, { i18n: this.i18n, locale: context.locale });
+                if (error) {
+                    context.block(context.t('suite.usage', { error, usage: ArgumentParser.formatUsage({ ...command, name: context.commandName }, context.displayPrefix) }));
+                    return;
+                }
+                context.args = values; // Named values replace the raw string array
+            },
+        });
+        this.use({
+            name: 'confirmation',
+            before: async context => {
+                // Runs after the other checks, so users aren't asked to confirm a command they can't use
+                const { confirm } = context.command;
+                if (confirm && !(await context.confirm(confirm === true ? {} : confirm))) context.block();
+            },
+        });
+        this.use({
+            name: 'concurrency',
+            before: async context => {
+                const { interaction } = context;
+                const { execution, blocked } = await this.concurrency.acquire(context.command, context, {
+                    // Interactions must be answered within 3 seconds, so queued ones are deferred while they wait
+                    onQueued: () => (interaction && !interaction.deferred && !interaction.replied ? interaction.deferReply().catch(() => {}) : null),
+                });
+                if (blocked) context.block(this._formatConcurrencyMessage(context, blocked));
+                else context.execution = execution;
+            },
+            after: context => {
+                if (!context.timedOut) return this.concurrency.release(context.execution);
+                // A timed-out execute keeps running, so it keeps its slot until it actually settles
+                const release = () => this.concurrency.release(context.execution);
+                context.running.then(release, release);
+            },
+        });
+    }
+
+    /**
+     * Creates the context object passed through the middleware pipeline and to `execute`.
+     * @param {object} data Context data.
+     * @param {object} data.command The command object.
+     * @param {string} data.type The command type (see CommandType).
+     * @param {import('discord.js').CommandInteraction} [data.interaction] The interaction (application commands).
+     * @param {import('discord.js').Message} [data.message] The message (legacy commands).
+     * @param {string[]} [data.args] Whitespace-split arguments (legacy commands).
+     * @param {string} [data.rawArgs] The unparsed argument string (legacy commands).
+     * @param {string} [data.prefix] The prefix the message used (legacy commands).
+     * @param {boolean} [data.edited=false] Whether the command is re-run because its message was edited (legacy commands, see `editTracking`).
+     * @returns {object} The command context.
+     * @private
+     */
+    _createContext({ command, type, interaction = null, message = null, args = [], rawArgs = '', prefix = null, edited = false }) {
+        const source = interaction || message;
+        const context = {
+            handler: this,
+            client: this.client,
+            command,
+            commandName: command.qualifiedName || command.data?.name || command.name,
+            type,
+            // Commands get views of the interaction and message whose replies account for responses the handler sent
+            // (confirmation prompts, deferrals of queued calls, tracked responses), so `execute` can reply as usual
+            interaction: interaction && withMethods(interaction, {
+                reply: response => this._sendReply(context, interaction, response),
+                deferReply: options => this._deferReply(context, interaction, options),
+            }),
+            message: message && withMethods(message, { reply: response => this._sendReply(context, message, response) }),
+            args,
+            rawArgs,
+            prefix,
+            edited,
+            // Mention prefixes are shown as "@Bot " in usage messages instead of the raw mention markup
+            displayPrefix: prefix?.startsWith('<@') ? `@${this.client.user?.username ?? 'bot'} ` : prefix,
+            user: interaction ? interaction.user : message.author,
+            member: source.member ?? null,
+            guild: source.guild ?? null,
+            channel: source.channel ?? null,
+            locale: this.i18n.defaultLocale, // Resolved before the middlewares run
+            state: {}, // Free-form data shared between middlewares and the command
+            blocked: false,
+            blockedBy: null,
+            execution: null, // The tracked execution (see ConcurrencyManager), set by the concurrency middleware
+            timedOut: false,
+            running: null, // The promise of the `execute` call (it keeps running after a timeout)
+            confirmation: null, // { status: 'confirmed' | 'cancelled' | 'timedOut', prompt, replaced } once the invoker was asked to confirm
+            tracking: null, // The edit tracking entry of the message while it runs (see `_runTracked`)
+            blockReply: null,
+            result: undefined,
+            error: null,
+            errorId: null, // The ID of an internal error, shown in the reply and the log
+            block(reply = null) {
+                context.blocked = true;
+                context.blockReply = reply;
+            },
+            /**
+             * Translates a key for the invoker's locale (see I18n#t).
+             * @param {string} key Dot-separated key.
+             * @param {object} [vars] Values for `{placeholder}` interpolation.
+             * @returns {string}
+             */
+            t: (key, vars) => this.i18n.t(key, context.locale, vars),
+            /**
+             * Replies to the invoker, ephemerally for interactions.
+             * @param {string | object} response Content string or reply options.
+             */
+            reply(response) {
+                if (message) return context.message.reply(response);
+                const payload = typeof response === 'string' ? { content: response, ephemeral: true } : { ephemeral: true, ...response };
+                return interaction.replied && !context.confirmation ? interaction.followUp(payload) : context.interaction.reply(payload);
+            },
+            /**
+             * Asks the invoker to confirm with Confirm/Cancel buttons (see `_confirm`).
+             * @param {string | Function | object} [options] The prompt message, or confirmation options.
+             * @returns {Promise<boolean>} Whether the invoker confirmed.
+             */
+            confirm: options => this._confirm(context, options),
+        };
+        return context;
+    }
+
+    /**
+     * Runs a command through the middleware pipeline, tracking the run for `shutdown`.
+     * @param {object} context The command context (see `_createContext`).
+     * @private
+     */
+    async _runCommand(context) {
+        const run = this._runPipeline(context);
+        this._runs.add(run);
+        try {
+            await run;
+        } finally {
+            this._runs.delete(run);
+        }
+    }
+
+    /**
+     * Runs a command through the middleware pipeline: `before` hooks, `execute`, then `after` hooks.
+     * @param {object} context The command context (see `_createContext`).
+     * @private
+     */
+    async _runPipeline(context) {
+        const { command, commandName, type, user } = context;
+        context.locale = await this.i18n.resolveLocale({ interaction: context.interaction, message: context.message });
+
+        // --- Pre-Execution Checks (before hooks) ---
+        for (const middleware of this.middlewares) {
+            if (typeof middleware.before !== 'function') continue;
+            try {
+                if (await middleware.before(context) === false) context.block();
+            } catch (error) {
+                context.error = error;
+                context.block(await this._handleError(error, context, {
+                    description: `Middleware "${middleware.name}" failed for ${type} command "${commandName}"`,
+                    replyKey: 'suite.executionError',
+                    details: { source: 'middleware', middleware: middleware.name },
+                }));
+            }
+            if (context.blocked) {
+                context.blockedBy = middleware.name;
+                this._recordBlocked(context);
+                this.logger.debug(`${type} command "${commandName}" blocked by middleware "${middleware.name}" for ${user.tag} (${user.id})`);
+                if (context.blockReply) {
+                    await context.reply(context.blockReply)
+                        .catch(e => this.logger.error(`Block reply (middleware "${middleware.name}") failed for "${commandName}":`, e));
+                }
+                break;
+            }
+        }
+
+        // --- Execute Command ---
+        if (!context.blocked) {
+            const startedAt = performance.now();
+            try {
+                this.logger.info(`Executing ${type} command "${commandName}" triggered by ${user.tag} (${user.id})`);
+                context.running = this._invokeCommand(context);
+                context.result = await this._withTimeout(context.running, context);
+                this._recordExecution(context, startedAt);
+            } catch (error) {
+                context.error = error;
+                this._recordExecution(context, startedAt);
+                const reply = await this._handleError(error, context, context.timedOut ? {
+                    description: `${type} command "${commandName}" did not finish within ${error.timeout}s (Source: ${command.filePath}). It keeps running in the background`,
+                    replyKey: 'suite.executionTimeout',
+                } : {
+                    description: `Error executing ${type} command "${commandName}" (Source: ${command.filePath})`,
+                    replyKey: 'suite.executionError',
+                });
+                // Try to inform the user about the error
+                await context.reply(reply)
+                    .catch(e => this.logger.error(`Command execution error fallback reply failed for "${commandName}":`, e));
+            }
+        }
+
+        // --- Post-Execution (after hooks) ---
+        for (const middleware of this.middlewares) {
+            if (typeof middleware.after !== 'function') continue;
+            try {
+                await middleware.after(context);
+            } catch (error) {
+                this.logger.error(`Middleware "${middleware.name}" after hook failed for ${type} command "${commandName}":`, error);
+            }
+        }
+    }
+
+    /**
+     * Logs an error of a command or middleware and builds the reply (see ErrorHandler). Sets `context.errorId`.
+     * @param {*} error The thrown value.
+     * @param {object} context The command context.
+     * @param {object} info What failed (`description`, `replyKey` and extra `details` for the hooks).
+     * @returns {Promise<string | object>} The reply.
+     * @private
+     */
+    async _handleError(error, context, { description, replyKey, details = {} }) {
+        const { errorId, reply } = await this.errors.handle(error, {
+            description,
+            replyKey,
+            locale: context.locale,
+            details: { source: 'command', ...details, context },
+        });
+        context.errorId = errorId;
+        return reply;
+    }
+
+    /**
+     * Calls the command's `execute` with the arguments of its type.
+     * @param {object} context The command context.
+     * @returns {Promise<*>} What `execute` returned.
+     * @private
+     */
+    async _invokeCommand(context) {
+        const { command } = context;
+        if (command.type === CommandType.HYBRID) {
+            return command.execute(new HybridContext(context)); // Same API for the message and the interaction
+        }
+        return context.message
+            ? command.execute(context.message, context.args, context) // Pass message and args to legacy commands
+            : command.execute(context.interaction, context); // Pass interaction to application commands
+    }
+
+    /**
+     * Rejects if an execution takes longer than the command's `timeout` (or `executionTimeout`).
+     * The execution itself can't be stopped; if it settles later, that is logged.
+     * @param {Promise<*>} execution The running execution.
+     * @param {object} context The command context (`timedOut` is set when the time is up).
+     * @returns {Promise<*>} The execution's result.
+     * @private
+     */
+    _withTimeout(execution, context) {
+        const seconds = context.command.timeout ?? this.executionTimeout;
+        if (!seconds) return execution;
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                context.timedOut = true;
+                if (context.execution) context.execution.timedOut = true;
+                this.metrics?.increment('command_timeouts_total', this.metrics.labels({ command: context.commandName, type: context.type }, context.guild));
+                reject(new CommandTimeoutError(context.commandName, seconds));
+            }, seconds * 1000);
+        });
+        execution.then(
+            () => context.timedOut && this.logger.warn(`${context.type} command "${context.commandName}" finished after timing out.`),
+            error => context.timedOut && this.logger.error(`${context.type} command "${context.commandName}" failed after timing out:`, error),
+        );
+        return Promise.race([execution, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Records an execution (and its failure, if `context.error` is set and not a UserError) in the metrics.
+     * @param {object} context The command context.
+     * @param {number} startedAt `performance.now()` before `execute` was called.
+     * @private
+     */
+    _recordExecution(context, startedAt) {
+        if (!this.metrics) return;
+        const labels = this.metrics.labels({ command: context.commandName, type: context.type }, context.guild);
+        this.metrics.increment('command_executions_total', labels);
+        if (context.error && !(context.error instanceof UserError)) this.metrics.increment('command_failures_total', labels);
+        this.metrics.observe('command_duration_seconds', labels, (performance.now() - startedAt) / 1000);
+    }
+
+    /**
+     * Records a command stopped by a middleware in the metrics.
+     * @param {object} context The command context.
+     * @private
+     */
+    _recordBlocked(context) {
+        if (!this.metrics) return;
+        const labels = this.metrics.labels({ command: context.commandName, type: context.type }, context.guild);
+        this.metrics.increment('command_blocked_total', { ...labels, middleware: context.blockedBy });
+        if (context.blockedBy === 'cooldown') this.metrics.increment('command_cooldown_hits_total', labels);
+        if (context.blockedBy === 'permissions' || context.blockedBy === 'settings') this.metrics.increment('command_permission_denials_total', labels);
+    }
+
+    /**
+     * Evaluates the guild settings (disabled commands and overrides) for an invocation of a command.
+     * @param {object} context The command context, or an object with its `command`, `commandName`, `guild`, `channel`,
+     *        `user` and `member`.
+     * @returns {Promise<{ settings: object, denied: string | null, allowed: boolean } | null>} The settings and the outcome
+     *          (see GuildSettingsManager.evaluate), or null if they don't apply or could not be loaded.
+     * @private
+     */
+    async _evaluateGuildSettings(context) {
+        // Guild settings only exist in guilds; commands can opt out (e.g. the settings command itself)
+        if (!context.guild || context.command.ignoreGuildSettings) return null;
+        let settings;
+        try {
+            settings = await this.settings.get(context.guild.id);
+        } catch (error) {
+            // Same as cooldowns: an unavailable store should not take every command down with it
+            this.logger.error(`Guild settings check failed for "${context.commandName}". Allowing execution:`, error);
+            return null;
+        }
+        return { settings, ...GuildSettingsManager.evaluate(settings, context.commandName.toLowerCase(), context) };
+    }
+
+    /**
+     * Routes an autocomplete interaction to the matching command.
+     * The command's `autocomplete` export is either a function handling every focused option, or an object
+     * whose keys are checked from most to least specific: `'<group>.<subcommand>.<option>'` (or `'<subcommand>.<option>'`),
+     * `'<group>.<subcommand>'` (or `'<subcommand>'`), `'<option>'`. For subcommand directories, the subcommand file's
+     * own `autocomplete` (a function, or an object keyed by option name) is checked first.
+     * Handlers receive `(interaction, focusedOption)`; if they return an array instead of responding themselves,
+     * it is sent as the choice list (capped at 25). The same guild settings, guild, owner and permission checks as execution apply.
+     * Errors are logged and never surface to the user (an empty choice list is sent instead).
+     * @param {import('discord.js').AutocompleteInteraction} interaction The autocomplete interaction.
+     * @private
+     */
+    async _handleAutocomplete(interaction) {
+        const commandName = interaction.commandName;
+        let command = this.commands.get(commandName);
+        const respondEmpty = () => (interaction.responded ? null : interaction.respond([]).catch(() => {}));
+
+        if (!command || (command.type !== CommandType.SLASH && command.type !== CommandType.HYBRID)) {
+            this.logger.warn(`Received autocomplete for unknown command: ${commandName}`);
+            return respondEmpty();
+        }
+
+        // Subcommand directories: gate and route at the subcommand level
+        const subcommand = command.subcommands ? this._resolveSubcommand(command, interaction) : null;
+        if (command.subcommands && !subcommand) return respondEmpty();
+
+        // Never offer suggestions for commands the user couldn't run
+        const target = subcommand || command;
+        const settings = await this._evaluateGuildSettings({
+            command: target,
+            commandName: target.qualifiedName || commandName,
+            guild: interaction.guild,
+            channel: interaction.channel,
+            user: interaction.user,
+            member: interaction.member,
+        });
+        if (settings?.denied) return respondEmpty();
+        // An allow override replaces the command's own permission and role requirements, as in the permissions middleware
+        const checked = settings?.allowed ? { ...target, permissions: [], roles: [] } : target;
+        if (this._checkPermissions(checked, interaction.member, interaction.user)) {
+            return respondEmpty();
+        }
+
+        let focused;
+        try {
+            focused = interaction.options.getFocused(true);
+            // A subcommand file's own `autocomplete` takes priority over the parent command's
+            const handler = (subcommand && this._findAutocompleteHandler(subcommand, interaction, focused.name, true))
+                || this._findAutocompleteHandler(command, interaction, focused.name);
+            if (!handler) {
+                this.logger.debug(`No autocomplete handler for option "${focused.name}" of command "${commandName}"`);
+                return respondEmpty();
+            }
+
+            const choices = await handler(interaction, focused);
+            if (Array.isArray(choices) && !interaction.responded) {
+                await interaction.respond(choices.slice(0, 25));
+            }
+        } catch (error) {
+            this.logger.error(`Error in autocomplete for command "${commandName}" (option: ${focused?.name ?? 'unknown'}):`, error);
+            await respondEmpty();
+        }
+    }
+
+    /**
+     * Finds the autocomplete handler for the focused option of a command.
+     * @param {object} command The command object.
+     * @param {import('discord.js').AutocompleteInteraction} interaction The autocomplete interaction.
+     * @param {string} optionName The name of the focused option.
+     * @param {boolean} [isSubcommandFile=false] Whether `command` is a subcommand file (its object keys are option names only).
+     * @returns {Function | null} The handler, or null if none is defined.
+     * @private
+     */
+    _findAutocompleteHandler(command, interaction, optionName, isSubcommandFile = false) {
+        const { autocomplete } = command;
+        if (typeof autocomplete === 'function') return autocomplete.bind(command);
+        if (!autocomplete || typeof autocomplete !== 'object') return null;
+        if (isSubcommandFile) return typeof autocomplete[optionName] === 'function' ? autocomplete[optionName].bind(command) : null;
+
+        const subcommandPath = [
+            interaction.options.getSubcommandGroup(false),
+            interaction.options.getSubcommand(false),
+        ].filter(Boolean).join('.');
+        const keys = subcommandPath
+            ? [`${subcommandPath}.${optionName}`, subcommandPath, optionName]
+            : [optionName];
+
+        const key = keys.find(k => typeof autocomplete[k] === 'function');
+        return key ? autocomplete[key].bind(command) : null;
+    }
+
+    /**
+     * Resolves the prefixes that are valid for a message: the configured prefix(es) or the resolver's result,
+     * plus the bot mention if `mentionPrefix` is enabled.
+     * @param {import('discord.js').Message} message The message.
+     * @returns {Promise<string[]>} The prefixes, longest first (so '!!' is matched before '!').
+     * @private
+     */
+    async _resolvePrefixes(message) {
+        let prefixes = this.prefix;
+        if (typeof prefixes === 'function') {
+            try {
+                prefixes = await prefixes(message);
+            } catch (error) {
+                this.logger.error(`Prefix resolver failed for guild ${message.guild?.id ?? 'DM'}:`, error);
+                prefixes = null;
+            }
+        }
+
+        const result = (Array.isArray(prefixes) ? prefixes : [prefixes]).filter(p => typeof p === 'string' && p.length > 0);
+        if (this.mentionPrefix && this.client.user) {
+            result.push(`<@${this.client.user.id}>`, `<@!${this.client.user.id}>`);
+        }
+        return result.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Finds the prefix a message starts with (case-insensitive).
+     * @param {import('discord.js').Message} message The message.
+     * @returns {Promise<string | null>} The matched prefix as written in the message, or null if none matches.
+     * @private
+     */
+    async _matchPrefix(message) {
+        const content = message.content.toLowerCase();
+        const prefix = (await this._resolvePrefixes(message)).find(p => content.startsWith(p.toLowerCase()));
+        return prefix ? message.content.slice(0, prefix.length) : null;
+    }
+
+    /**
+     * Attaches a client listener and keeps its reference, so `destroy` can remove it.
+     * @param {string} event The event name.
+     * @param {Function} listener The listener.
+     * @private
+     */
+    _on(event, listener) {
+        this.client.on(event, listener);
+        this._listeners.push([event, listener]);
+    }
+
+    /**
+     * Stops the handler gracefully: stops accepting commands, waits for running commands (including queued ones and
+     * pending confirmations) to finish, then releases everything (see `destroy`). Call it before `client.destroy()`,
+     * e.g. on SIGTERM. Commands that timed out (see `executionTimeout`) keep running in the background and are not awaited.
+     * @param {object} [options={}] Options.
+     * @param {number} [options.timeout=10] Maximum seconds to wait for running commands.
+     * @returns {Promise<boolean>} True if all running commands finished in time.
+     */
+    async shutdown({ timeout = 10 } = {}) {
+        this._detachListeners(); // Stop accepting new work first
+        const running = this._runs.size;
+        if (running) this.logger.info(`Waiting up to ${timeout}s for ${running} running command(s) to finish...`);
+        const finished = await CommonUtils.settleWithin([...this._runs], timeout * 1000);
+        if (!finished) this.logger.warn(`${this._runs.size} command(s) did not finish within ${timeout}s.`);
+        this.destroy();
+        return finished;
+    }
+
+    /**
+     * Releases the handler immediately, without waiting for running commands: removes its client listeners and the
+     * loaded event listeners, stops watching files, clears timers, the cooldown store's sweep and edit tracking,
+     * and ends the active paginations it owns (see `createPagination`). The handler can't be used afterwards.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this._detachListeners();
+        this.unwatchCommands();
+        this.events?.unloadEvents();
+        this.cooldowns.destroy();
+        this._trackedMessages.clear();
+        const paginations = stopPaginations(this); // Only its own: other handlers on the client keep theirs
+        this.destroyed = true;
+        this.logger.info(`CommandHandler destroyed${paginations ? ` (ended ${paginations} pagination(s))` : ''}.`);
+    }
+
+    /**
+     * Removes the client listeners attached by the handler.
+     * @private
+     */
+    _detachListeners() {
+        this._listeners.forEach(([event, listener]) => this.client.removeListener(event, listener));
+        this._listeners = [];
+    }
+
+    /**
+     * Sets up listeners for the 'interactionCreate' (for slash/context commands)
+     * and 'messageCreate' (for legacy commands) events.
+     * @private
+     */
+    _listen() {
+        // Listener for Application Commands (Slash, User Context, Message Context)
+        this._on('interactionCreate', async interaction => {
+            await this._loadSucceeded; // Commands are loaded asynchronously on startup
+            let command;
+            let commandType;
+            let commandName;
+
+            // Autocomplete requests for slash command options
+            if (interaction.isAutocomplete()) {
+                await this._handleAutocomplete(interaction);
+                return;
+            }
+
+            // Determine command type from interaction
+            if (interaction.isChatInputCommand()) {
+                commandType = CommandType.SLASH;
+                commandName = interaction.commandName;
+            } else if (interaction.isUserContextMenuCommand()) {
+                commandType = CommandType.USER;
+                commandName = interaction.commandName;
+            } else if (interaction.isMessageContextMenuCommand()) {
+                commandType = CommandType.MESSAGE;
+                 commandName = interaction.commandName;
+            } else {
+                // Not a command interaction handled by this listener
+                // (Buttons, etc., are handled by InteractionManager if used)
+                return;
+            }
+
+            // Find the command in our collection
+            command = this.commands.get(commandName);
+
+            // Basic validation
+            if (!command || (command.type !== commandType && !(commandType === CommandType.SLASH && command.type === CommandType.HYBRID))) {
+                this.logger.error(`Received interaction for unknown or mismatched command: ${commandName} (Type: ${commandType})`);
+                this.metrics?.increment('command_not_found_total', this.metrics.labels({ command: commandName, type: commandType }, interaction.guild));
+                 // Inform user if possible?
+                 if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({ content: this.i18n.t('suite.commandNotFound', await this.i18n.resolveLocale({ interaction })), ephemeral: true }).catch(() => {});
+                 }
+                return;
+            }
+
+            // Subcommand directories: dispatch to the subcommand's file (checks apply at the subcommand level)
+            if (command.subcommands) {
+                const subcommand = this._resolveSubcommand(command, interaction);
+                if (!subcommand) {
+                    this.logger.error(`Received interaction for unknown subcommand of "${commandName}".`);
+                    this.metrics?.increment('command_not_found_total', this.metrics.labels({ command: commandName, type: commandType }, interaction.guild));
+                    if (!interaction.replied && !interaction.deferred) {
+                        await interaction.reply({ content: this.i18n.t('suite.commandNotFound', await this.i18n.resolveLocale({ interaction })), ephemeral: true }).catch(() => {});
+                    }
+                    return;
+                }
+                command = subcommand;
+            }
+
+            await this._runCommand(this._createContext({ command, type: commandType, interaction }));
+        });
+
+        // Listener for Legacy Prefix Commands (only if prefix is set)
+        if (this.prefix) {
+            this._on('messageCreate', message => this._handleMessage(message));
+            if (this.editTracking) {
+                this._on('messageUpdate', (oldMessage, newMessage) => this._handleMessageUpdate(oldMessage, newMessage));
+                this._on('messageDelete', message => this._handleMessageDelete(message));
+            }
+             const prefixDescription = typeof this.prefix === 'function' ? 'resolved per message' : `"${[].concat(this.prefix).join('", "')}"`;
+             this.logger.info(`Listening for legacy commands with prefix: ${prefixDescription}${this.mentionPrefix ? ' (and bot mention)' : ''}`);
+        }
+    }
+
+    /**
+     * Runs the legacy command a message invokes, if any.
+     * @param {import('discord.js').Message} message The new (or edited) message.
+     * @param {boolean} [edited=false] Whether the message was edited (see `_handleMessageUpdate`).
+     * @private
+     */
+    async _handleMessage(message, edited = false) {
+        // Basic checks: Ignore bots and messages without a prefix
+        if (message.author.bot) return;
+        await this._loadSucceeded; // Commands are loaded asynchronously on startup
+        const prefix = await this._matchPrefix(message);
+        if (prefix === null) return;
+
+        // Parse arguments and command name
+        const content = message.content.slice(prefix.length).trim();
+        const args = content.split(/ +/);
+        const commandName = args.shift()?.toLowerCase(); // Get command name and remove it from args
+
+        if (!commandName) return; // No command name provided after prefix
+        const rawArgs = content.slice(commandName.length).trim(); // Used by typed argument parsing
+
+        // Find the command (could be main name or an alias)
+        const command = this.commands.get(commandName);
+
+        // Validate if it's a LEGACY command registered with this name/alias
+        if (!command || (command.type !== CommandType.LEGACY && command.type !== CommandType.HYBRID)) {
+            return; // Not a valid legacy command or alias
+        }
+
+        // DMs are only served by commands that opt in
+        if (!message.guild && !command.allowDM) return;
+
+        const context = this._createContext({ command, type: CommandType.LEGACY, message, args, rawArgs, prefix, edited });
+        if (!this.editTracking) return this._runCommand(context);
+
+        // Serialize runs of the same message, so quick successive edits don't race for its responses.
+        // The queue always resolves: a failed run must not block later edits or reject the event listeners.
+        const entry = this._trackMessage(message);
+        entry.queue = entry.queue
+            .then(() => this._runTracked(entry, context))
+            .catch(error => this.logger.error(`Failed to run the tracked command of message ${message.id}:`, error));
+        return entry.queue;
+    }
+
+    /**
+     * Re-runs a legacy command whose message was edited within the edit tracking window.
+     * @param {import('discord.js').Message | import('discord.js').PartialMessage} oldMessage The message before the edit (may be partial).
+     * @param {import('discord.js').Message | import('discord.js').PartialMessage} newMessage The edited message (may be partial).
+     * @private
+     */
+    async _handleMessageUpdate(oldMessage, newMessage) {
+        try {
+            if (!oldMessage.partial && oldMessage.content === newMessage.content) return; // Embed unfurls, pins, etc.
+            const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+            if (message.author.bot || this.cooldowns.now() - message.createdTimestamp > this.editTracking.window * 1000) return;
+            await this._handleMessage(message, true);
+        } catch (error) {
+            this.logger.error(`Failed to handle the edit of message ${newMessage.id}:`, error);
+        }
+    }
+
+    /**
+     * Deletes the responses of a deleted legacy command message (if `editTracking.deleteResponses` is set).
+     * @param {import('discord.js').Message | import('discord.js').PartialMessage} message The deleted message.
+     * @private
+     */
+    async _handleMessageDelete(message) {
+        const entry = this._trackedMessages.get(message.id);
+        if (!entry) return;
+        this._trackedMessages.delete(message.id);
+        if (!this.editTracking.deleteResponses) return;
+        await entry.queue; // Let a running command finish sending first
+        await Promise.all(entry.responses.map(response => response.delete()
+            .catch(error => this.logger.debug(`Could not delete response ${response.id} of deleted message ${message.id}: ${error.message}`))));
+    }
+
+    /**
+     * Gets (or starts) the response tracking of a legacy command message, and forgets messages past the edit window.
+     * @param {import('discord.js').Message} message The command message.
+     * @returns {{ createdAt: number, responses: import('discord.js').Message[], previous: import('discord.js').Message[], queue: Promise<void> }}
+     * @private
+     */
+    _trackMessage(message) {
+        const now = this.cooldowns.now();
+        for (const [id, tracked] of this._trackedMessages) {
+            if (now - tracked.createdAt > this.editTracking.window * 1000) this._trackedMessages.delete(id);
+        }
+        if (!this._trackedMessages.has(message.id)) {
+            this._trackedMessages.set(message.id, { createdAt: message.createdTimestamp, responses: [], previous: [], queue: Promise.resolve() });
+        }
+        return this._trackedMessages.get(message.id);
+    }
+
+    /**
+     * Runs a legacy command with tracked responses: replies (through `message.reply` or `context.reply`) edit the
+     * responses of the previous run in order, extra replies are sent as new messages, and leftover responses are deleted.
+     * The command's view of the message sends its replies through `_sendTracked`; the cached Message itself is not modified.
+     * @param {object} entry The message's tracking entry (see `_trackMessage`).
+     * @param {object} context The command context.
+     * @private
+     */
+    async _runTracked(entry, context) {
+        entry.previous = entry.responses;
+        entry.responses = [];
+        context.tracking = entry;
+
+        try {
+            await this._runCommand(context);
+        } finally {
+            const leftover = entry.previous.slice(entry.responses.length);
+            entry.previous = [];
+            await Promise.all(leftover.map(response => response.delete()
+                .catch(error => this.logger.debug(`Could not delete outdated response ${response.id}: ${error.message}`))));
+        }
+    }
+
+    /**
+     * Sends a reply of an edit-tracked run: it edits the previous run's response at the same position, or is sent as a new reply.
+     * @param {object} entry The message's tracking entry (see `_trackMessage`).
+     * @param {import('discord.js').Message} message The message itself.
+     * @param {string | object} response Content string or reply options.
+     * @returns {Promise<import('discord.js').Message>} The response.
+     * @private
+     */
+    async _sendTracked(entry, message, response) {
+        const previous = entry.previous[entry.responses.length];
+        const sent = previous
+            ? await previous.edit(toEditPayload(response))
+            : await message.reply(response);
+        entry.responses.push(sent);
+        return sent;
+    }
+}
+
+/**
+ * Creates a view of an interaction or message with some methods replaced, leaving the object itself unchanged.
+ * Other methods run on the object itself, so discord.js keeps its `replied` / `deferred` state there.
+ * @param {object} target The interaction or message.
+ * @param {object} methods The replacement methods by name.
+ * @returns {object} The view.
+ */
+function withMethods(target, methods) {
+    return new Proxy(target, {
+        get(object, key) {
+            if (Object.hasOwn(methods, key)) return methods[key];
+            const value = Reflect.get(object, key);
+            return typeof value === 'function' && key !== 'constructor' ? value.bind(object) : value;
+        },
+    });
+}
+
+/**
+ * Converts reply options to the edit of an acknowledged interaction reply (options only a first reply takes are dropped).
+ * @param {string | object} response Content string or reply options.
+ * @returns {object} Edit options.
+ */
+function toReplyEdit(response) {
+    const { ephemeral, fetchReply, ...payload } = toEditPayload(response);
+    return payload;
+}
+
+/**
+ * Converts reply options to edit options that also clear what the previous response showed but the new one doesn't.
+ * @param {string | object} response Content string or reply options.
+ * @returns {object} Message edit options.
+ */
+function toEditPayload(response) {
+    const payload = typeof response === 'string' ? { content: response } : response;
+    return { content: null, embeds: [], components: [], attachments: [], ...payload };
 }
 
 module.exports = CommandHandler;
\ No newline at end of file
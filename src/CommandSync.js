@@ -0,0 +1,122 @@
+/**
+ * Helpers for comparing local application command data with the commands registered on Discord.
+ * The API returns commands with server-side defaults filled in (ids, versions, `required: false`, ...),
+ * so both sides are normalized to the fields that actually describe the command before comparing.
+ */
+const CommandSync = {
+    /**
+     * Normalizes localization maps: empty/missing maps become null, keys are sorted for stable comparison.
+     * @param {object | null | undefined} localizations A `name_localizations`/`description_localizations` map.
+     * @returns {object | null} The normalized map.
+     */
+    normalizeLocalizations(localizations) {
+        if (!localizations || Object.keys(localizations).length === 0) return null;
+        return Object.keys(localizations).sort().reduce((acc, key) => {
+            acc[key] = localizations[key];
+            return acc;
+        }, {});
+    },
+
+    /**
+     * Normalizes a single command option (recursively for subcommands and groups).
+     * @param {object} option Raw option JSON.
+     * @returns {object} The normalized option.
+     */
+    normalizeOption(option) {
+        return {
+            type: option.type,
+            name: option.name,
+            description: option.description ?? '',
+            name_localizations: this.normalizeLocalizations(option.name_localizations),
+            description_localizations: this.normalizeLocalizations(option.description_localizations),
+            required: !!option.required,
+            autocomplete: !!option.autocomplete,
+            choices: option.choices?.length
+                ? option.choices.map(choice => ({
+                    name: choice.name,
+                    value: choice.value,
+                    name_localizations: this.normalizeLocalizations(choice.name_localizations),
+                }))
+                : null,
+            channel_types: option.channel_types?.length ? [...option.channel_types].sort() : null,
+            min_value: option.min_value ?? null,
+            max_value: option.max_value ?? null,
+            min_length: option.min_length ?? null,
+            max_length: option.max_length ?? null,
+            options: option.options?.length ? option.options.map(o => this.normalizeOption(o)) : null,
+        };
+    },
+
+    /**
+     * Normalizes application command JSON (local `data.toJSON()` output or an API response object).
+     * @param {object} command Raw application command JSON.
+     * @returns {object} The normalized command.
+     */
+    normalizeCommand(command) {
+        return {
+            type: command.type ?? 1, // ApplicationCommandType.ChatInput
+            name: command.name,
+            description: command.description ?? '',
+            name_localizations: this.normalizeLocalizations(command.name_localizations),
+            description_localizations: this.normalizeLocalizations(command.description_localizations),
+            default_member_permissions: command.default_member_permissions ?? null,
+            dm_permission: command.dm_permission ?? true,
+            nsfw: !!command.nsfw,
+            contexts: command.contexts ?? undefined,
+            integration_types: command.integration_types ?? undefined,
+            options: command.options?.length ? command.options.map(o => this.normalizeOption(o)) : null,
+        };
+    },
+
+    /**
+     * Checks whether a local command definition matches a registered one.
+     * `contexts` and `integration_types` are only compared when the local data sets them,
+     * because Discord fills in its own defaults otherwise.
+     * @param {object} local Local command JSON.
+     * @param {object} remote Registered command JSON returned by the API.
+     * @returns {boolean} True if no update is needed.
+     */
+    isEqual(local, remote) {
+        const a = this.normalizeCommand(local);
+        const b = this.normalizeCommand(remote);
+        for (const key of ['contexts', 'integration_types']) {
+            if (a[key] === undefined) {
+                delete a[key];
+                delete b[key];
+            }
+        }
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    /**
+     * Computes the changes needed to make the registered commands match the local ones.
+     * Commands are matched by name and type (names are only unique per type).
+     * @param {object[]} localCommands Local command JSON (`data.toJSON()` output).
+     * @param {object[]} remoteCommands Registered commands returned by the API.
+     * @returns {{ create: object[], update: { id: string, name: string, data: object }[], delete: { id: string, name: string }[], unchanged: string[] }} The sync plan.
+     */
+    diff(localCommands, remoteCommands) {
+        const key = cmd => `${cmd.type ?? 1}:${cmd.name}`;
+        const remoteByKey = new Map(remoteCommands.map(cmd => [key(cmd), cmd]));
+        const plan = { create: [], update: [], delete: [], unchanged: [] };
+
+        for (const local of localCommands) {
+            const remote = remoteByKey.get(key(local));
+            if (!remote) {
+                plan.create.push(local);
+            } else {
+                remoteByKey.delete(key(local));
+                if (this.isEqual(local, remote)) plan.unchanged.push(local.name);
+                else plan.update.push({ id: remote.id, name: local.name, data: local });
+            }
+        }
+
+        // Whatever is left is registered on Discord but no longer exists locally
+        for (const remote of remoteByKey.values()) {
+            plan.delete.push({ id: remote.id, name: remote.name });
+        }
+        return plan;
+    },
+};
+
+module.exports = CommandSync;
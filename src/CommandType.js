@@ -0,0 +1,12 @@
+/**
+ * Enum for command types used internally.
+ */
+const CommandType = {
+    SLASH: 'SLASH',         // ApplicationCommandType.ChatInput
+    USER: 'USER',           // ApplicationCommandType.User
+    MESSAGE: 'MESSAGE',       // ApplicationCommandType.Message
+    LEGACY: 'LEGACY',       // Prefix-based message command
+    HYBRID: 'HYBRID'        // Slash command that also responds to the prefix (`hybrid: true`, see HybridContext)
+};
+
+module.exports = CommandType;
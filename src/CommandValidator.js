@@ -0,0 +1,299 @@
+const { PermissionsBitField, ApplicationCommandOptionType } = require('discord.js');
+const CommandType = require('./CommandType');
+const CooldownManager = require('./CooldownManager');
+const ConcurrencyManager = require('./ConcurrencyManager');
+const ArgumentParser = require('./ArgumentParser');
+
+// Command properties read by the suite, with the type checks applied to them
+const KNOWN_PROPERTIES = [
+    'data', 'name', 'aliases', 'description', 'usage', 'category', 'hidden', 'execute', 'autocomplete',
+    'permissions', 'roles', 'botPermissions', 'cooldown', 'devOnly', 'guildOnly', 'allowDM', 'ignoreGuildSettings',
+    'guilds', 'scope', 'args', 'flags', 'hybrid', 'maxConcurrency', 'timeout', 'confirm', 'ignoreUnknownKeys',
+];
+const BOOLEAN_PROPERTIES = ['hidden', 'devOnly', 'guildOnly', 'allowDM', 'ignoreGuildSettings', 'hybrid'];
+const STRING_PROPERTIES = ['description', 'usage', 'category'];
+const COMMAND_SCOPES = ['global', 'guild'];
+const PERMISSION_FLAGS = Object.keys(PermissionsBitField.Flags);
+
+/**
+ * Validates command exports when they are loaded, so mistakes such as `permissions: 'BanMembers'`,
+ * unknown permission flags or a misspelled `cooldwon` are reported on startup instead of failing at runtime.
+ *
+ * Errors make a command unusable (it is skipped); warnings point at likely mistakes but the command still loads.
+ * Properties the suite doesn't know are allowed (custom middlewares may read them), unless they look like a typo
+ * of a known one. Commands can export `ignoreUnknownKeys` (`true`, or the custom keys to allow) to silence that warning.
+ */
+const CommandValidator = {
+    KNOWN_PROPERTIES,
+
+    /**
+     * Validates a command, subcommand or subcommand directory export.
+     * @param {object} command The command object.
+     * @param {object} [options={}] Options.
+     * @param {string} [options.type] The command type (see CommandType), if already known.
+     * @param {'command' | 'tree' | 'group' | 'subcommand'} [options.kind='command'] What the object is: a command file,
+     *        a `_command` file, a `_group` file or a subcommand file (the latter three are partial commands).
+     * @returns {{ errors: string[], warnings: string[] }} The problems found.
+     */
+    validate(command, options = {}) {
+        const kind = options.kind || 'command';
+        const errors = [];
+        const warnings = [];
+
+        if (!command || typeof command !== 'object') {
+            return { errors: ['Does not export an object.'], warnings };
+        }
+
+        if (kind === 'command' || kind === 'subcommand') {
+            if (typeof command.execute !== 'function') errors.push("Missing 'execute' function.");
+        } else if (command.execute !== undefined) {
+            warnings.push(`'execute' is ignored in ${kind === 'tree' ? '_command' : '_group'} files; each subcommand file handles its own execution.`);
+        }
+
+        // Application command data: builders validate names, descriptions and options in toJSON()
+        if (command.data === undefined && kind !== 'command') {
+            errors.push("Missing 'data'.");
+        } else if (command.data !== undefined) {
+            if (typeof command.data?.toJSON !== 'function') {
+                errors.push("'data' must be a command builder (e.g. SlashCommandBuilder).");
+            } else {
+                try {
+                    const json = command.data.toJSON();
+                    const hasSubcommands = (json.options || []).some(option => option.type === ApplicationCommandOptionType.Subcommand
+                        || option.type === ApplicationCommandOptionType.SubcommandGroup);
+                    if (options.type === CommandType.HYBRID && hasSubcommands) {
+                        errors.push("Hybrid commands can't have subcommands (prefix input can't select them). Use a subcommand directory for slash only.");
+                    }
+                } catch (error) {
+                    errors.push(`Invalid 'data': ${error.message}`);
+                }
+            }
+        }
+        if (command.name !== undefined && (typeof command.name !== 'string' || !command.name.trim() || /\s/.test(command.name))) {
+            errors.push("'name' must be a non-empty string without spaces.");
+        }
+
+        this._validateAliases(command, options.type, errors, warnings);
+        this._validatePermissions(command, 'permissions', errors);
+        this._validatePermissions(command, 'botPermissions', errors);
+        this._validateCooldown(command.cooldown, errors);
+        this._validateConcurrency(command.maxConcurrency, errors);
+        if (command.timeout !== undefined && (typeof command.timeout !== 'number' || !(command.timeout >= 0) || !Number.isFinite(command.timeout))) {
+            errors.push("'timeout' must be a number of seconds (0 disables it).");
+        }
+        this._validateConfirm(command.confirm, errors);
+
+        if (command.roles !== undefined && (!Array.isArray(command.roles) || command.roles.some(role => !role || (typeof role !== 'string' && typeof role.id !== 'string')))) {
+            errors.push("'roles' must be an array of role names, IDs or Role objects.");
+        }
+        for (const property of BOOLEAN_PROPERTIES) {
+            if (command[property] !== undefined && typeof command[property] !== 'boolean') errors.push(`'${property}' must be a boolean.`);
+        }
+        for (const property of STRING_PROPERTIES) {
+            if (command[property] !== undefined && command[property] !== null && typeof command[property] !== 'string') {
+                errors.push(`'${property}' must be a string.`);
+            }
+        }
+        if (command.autocomplete !== undefined && typeof command.autocomplete !== 'function'
+            && (typeof command.autocomplete !== 'object' || Object.values(command.autocomplete).some(handler => typeof handler !== 'function'))) {
+            errors.push("'autocomplete' must be a function or an object of functions.");
+        }
+
+        // Registration scope
+        if (command.scope !== undefined && !COMMAND_SCOPES.includes(command.scope)) {
+            errors.push(`Invalid scope "${command.scope}". Must be one of: ${COMMAND_SCOPES.join(', ')}.`);
+        }
+        if (command.guilds !== undefined && (!Array.isArray(command.guilds) || command.guilds.some(id => typeof id !== 'string'))) {
+            errors.push("'guilds' must be an array of guild ID strings.");
+        }
+        if (command.guilds?.length && command.scope === 'global') {
+            warnings.push("Has scope 'global' and 'guilds'. It is registered in the listed guilds only.");
+        }
+
+        // Typed arguments (legacy commands)
+        this._validateArgumentDefinitions(command.args, 'args', errors);
+        this._validateArgumentDefinitions(command.flags, 'flags', errors);
+        if ((command.args || command.flags) && options.type && options.type !== CommandType.LEGACY && options.type !== CommandType.HYBRID) {
+            warnings.push("'args' and 'flags' only apply to legacy commands.");
+        }
+
+        // Likely typos of known properties
+        const { ignoreUnknownKeys } = command;
+        if (ignoreUnknownKeys !== undefined && typeof ignoreUnknownKeys !== 'boolean'
+            && (!Array.isArray(ignoreUnknownKeys) || ignoreUnknownKeys.some(key => typeof key !== 'string'))) {
+            errors.push("'ignoreUnknownKeys' must be a boolean or an array of property names.");
+        }
+        for (const key of ignoreUnknownKeys === true ? [] : Object.keys(command)) {
+            if (KNOWN_PROPERTIES.includes(key) || (Array.isArray(ignoreUnknownKeys) && ignoreUnknownKeys.includes(key))) continue;
+            const suggestion = KNOWN_PROPERTIES.find(known => isTypo(key, known));
+            if (suggestion) warnings.push(`Unknown property '${key}'. Did you mean '${suggestion}'?`);
+        }
+
+        return { errors, warnings };
+    },
+
+    /**
+     * Checks `aliases`.
+     * @private
+     */
+    _validateAliases(command, type, errors, warnings) {
+        if (command.aliases === undefined) return;
+        if (!Array.isArray(command.aliases) || command.aliases.some(alias => typeof alias !== 'string' || !alias.trim() || /\s/.test(alias))) {
+            errors.push("'aliases' must be an array of non-empty strings without spaces.");
+            return;
+        }
+        if (type && type !== CommandType.LEGACY && type !== CommandType.HYBRID) {
+            warnings.push("'aliases' only apply to legacy commands.");
+        }
+        const names = command.aliases.map(alias => alias.toLowerCase());
+        const duplicates = names.filter((alias, index) => names.indexOf(alias) !== index || alias === command.name?.toLowerCase());
+        if (duplicates.length > 0) warnings.push(`Duplicate aliases: ${[...new Set(duplicates)].join(', ')}.`);
+    },
+
+    /**
+     * Checks `permissions` / `botPermissions` for an array of valid permission flags.
+     * @private
+     */
+    _validatePermissions(command, property, errors) {
+        const value = command[property];
+        if (value === undefined) return;
+        if (!Array.isArray(value)) {
+            errors.push(`'${property}' must be an array of permission flags (e.g. ['${typeof value === 'string' ? value : 'BanMembers'}']).`);
+            return;
+        }
+        const invalid = value.filter(flag => typeof flag !== 'bigint' && !PERMISSION_FLAGS.includes(flag));
+        if (invalid.length > 0) {
+            const hints = invalid.map(flag => {
+                const suggestion = typeof flag === 'string' && PERMISSION_FLAGS.find(known => known.toLowerCase() === flag.toLowerCase().replace(/_/g, '') || isTypo(flag, known));
+                return suggestion ? `"${flag}" (did you mean "${suggestion}"?)` : `"${flag}"`;
+            });
+            errors.push(`Invalid ${property} flag(s): ${hints.join(', ')}. See PermissionsBitField.Flags for valid names.`);
+        }
+    },
+
+    /**
+     * Checks a `cooldown` definition (see CooldownManager).
+     * @private
+     */
+    _validateCooldown(cooldown, errors) {
+        if (cooldown === undefined || cooldown === null || cooldown === 0) return;
+        for (const limit of [].concat(cooldown)) {
+            if (typeof limit === 'number') {
+                if (!(limit > 0) || !Number.isFinite(limit)) errors.push("'cooldown' must be a positive number of seconds.");
+                continue;
+            }
+            if (!limit || typeof limit !== 'object') {
+                errors.push("'cooldown' must be a number of seconds, a limit object or an array of limit objects.");
+                continue;
+            }
+            if (typeof limit.duration !== 'number' || !(limit.duration > 0)) errors.push("Cooldown 'duration' must be a positive number of seconds.");
+            if (limit.uses !== undefined && (!Number.isInteger(limit.uses) || limit.uses < 1)) errors.push("Cooldown 'uses' must be a positive integer.");
+            if (limit.scope !== undefined && !CooldownManager.SCOPES.includes(limit.scope)) {
+                errors.push(`Invalid cooldown scope "${limit.scope}". Must be one of: ${CooldownManager.SCOPES.join(', ')}.`);
+            }
+            if (limit.message !== undefined && typeof limit.message !== 'string' && typeof limit.message !== 'function') {
+                errors.push("Cooldown 'message' must be a string or a function.");
+            }
+        }
+    },
+
+    /**
+     * Checks a `maxConcurrency` definition (see ConcurrencyManager).
+     * @private
+     */
+    _validateConcurrency(maxConcurrency, errors) {
+        if (maxConcurrency === undefined || maxConcurrency === null || maxConcurrency === 0) return;
+        if (typeof maxConcurrency === 'number') {
+            if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) errors.push("'maxConcurrency' must be a positive integer.");
+            return;
+        }
+        if (typeof maxConcurrency !== 'object') {
+            errors.push("'maxConcurrency' must be a number or a limit object.");
+            return;
+        }
+        const { limit, scope, mode, maxQueue, message } = maxConcurrency;
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) errors.push("Concurrency 'limit' must be a positive integer.");
+        if (scope !== undefined && !ConcurrencyManager.SCOPES.includes(scope)) {
+            errors.push(`Invalid concurrency scope "${scope}". Must be one of: ${ConcurrencyManager.SCOPES.join(', ')}.`);
+        }
+        if (mode !== undefined && !ConcurrencyManager.MODES.includes(mode)) {
+            errors.push(`Invalid concurrency mode "${mode}". Must be one of: ${ConcurrencyManager.MODES.join(', ')}.`);
+        }
+        if (maxQueue !== undefined && (!Number.isInteger(maxQueue) || maxQueue < 0)) errors.push("Concurrency 'maxQueue' must be a non-negative integer.");
+        if (message !== undefined && typeof message !== 'string' && typeof message !== 'function') {
+            errors.push("Concurrency 'message' must be a string or a function.");
+        }
+    },
+
+    /**
+     * Checks a `confirm` definition (see CommandHandler#_confirm).
+     * @private
+     */
+    _validateConfirm(confirm, errors) {
+        if (confirm === undefined || confirm === false || confirm === true || typeof confirm === 'string' || typeof confirm === 'function') return;
+        if (!confirm || typeof confirm !== 'object') {
+            errors.push("'confirm' must be a boolean, a prompt message or an options object.");
+            return;
+        }
+        const { message, timeout, confirmLabel, cancelLabel, ephemeral } = confirm;
+        if (message !== undefined && !['string', 'function', 'object'].includes(typeof message)) {
+            errors.push("Confirmation 'message' must be a string, reply options or a function.");
+        }
+        if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0) || !Number.isFinite(timeout))) {
+            errors.push("Confirmation 'timeout' must be a positive number of seconds.");
+        }
+        for (const [property, value] of Object.entries({ confirmLabel, cancelLabel })) {
+            if (value !== undefined && typeof value !== 'string') errors.push(`Confirmation '${property}' must be a string.`);
+        }
+        if (ephemeral !== undefined && typeof ephemeral !== 'boolean') errors.push("Confirmation 'ephemeral' must be a boolean.");
+    },
+
+    /**
+     * Checks `args` / `flags` definitions (see ArgumentParser).
+     * @private
+     */
+    _validateArgumentDefinitions(definitions, property, errors) {
+        if (definitions === undefined) return;
+        if (!Array.isArray(definitions)) {
+            errors.push(`'${property}' must be an array of definitions.`);
+            return;
+        }
+        for (const def of definitions) {
+            if (!def || typeof def.name !== 'string' || !def.name) {
+                errors.push(`Every entry of '${property}' needs a 'name'.`);
+                continue;
+            }
+            if (def.type !== undefined && typeof def.type !== 'function' && !ArgumentParser.types[def.type]) {
+                errors.push(`Unknown type "${def.type}" for ${property} entry "${def.name}". Must be one of: ${Object.keys(ArgumentParser.types).join(', ')}, or a function.`);
+            }
+        }
+    },
+};
+
+/**
+ * Checks whether a key is probably a misspelling of a known property (case-insensitive edit distance of at most 1,
+ * or 2 for keys of 6 or more characters: short words are often one or two edits apart, e.g. `tags` and `args`).
+ * @param {string} key The key found on the command.
+ * @param {string} known A known property name.
+ * @returns {boolean}
+ */
+function isTypo(key, known) {
+    const a = key.toLowerCase();
+    const b = known.toLowerCase();
+    if (a === b) return true;
+    if (Math.abs(a.length - b.length) > 2 || Math.min(a.length, b.length) < 4) return false;
+
+    // Optimal string alignment distance (adjacent transpositions count as one edit)
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+    }
+    return d[a.length][b.length] <= (a.length < 6 ? 1 : 2);
+}
+
+module.exports = CommandValidator;
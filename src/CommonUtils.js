@@ -1,4 +1,4 @@
-const { Guild, User, Role } = require('discord.js'); // For JSDoc type hinting
+const { Guild, User, Role, GuildMember, GuildChannel } = require('discord.js'); // For JSDoc type hinting
 
 /**
  * Collection of common utility functions.
@@ -66,6 +66,131 @@ const CommonUtils = {
          return null; // Not found
     },
 
+    /**
+     * Resolves a GuildMember object from an ID or mention.
+     * @param {Guild} guild The guild to search within.
+     * @param {string | GuildMember} memberResolvable The member ID, mention, or GuildMember object.
+     * @returns {Promise<GuildMember | null>} The resolved GuildMember object or null if not found.
+     */
+    async resolveMember(guild, memberResolvable) {
+        if (!guild || !memberResolvable) return null;
+        if (memberResolvable instanceof GuildMember) return memberResolvable; // Already a GuildMember object
+
+        // Accept a raw ID or a mention (<@id> or <@!id>)
+        const match = memberResolvable.match(/^(?:<@!?(\d+)>|(\d+))$/);
+        if (!match) return null;
+        return guild.members.fetch(match[1] || match[2]).catch(() => null);
+    },
+
+    /**
+     * Resolves a channel from an ID, mention, or name.
+     * @param {Guild} guild The guild to search within.
+     * @param {string | GuildChannel} channelResolvable The channel ID, mention, name (with or without '#'), or channel object.
+     * @returns {GuildChannel | null} The resolved channel or null if not found.
+     */
+    resolveChannel(guild, channelResolvable) {
+        if (!guild || !channelResolvable) return null;
+        if (channelResolvable instanceof GuildChannel) return channelResolvable; // Already a channel object
+
+        // Try getting from cache by ID
+        let channel = guild.channels.cache.get(channelResolvable);
+        if (channel) return channel;
+
+        // Try matching mention (<#id>)
+        const mentionMatch = channelResolvable.match(/^<#(\d+)>$/);
+        if (mentionMatch) {
+            channel = guild.channels.cache.get(mentionMatch[1]);
+            if (channel) return channel;
+        }
+
+        // Try finding by name (case-insensitive)
+        const name = channelResolvable.replace(/^#/, '').toLowerCase();
+        channel = guild.channels.cache.find(c => c.name?.toLowerCase() === name);
+        return channel || null;
+    },
+
+    /**
+     * Parses a human-readable duration string (e.g., "1h30m", "2d", "90s") into milliseconds.
+     * Supported units: ms, s, m, h, d, w. A bare number is treated as seconds.
+     * @param {string} input The duration string.
+     * @returns {number | null} The duration in milliseconds, or null if the input is invalid.
+     */
+    parseDuration(input) {
+        if (typeof input !== 'string' || !input.trim()) return null;
+        const value = input.trim().toLowerCase();
+        if (/^\d+(\.\d+)?$/.test(value)) return Math.round(parseFloat(value) * 1000);
+
+        const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+        const pattern = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)/g;
+        let total = 0;
+        let consumed = '';
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            total += parseFloat(match[1]) * units[match[2]];
+            consumed += match[0];
+        }
+        // Reject input containing anything besides duration parts (e.g., "5x" or "1h foo")
+        if (!consumed || consumed.replace(/\s/g, '') !== value.replace(/\s/g, '')) return null;
+        return Math.round(total);
+    },
+
+    /**
+     * Fuzzy-filters a list of choices for an autocomplete response and caps it at Discord's limit of 25.
+     * Matches are ranked: exact match, prefix, word prefix, substring, then characters in order (e.g. "gnrl" -> "general").
+     * @param {(string | number | { name: string, value: string | number })[]} choices The available choices.
+     * @param {string} query The text the user typed (e.g. `interaction.options.getFocused()`).
+     * @param {object} [options={}] Options.
+     * @param {number} [options.limit=25] Maximum number of results (never more than 25).
+     * @returns {{ name: string, value: string | number }[]} The matching choices, best matches first.
+     */
+    filterChoices(choices, query, options = {}) {
+        const limit = Math.min(options.limit ?? 25, 25);
+        const search = String(query ?? '').trim().toLowerCase();
+        const normalized = (choices || []).map(choice => typeof choice === 'object'
+            ? { name: String(choice.name), value: choice.value }
+            : { name: String(choice), value: choice });
+
+        const score = name => {
+            const text = name.toLowerCase();
+            if (!search) return 1;
+            if (text === search) return 5;
+            if (text.startsWith(search)) return 4;
+            if (text.split(/[\s_\-]+/).some(word => word.startsWith(search))) return 3;
+            if (text.includes(search)) return 2;
+            // Subsequence match: every character of the query appears in order
+            let index = 0;
+            for (const char of text) {
+                if (char === search[index]) index++;
+                if (index === search.length) return 1;
+            }
+            return 0;
+        };
+
+        return normalized
+            .map((choice, position) => ({ choice, position, score: score(choice.name) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || a.position - b.position) // Stable: keep original order within a rank
+            .slice(0, limit)
+            .map(({ choice }) => ({ name: this.truncateText(choice.name, 100), value: choice.value })); // Choice names are limited to 100 characters
+    },
+
+    /**
+     * Waits until all promises have settled, or until the timeout.
+     * @param {Iterable<Promise<*>>} promises The promises.
+     * @param {number} timeout Maximum time to wait, in milliseconds.
+     * @returns {Promise<boolean>} True if all promises settled in time.
+     */
+    async settleWithin(promises, timeout) {
+        let timer;
+        const expired = new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); });
+        const settled = Promise.allSettled(promises).then(() => true);
+        try {
+            return await Promise.race([settled, expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
     /**
      * Truncates text to a specified maximum length, appending '...'.
      * @param {string} text The text to truncate.
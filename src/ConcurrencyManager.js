@@ -0,0 +1,154 @@
+const SCOPES = ['user', 'channel', 'guild', 'global'];
+const MODES = ['reject', 'queue'];
+
+/**
+ * Tracks in-flight command executions and enforces concurrency limits.
+ *
+ * A command's `maxConcurrency` can be:
+ * - a number: executions running at the same time, per user (`maxConcurrency: 1`)
+ * - an object: `{ limit = 1, scope = 'user', mode = 'reject', maxQueue, message }`
+ *
+ * Scopes: `user` (everywhere), `channel`, `guild`, `global`.
+ * In `reject` mode, calls over the limit are refused; in `queue` mode they wait (first come, first served)
+ * until an execution finishes, up to `maxQueue` waiting calls (unlimited by default).
+ *
+ * Every execution is tracked, with or without a limit, so `getInFlight()` shows what is running (or waiting) right now.
+ */
+class ConcurrencyManager {
+    /**
+     * Creates a ConcurrencyManager instance.
+     * @param {object} [options={}] Options.
+     * @param {() => number} [options.now=Date.now] Clock used for timestamps.
+     */
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        this.inFlight = new Map(); // <executionId, execution>
+        this._running = new Map(); // Running executions per limit key: <key, number>
+        this._queues = new Map(); // Waiting calls per limit key: <key, Function[]> (resolvers, oldest first)
+        this._nextId = 1;
+    }
+
+    /**
+     * Normalizes a command's `maxConcurrency` property.
+     * @param {number | object} maxConcurrency The command's concurrency definition.
+     * @returns {{ limit: number, scope: string, mode: string, maxQueue: number, message?: string | Function } | null} The limit, or null if there is none.
+     * @throws {Error} If the scope or mode is unknown.
+     */
+    static normalize(maxConcurrency) {
+        if (!maxConcurrency) return null;
+        const limit = typeof maxConcurrency === 'number' ? { limit: maxConcurrency } : maxConcurrency;
+        const scope = limit.scope || 'user';
+        const mode = limit.mode || 'reject';
+        if (!SCOPES.includes(scope)) {
+            throw new Error(`Invalid concurrency scope "${scope}". Must be one of: ${SCOPES.join(', ')}.`);
+        }
+        if (!MODES.includes(mode)) {
+            throw new Error(`Invalid concurrency mode "${mode}". Must be one of: ${MODES.join(', ')}.`);
+        }
+        return { ...limit, limit: Math.max(1, limit.limit ?? 1), scope, mode, maxQueue: limit.maxQueue ?? Infinity };
+    }
+
+    /**
+     * Registers an execution of a command. If the command's limit is reached, the call is rejected or,
+     * in queue mode, waits until a running execution is released.
+     * @param {object} command The command (or subcommand) object.
+     * @param {object} context The command context (needs `commandName`, `type`, `user`, `guild`, `channel`).
+     * @param {object} [options={}] Options.
+     * @param {() => (void | Promise<void>)} [options.onQueued] Called before the call starts waiting.
+     * @returns {Promise<{ execution: object | null, blocked: object | null }>} The execution (pass it to `release`),
+     *          or the limit that rejected the call.
+     */
+    async acquire(command, context, options = {}) {
+        const limit = ConcurrencyManager.normalize(command.maxConcurrency);
+        const execution = {
+            id: this._nextId++,
+            commandName: context.commandName,
+            type: context.type,
+            userId: context.user.id,
+            guildId: context.guild?.id ?? null,
+            channelId: context.channel?.id ?? null,
+            key: limit ? this.getKey(command.qualifiedName || command.data?.name || command.name, limit.scope, context) : null,
+            status: 'running', // 'queued' while waiting for a slot
+            queuedAt: null,
+            startedAt: this.now(),
+            timedOut: false,
+        };
+
+        if (limit && (this._running.get(execution.key) ?? 0) >= limit.limit) {
+            const queue = this._queues.get(execution.key) || [];
+            if (limit.mode !== 'queue' || queue.length >= limit.maxQueue) return { execution: null, blocked: limit };
+
+            // release() hands its slot over, so the running count stays the same
+            const slot = new Promise(resolve => queue.push(resolve));
+            this._queues.set(execution.key, queue);
+            execution.status = 'queued';
+            execution.queuedAt = this.now();
+            this.inFlight.set(execution.id, execution);
+            await options.onQueued?.();
+            await slot;
+            execution.status = 'running';
+            execution.startedAt = this.now();
+        } else if (limit) {
+            this._running.set(execution.key, (this._running.get(execution.key) ?? 0) + 1);
+        }
+
+        this.inFlight.set(execution.id, execution);
+        return { execution, blocked: null };
+    }
+
+    /**
+     * Releases an execution, letting the next queued call of the same limit run.
+     * @param {object | null} execution The execution returned by `acquire`.
+     */
+    release(execution) {
+        if (!execution || !this.inFlight.delete(execution.id) || !execution.key) return;
+        const queue = this._queues.get(execution.key);
+        if (queue?.length) {
+            if (queue.length === 1) this._queues.delete(execution.key);
+            queue.shift()();
+            return;
+        }
+        const running = (this._running.get(execution.key) ?? 1) - 1;
+        if (running > 0) this._running.set(execution.key, running);
+        else this._running.delete(execution.key);
+    }
+
+    /**
+     * Lists the tracked executions, optionally filtered.
+     * @param {object} [filter={}] Filter.
+     * @param {string} [filter.commandName] Only executions of this command (qualified name for subcommands).
+     * @param {string} [filter.userId] Only executions by this user.
+     * @param {string} [filter.guildId] Only executions in this guild.
+     * @param {'running' | 'queued'} [filter.status] Only running or only queued executions.
+     * @returns {object[]} The executions, oldest first.
+     */
+    getInFlight(filter = {}) {
+        return [...this.inFlight.values()].filter(execution =>
+            (filter.commandName === undefined || execution.commandName === filter.commandName)
+            && (filter.userId === undefined || execution.userId === filter.userId)
+            && (filter.guildId === undefined || execution.guildId === filter.guildId)
+            && (filter.status === undefined || execution.status === filter.status));
+    }
+
+    /**
+     * Builds the key executions are counted under for a command, scope and context.
+     * @param {string} identifier The command identifier.
+     * @param {string} scope The limit scope.
+     * @param {object} context The command context.
+     * @returns {string} The key.
+     */
+    getKey(identifier, scope, context) {
+        const userId = context.user.id;
+        switch (scope) {
+            case 'channel': return `${identifier}:channel:${context.channel?.id ?? userId}`;
+            case 'guild': return `${identifier}:guild:${context.guild?.id ?? `dm:${userId}`}`; // DMs count per user
+            case 'global': return `${identifier}:global`;
+            default: return `${identifier}:user:${userId}`;
+        }
+    }
+}
+
+ConcurrencyManager.SCOPES = SCOPES;
+ConcurrencyManager.MODES = MODES;
+
+module.exports = ConcurrencyManager;
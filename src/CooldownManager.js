@@ -0,0 +1,180 @@
+const PermissionUtils = require('./PermissionUtils');
+const MemoryCooldownStore = require('./MemoryCooldownStore');
+
+const SCOPES = ['user', 'member', 'channel', 'guild', 'global'];
+
+/**
+ * Tracks command usage and enforces cooldowns / rate limits.
+ *
+ * A command's `cooldown` can be:
+ * - a number: seconds between uses, per user (`cooldown: 5`)
+ * - an object: `{ duration, uses = 1, scope = 'user', exempt, message }`, e.g. `{ duration: 10, uses: 3 }` allows 3 uses per 10 seconds
+ * - an array of such objects, all of which must pass (e.g. a per-user and a per-guild limit)
+ *
+ * Scopes: `user` (everywhere), `member` (user within a guild), `channel`, `guild`, `global`.
+ * Limits are sliding windows, so a burst never exceeds `uses` within any `duration` seconds. Each limit keeps its own
+ * history, and a use is checked and recorded in one step per key (within this process), so concurrent calls can't all pass.
+ */
+class CooldownManager {
+    /**
+     * Creates a CooldownManager instance.
+     * @param {object} [options={}] Options.
+     * @param {object} [options.store] Storage adapter (see MemoryCooldownStore). Defaults to a new MemoryCooldownStore.
+     * @param {() => number} [options.now=Date.now] Clock used for all timestamps.
+     * @param {object} [options.exempt] Exemptions applied to every limit.
+     * @param {boolean} [options.exempt.owners=false] Whether bot owners bypass cooldowns.
+     * @param {string[]} [options.exempt.roles=[]] Role names or IDs that bypass cooldowns.
+     * @param {string[]} [options.exempt.users=[]] User IDs that bypass cooldowns.
+     * @param {string[]} [options.ownerIds=[]] Bot owner IDs (for `exempt.owners`).
+     */
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        this.store = options.store || new MemoryCooldownStore({ now: this.now });
+        this.exempt = options.exempt || {};
+        this.ownerIds = options.ownerIds || [];
+        this._locks = new Map(); // Keys being checked and recorded: <key, Promise> (the last holder's release)
+    }
+
+    /**
+     * Normalizes a command's `cooldown` property into a list of limits.
+     * @param {number | object | object[]} cooldown The command's cooldown definition.
+     * @returns {{ duration: number, uses: number, scope: string, exempt: object, message?: string | Function }[]} The limits.
+     * @throws {Error} If a limit uses an unknown scope.
+     */
+    static normalize(cooldown) {
+        if (!cooldown) return [];
+        return [].concat(cooldown)
+            .map(limit => (typeof limit === 'number' ? { duration: limit } : limit))
+            .filter(limit => limit && limit.duration > 0)
+            .map(limit => {
+                const scope = limit.scope || 'user';
+                if (!SCOPES.includes(scope)) {
+                    throw new Error(`Invalid cooldown scope "${scope}". Must be one of: ${SCOPES.join(', ')}.`);
+                }
+                return { ...limit, scope, uses: Math.max(1, limit.uses ?? 1), exempt: limit.exempt || {} };
+            });
+    }
+
+    /**
+     * Checks all cooldown limits of a command and records the use if none of them is exhausted.
+     * @param {object} command The command (or subcommand) object.
+     * @param {object} context The command context (needs `user`, `member`, `guild`, `channel`).
+     * @returns {Promise<{ remaining: number, limit: object } | null>} The limit that blocks the use
+     *          (with the remaining time in milliseconds), or null if the use is allowed.
+     */
+    async consume(command, context) {
+        const limits = CooldownManager.normalize(command.cooldown);
+        if (limits.length === 0) return null;
+
+        const identifier = command.qualifiedName || command.data?.name || command.name;
+        const checks = limits
+            .map((limit, index) => ({ limit, key: this.getKey(identifier, limit.scope, context, index) }))
+            .filter(({ limit }) => !this._isExempt(limit, context));
+
+        return this._withLocks(checks.map(({ key }) => key), async () => {
+            const now = this.now();
+            const pending = [];
+            let blocked = null;
+
+            for (const { limit, key } of checks) {
+                const windowMs = limit.duration * 1000;
+                const hits = ((await this.store.get(key)) || []).filter(timestamp => timestamp > now - windowMs);
+
+                if (hits.length >= limit.uses) {
+                    // The next use becomes available when the oldest relevant use leaves the window
+                    const remaining = hits[hits.length - limit.uses] + windowMs - now;
+                    if (!blocked || remaining > blocked.remaining) blocked = { remaining, limit };
+                } else {
+                    pending.push({ key, hits, windowMs });
+                }
+            }
+
+            if (blocked) return blocked;
+            for (const { key, hits, windowMs } of pending) {
+                await this.store.set(key, [...hits, now], windowMs);
+            }
+            return null;
+        });
+    }
+
+    /**
+     * Clears the recorded uses of a command for the given context (all scopes of its limits).
+     * @param {object} command The command (or subcommand) object.
+     * @param {object} context The command context.
+     */
+    async reset(command, context) {
+        const identifier = command.qualifiedName || command.data?.name || command.name;
+        const limits = CooldownManager.normalize(command.cooldown);
+        for (const [index, limit] of limits.entries()) {
+            await this.store.delete(this.getKey(identifier, limit.scope, context, index));
+        }
+    }
+
+    /**
+     * Builds the storage key for a limit of a command in a context.
+     * @param {string} identifier The command identifier.
+     * @param {string} scope The limit scope.
+     * @param {object} context The command context.
+     * @param {number} [index=0] The limit's position in the command's limits (limits with the same scope need separate keys).
+     * @returns {string} The storage key.
+     */
+    getKey(identifier, scope, context, index = 0) {
+        const userId = context.user.id;
+        const prefix = `${identifier}:${index}`;
+        switch (scope) {
+            case 'member': return `${prefix}:member:${context.guild?.id ?? 'dm'}:${userId}`;
+            case 'channel': return `${prefix}:channel:${context.channel?.id ?? userId}`;
+            case 'guild': return `${prefix}:guild:${context.guild?.id ?? `dm:${userId}`}`; // DMs count per user
+            case 'global': return `${prefix}:global`;
+            default: return `${prefix}:user:${userId}`;
+        }
+    }
+
+    /**
+     * Runs a function while holding the locks of the given keys, after earlier holders of any of them released theirs.
+     * @param {string[]} keys The keys.
+     * @param {() => Promise<*>} fn The function.
+     * @returns {Promise<*>} What the function returned.
+     * @private
+     */
+    async _withLocks(keys, fn) {
+        const previous = keys.map(key => this._locks.get(key));
+        let release;
+        const lock = new Promise(resolve => { release = resolve; });
+        keys.forEach(key => this._locks.set(key, lock));
+        await Promise.all(previous);
+        try {
+            return await fn();
+        } finally {
+            release();
+            keys.forEach(key => this._locks.get(key) === lock && this._locks.delete(key));
+        }
+    }
+
+    /**
+     * Checks the global and per-limit exemptions.
+     * @private
+     */
+    _isExempt(limit, context) {
+        const userId = context.user.id;
+        const owners = limit.exempt.owners ?? this.exempt.owners;
+        if (owners && this.ownerIds.includes(userId)) return true;
+
+        const users = [...(this.exempt.users || []), ...(limit.exempt.users || [])];
+        if (users.includes(userId)) return true;
+
+        const roles = [...(this.exempt.roles || []), ...(limit.exempt.roles || [])];
+        return context.member ? roles.some(role => PermissionUtils.hasRole(context.member, role)) : false;
+    }
+
+    /**
+     * Stops background work of the store (if it has any).
+     */
+    destroy() {
+        this.store.destroy?.();
+    }
+}
+
+CooldownManager.SCOPES = SCOPES;
+
+module.exports = CooldownManager;
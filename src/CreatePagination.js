@@ -1,12 +1,16 @@
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
 
+// Aktif sayfalamaların collector'ları ve sahipleri (kapatılırken sonlandırmak için, bkz. stopPaginations)
+const activeCollectors = new Map();
+
 /**
  * Discord mesajına sayfa sistemi ekler.
  * @param {Interaction|Message} interaction - Komut interaction'ı veya mesaj
  * @param {EmbedBuilder[]} pages - Embed sayfaları (her biri ayrı embed)
  * @param {number} timeout - Kaç saniye sonra düğmeler pasifleşsin (default: 60)
+ * @param {*} [owner] - Sayfalamanın sahibi, örn. `context.handler`; sahibi kapatılınca sayfalama da sonlanır (bkz. stopPaginations)
  */
-async function createPagination(interaction, pages, timeout = 60) {
+async function createPagination(interaction, pages, timeout = 60, owner = null) {
     if (!pages || !Array.isArray(pages) || pages.length === 0) {
         throw new Error('Embed pages must be a non-empty array.');
     }
@@ -35,8 +39,9 @@ async function createPagination(interaction, pages, timeout = 60) {
 
     const collector = message.createMessageComponentCollector({
         time: timeout * 1000,
-        filter: i => i.user.id === interaction.user.id
+        filter: i => i.user.id === (interaction.user ?? interaction.author).id // Message kaynaklarında kullanıcı `author` alanındadır
     });
+    trackPagination(collector, owner);
 
     collector.on('collect', async i => {
         if (i.customId === 'prev' && currentPage > 0) currentPage--;
@@ -55,4 +60,30 @@ async function createPagination(interaction, pages, timeout = 60) {
     });
 }
 
-module.exports = { createPagination };
+/**
+ * Sayfalama collector'ını sahibiyle birlikte kaydeder; collector bitince kayıttan çıkar.
+ * @param {InteractionCollector} collector - Sayfalama collector'ı
+ * @param {*} [owner] - Sayfalamanın sahibi (örn. bir CommandHandler)
+ */
+function trackPagination(collector, owner = null) {
+    activeCollectors.set(collector, owner);
+    collector.once('end', () => activeCollectors.delete(collector));
+}
+
+/**
+ * Aktif sayfalamaları sonlandırır (düğmeler kaldırılır). CommandHandler ve InteractionManager kapatılırken kendi
+ * sayfalamaları için çağırır; aynı client'taki diğer handler'ların sayfalamalarına dokunulmaz.
+ * @param {*} [owner] - Yalnızca bu sahibin sayfalamaları (varsayılan: hepsi)
+ * @returns {number} Sonlandırılan sayfalama sayısı
+ */
+function stopPaginations(owner) {
+    let stopped = 0;
+    for (const [collector, collectorOwner] of activeCollectors) {
+        if (owner !== undefined && collectorOwner !== owner) continue;
+        collector.stop('shutdown');
+        stopped++;
+    }
+    return stopped;
+}
+
+module.exports = { createPagination, trackPagination, stopPaginations };
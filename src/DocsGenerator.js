@@ -0,0 +1,416 @@
+const path = require('path');
+const { ApplicationCommandOptionType, PermissionsBitField } = require('discord.js');
+const ArgumentParser = require('./ArgumentParser');
+const CooldownManager = require('./CooldownManager');
+const ConcurrencyManager = require('./ConcurrencyManager');
+const CommandType = require('./CommandType');
+const CommonUtils = require('./CommonUtils');
+const { formatSlashUsage, formatCategory } = require('./HelpCommand');
+
+const SUBCOMMAND_TYPES = [ApplicationCommandOptionType.Subcommand, ApplicationCommandOptionType.SubcommandGroup];
+
+/**
+ * Builds a manifest of a bot's commands and renders it as Markdown or HTML command reference pages.
+ *
+ * The manifest is plain JSON (see `createManifest`, or `CommandHandler#getManifest` / `exportManifest`), so the docs can be
+ * generated in a separate build step from an exported file, without loading the bot:
+ * ```js
+ * const manifest = JSON.parse(fs.readFileSync('commands.json', 'utf8'));
+ * fs.writeFileSync('docs/commands.md', DocsGenerator.toMarkdown(manifest, { title: 'Bot Commands' }));
+ * ```
+ */
+const DocsGenerator = {
+    /**
+     * Builds the manifest of every command loaded by a handler (aliases are listed with their command, not separately).
+     * @param {import('./CommandHandler')} handler The CommandHandler instance.
+     * @returns {{ prefix: string | null, commands: object[] }} The manifest. Each command has `name`, `type`, `category`, `description`,
+     *          `aliases`, `usage`, `options` (from `data.toJSON()`), `args`, `flags`, `subcommands`, `cooldown`, `permissions`,
+     *          `botPermissions`, `roles`, `devOnly`, `guildOnly`, `hidden`, `scope`, `guilds`, `maxConcurrency`, `timeout`,
+     *          `confirm` and `file` (relative to the command directory).
+     */
+    createManifest(handler) {
+        const prefix = typeof handler.prefix === 'function' || !handler.prefix ? null : [].concat(handler.prefix)[0];
+        const commands = [...new Set(handler.commands.values())]
+            .map(command => describeCommand(command, prefix ?? '', handler.commandDir))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return { prefix, commands };
+    },
+
+    /**
+     * Renders a manifest as a Markdown command reference, grouped by category.
+     * @param {object} manifest The manifest (see `createManifest`).
+     * @param {object} [options={}] Options.
+     * @param {string} [options.title='Commands'] The page title.
+     * @param {boolean} [options.includeHidden=false] Whether to include `hidden` and `devOnly` commands.
+     * @returns {string} The Markdown.
+     */
+    toMarkdown(manifest, options = {}) {
+        const lines = [`# ${options.title || 'Commands'}`, ''];
+        for (const { category, commands } of groupByCategory(manifest, options)) {
+            lines.push(`## ${category}`, '');
+            for (const command of commands) {
+                const details = describeForDocs(command);
+                lines.push(`### ${details.heading}`, '');
+                if (details.description) lines.push(details.description, '');
+                if (details.usage.length) lines.push(`**Usage:** ${details.usage.map(usage => `\`${usage}\``).join(' · ')}`, '');
+                for (const [label, value] of details.facts) lines.push(`- **${label}:** ${value.map(item => `\`${item}\``).join(', ')}`);
+                if (details.facts.length) lines.push('');
+                for (const table of details.tables) {
+                    if (table.title) lines.push(`#### ${table.title}`, '', ...(table.description ? [table.description, ''] : []));
+                    if (!table.rows.length) continue;
+                    lines.push(`| ${table.columns.join(' | ')} |`, `| ${table.columns.map(() => '---').join(' | ')} |`);
+                    table.rows.forEach(row => lines.push(`| ${row.map(markdownCell).join(' | ')} |`));
+                    lines.push('');
+                }
+            }
+        }
+        return `${lines.join('\n').trimEnd()}\n`;
+    },
+
+    /**
+     * Renders a manifest as an HTML command reference, grouped by category.
+     * @param {object} manifest The manifest (see `createManifest`).
+     * @param {object} [options={}] Options.
+     * @param {string} [options.title='Commands'] The page title.
+     * @param {boolean} [options.includeHidden=false] Whether to include `hidden` and `devOnly` commands.
+     * @param {boolean} [options.fragment=false] Whether to return only the content (for embedding in a docs site's layout)
+     *        instead of a complete page with default styles.
+     * @returns {string} The HTML.
+     */
+    toHTML(manifest, options = {}) {
+        const title = options.title || 'Commands';
+        const parts = [`<h1>${escapeHTML(title)}</h1>`];
+        for (const { category, commands } of groupByCategory(manifest, options)) {
+            parts.push(`<section class="category"><h2 id="${slugify(category)}">${escapeHTML(category)}</h2>`);
+            for (const command of commands) {
+                const details = describeForDocs(command);
+                parts.push(`<article class="command" id="${slugify(details.heading)}"><h3>${escapeHTML(details.heading)}</h3>`);
+                if (details.description) parts.push(`<p>${escapeHTML(details.description)}</p>`);
+                if (details.usage.length) parts.push(`<p class="usage"><strong>Usage:</strong> ${details.usage.map(usage => `<code>${escapeHTML(usage)}</code>`).join(' · ')}</p>`);
+                if (details.facts.length) {
+                    parts.push(`<ul class="facts">${details.facts.map(([label, value]) =>
+                        `<li><strong>${escapeHTML(label)}:</strong> ${value.map(item => `<code>${escapeHTML(item)}</code>`).join(', ')}</li>`).join('')}</ul>`);
+                }
+                for (const table of details.tables) {
+                    if (table.title) parts.push(`<h4>${escapeHTML(table.title)}</h4>`);
+                    if (table.description) parts.push(`<p>${escapeHTML(table.description)}</p>`);
+                    if (!table.rows.length) continue;
+                    parts.push(`<table><thead><tr>${table.columns.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr></thead><tbody>${
+                        table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+                }
+                parts.push('</article>');
+            }
+            parts.push('</section>');
+        }
+        const content = parts.join('\n');
+        if (options.fragment) return `${content}\n`;
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escapeHTML(title)}</title>`,
+            '<style>',
+            'body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }',
+            'code { background: #f2f3f5; padding: 0 .25em; border-radius: 3px; }',
+            'table { border-collapse: collapse; margin: .5rem 0 1rem; }',
+            'th, td { border: 1px solid #ddd; padding: .25rem .5rem; text-align: left; }',
+            '.command { border-top: 1px solid #eee; padding-top: .5rem; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            content,
+            '</body>',
+            '</html>',
+            '',
+        ].join('\n');
+    },
+};
+
+/**
+ * Describes a command for the manifest.
+ * @param {object} command The command object.
+ * @param {string} prefix The legacy prefix shown in usage lines.
+ * @param {string} commandDir The command directory (file paths are relative to it).
+ * @returns {object}
+ */
+function describeCommand(command, prefix, commandDir) {
+    const json = command.data?.toJSON?.();
+    const name = command.data?.name || command.name;
+    const isApplication = command.type !== CommandType.LEGACY;
+    const hasPrefixArgs = command.type === CommandType.LEGACY || command.type === CommandType.HYBRID;
+    const usage = [];
+    if (command.type === CommandType.SLASH || command.type === CommandType.HYBRID) usage.push(formatSlashUsage(name, json.options));
+    if (hasPrefixArgs) usage.push(ArgumentParser.formatUsage({ ...command, name }, prefix));
+
+    return {
+        name,
+        type: command.type,
+        category: command.category || null,
+        description: json?.description || command.description || null,
+        aliases: command.aliases || [],
+        usage,
+        options: json?.options || [],
+        args: hasPrefixArgs ? (command.args || []).map(describeArgument) : [],
+        flags: hasPrefixArgs ? (command.flags || []).map(describeFlag) : [],
+        subcommands: describeSubcommands(command, json, commandDir),
+        ...describeRequirements(command),
+        hidden: Boolean(command.hidden),
+        builtin: Boolean(command.builtin),
+        scope: isApplication ? command.scope || 'global' : null,
+        guilds: isApplication ? [].concat(command.guilds || []) : [],
+        maxConcurrency: describeConcurrency(command.maxConcurrency),
+        timeout: command.timeout ?? null,
+        confirm: Boolean(command.confirm),
+        file: relativeFile(command.filePath, commandDir),
+    };
+}
+
+/**
+ * Describes the checks of a command or subcommand (cooldown, permissions, roles).
+ * @param {object} command The command or subcommand object.
+ * @returns {object}
+ */
+function describeRequirements(command) {
+    return {
+        cooldown: CooldownManager.normalize(command.cooldown).map(({ duration, uses, scope }) => ({ duration, uses, scope })),
+        permissions: permissionNames(command.permissions),
+        botPermissions: permissionNames(command.botPermissions),
+        roles: (command.roles || []).map(role => (typeof role === 'string' ? role : role.name ?? role.id)),
+        devOnly: Boolean(command.devOnly),
+        guildOnly: Boolean(command.guildOnly),
+    };
+}
+
+/**
+ * Lists the subcommands of a slash command from its options tree, with the checks of subcommand directory files.
+ * @param {object} command The command object.
+ * @param {object} [json] The command's `data.toJSON()`.
+ * @param {string} commandDir The command directory.
+ * @returns {object[]}
+ */
+function describeSubcommands(command, json, commandDir) {
+    const files = [...(command.subcommands?.values() || [])];
+    const describe = (names, option) => {
+        const qualifiedName = names.join(' ');
+        const file = files.find(subcommand => subcommand.qualifiedName === qualifiedName);
+        return {
+            name: qualifiedName,
+            description: option.description,
+            usage: [formatSlashUsage(qualifiedName, option.options)],
+            options: option.options || [],
+            ...(file ? { ...describeRequirements(file), file: relativeFile(file.filePath, commandDir) } : {}),
+        };
+    };
+
+    const subcommands = [];
+    for (const option of json?.options || []) {
+        if (option.type === ApplicationCommandOptionType.Subcommand) subcommands.push(describe([json.name, option.name], option));
+        if (option.type === ApplicationCommandOptionType.SubcommandGroup) {
+            (option.options || []).forEach(subcommand => subcommands.push(describe([json.name, option.name, subcommand.name], subcommand)));
+        }
+    }
+    return subcommands;
+}
+
+/**
+ * Describes a legacy argument definition (functions such as custom types and defaults are left out).
+ * @param {object} def The definition (see ArgumentParser).
+ * @returns {object}
+ */
+function describeArgument(def) {
+    return {
+        name: def.name,
+        type: typeof def.type === 'function' ? 'custom' : def.type || null,
+        required: !def.optional && def.default === undefined,
+        description: def.description || null,
+        ...(def.choices ? { choices: def.choices } : {}),
+    };
+}
+
+/**
+ * Describes a legacy flag definition. Flags are never required, and default to booleans (see ArgumentParser).
+ * @param {object} def The definition (see ArgumentParser).
+ * @returns {object}
+ */
+function describeFlag(def) {
+    return { ...describeArgument(def), type: typeof def.type === 'function' ? 'custom' : def.type || 'boolean', required: false };
+}
+
+/**
+ * Describes a `maxConcurrency` definition.
+ * @param {number | object} maxConcurrency The definition (see ConcurrencyManager).
+ * @returns {{ limit: number, scope: string, mode: string } | null}
+ */
+function describeConcurrency(maxConcurrency) {
+    const limit = ConcurrencyManager.normalize(maxConcurrency);
+    return limit && { limit: limit.limit, scope: limit.scope, mode: limit.mode };
+}
+
+/**
+ * Converts permissions (flag names or bits) to flag names.
+ * @param {Array<string | bigint>} [permissions] The permissions.
+ * @returns {string[]}
+ */
+function permissionNames(permissions = []) {
+    return permissions.flatMap(permission => (typeof permission === 'bigint' ? new PermissionsBitField(permission).toArray() : [String(permission)]));
+}
+
+/**
+ * Makes a command file path relative to the command directory, with forward slashes.
+ * @param {string} [filePath] The file path (built-in commands have none).
+ * @param {string} commandDir The command directory.
+ * @returns {string | null}
+ */
+function relativeFile(filePath, commandDir) {
+    return filePath ? path.relative(commandDir, filePath).split(path.sep).join('/') : null;
+}
+
+/**
+ * Groups the documented commands by category (sorted, "Uncategorized" last).
+ * @param {object} manifest The manifest.
+ * @param {object} options Rendering options (`includeHidden`).
+ * @returns {{ category: string, commands: object[] }[]}
+ */
+function groupByCategory(manifest, options) {
+    const categories = new Map();
+    for (const command of manifest.commands) {
+        if (!options.includeHidden && (command.hidden || command.devOnly)) continue;
+        const category = command.category || '';
+        if (!categories.has(category)) categories.set(category, []);
+        categories.get(category).push(command);
+    }
+    return [...categories.keys()]
+        .sort((a, b) => (!a) - (!b) || a.localeCompare(b))
+        .map(category => ({ category: category ? formatCategory(category) : 'Uncategorized', commands: categories.get(category) }));
+}
+
+/**
+ * Prepares a manifest command for rendering: heading, usage lines, facts (aliases, cooldown, permissions...) and option tables.
+ * @param {object} command A manifest command.
+ * @returns {{ heading: string, description: string | null, usage: string[], facts: Array<[string, string[]]>, tables: object[] }}
+ */
+function describeForDocs(command) {
+    const heading = {
+        [CommandType.SLASH]: `/${command.name}`,
+        [CommandType.HYBRID]: `/${command.name}`,
+        [CommandType.USER]: `${command.name} (user context menu)`,
+        [CommandType.MESSAGE]: `${command.name} (message context menu)`,
+    }[command.type] || command.name;
+
+    const tables = [];
+    if (command.subcommands.length) {
+        for (const subcommand of command.subcommands) {
+            tables.push({
+                title: `/${subcommand.name}`,
+                description: [subcommand.description, ...factsOf(subcommand).map(([label, value]) => `${label}: ${value.join(', ')}`)].filter(Boolean).join(' — '),
+                ...optionTable(subcommand.options),
+            });
+        }
+    } else if (command.options.length) {
+        tables.push({ title: null, ...optionTable(command.options) });
+    } else if (command.args.length || command.flags.length) {
+        tables.push({
+            title: null,
+            columns: ['Argument', 'Type', 'Required', 'Description'],
+            rows: [
+                ...command.args.map(arg => [arg.name, arg.type || 'string', arg.required ? 'Yes' : 'No', describeChoices(arg.description, arg.choices)]),
+                ...command.flags.map(flag => [`--${flag.name}`, flag.type || 'boolean', 'No', describeChoices(flag.description, flag.choices)]),
+            ],
+        });
+    }
+
+    return {
+        heading,
+        description: command.description,
+        usage: command.subcommands.length ? [] : command.usage,
+        facts: [command.aliases.length && ['Aliases', command.aliases], ...factsOf(command)].filter(Boolean),
+        tables,
+    };
+}
+
+/**
+ * Lists the requirements of a command or subcommand as [label, values] pairs.
+ * @param {object} entry A manifest command or subcommand.
+ * @returns {Array<[string, string[]]>}
+ */
+function factsOf(entry) {
+    return [
+        entry.cooldown?.length && ['Cooldown', entry.cooldown.map(formatCooldown)],
+        entry.permissions?.length && ['Permissions', entry.permissions],
+        entry.botPermissions?.length && ['Bot permissions', entry.botPermissions],
+        entry.roles?.length && ['Roles', entry.roles],
+        entry.guildOnly && ['Availability', ['Servers only']],
+        entry.devOnly && ['Availability', ['Bot owners only']],
+        entry.confirm && ['Confirmation', ['Asks to confirm before running']],
+    ].filter(Boolean);
+}
+
+/**
+ * Builds the option table of a slash command or subcommand.
+ * @param {object[]} options The options JSON.
+ * @returns {{ columns: string[], rows: string[][] }}
+ */
+function optionTable(options) {
+    return {
+        columns: ['Option', 'Type', 'Required', 'Description'],
+        rows: options
+            .filter(option => !SUBCOMMAND_TYPES.includes(option.type))
+            .map(option => [
+                option.name,
+                ApplicationCommandOptionType[option.type] || String(option.type),
+                option.required ? 'Yes' : 'No',
+                describeChoices(option.description, option.choices?.map(choice => choice.name)),
+            ]),
+    };
+}
+
+/**
+ * Appends the choices to a description.
+ * @param {string | null} description The description.
+ * @param {string[]} [choices] The choices.
+ * @returns {string}
+ */
+function describeChoices(description, choices) {
+    return [description, choices?.length && `One of: ${choices.join(', ')}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Formats a manifest cooldown limit, e.g. "3 uses / 10s (per guild)".
+ * @param {{ duration: number, uses: number, scope: string }} limit The limit.
+ * @returns {string}
+ */
+function formatCooldown({ duration, uses, scope }) {
+    const time = CommonUtils.formatDuration(duration * 1000);
+    const text = uses > 1 ? `${uses} uses / ${time}` : time;
+    return scope !== 'user' ? `${text} (per ${scope})` : text;
+}
+
+/**
+ * Escapes a Markdown table cell.
+ * @param {string} value The cell value.
+ * @returns {string}
+ */
+function markdownCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {string} value The text.
+ * @returns {string}
+ */
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Builds an HTML anchor ID from a heading.
+ * @param {string} text The heading.
+ * @returns {string}
+ */
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+}
+
+module.exports = DocsGenerator;
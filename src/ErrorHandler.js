@@ -0,0 +1,71 @@
+const { UserError, createErrorId } = require('./Errors');
+
+/**
+ * Turns errors thrown by commands, middlewares and interaction handlers into log entries and user replies.
+ * Created by CommandHandler and InteractionManager from their `onError` and `errorReply` options.
+ *
+ * - A UserError's message is the reply, as-is. It is logged at debug level.
+ * - Any other error gets a short error ID, is logged with it and passed to `onError` (e.g. to report it to an error tracker).
+ *   The reply is the generic error translation, which includes the ID.
+ * - `errorReply` can replace the reply, e.g. with an embed: `(error, { message }) => ({ embeds: [SuiteEmbed.error(message)] })`.
+ */
+class ErrorHandler {
+    /**
+     * Creates an ErrorHandler instance.
+     * @param {object} options Options.
+     * @param {import('./Logger')} options.logger The logger.
+     * @param {import('./I18n')} options.i18n Translations for the generic replies.
+     * @param {(error: *, details: object) => void | Promise<void>} [options.onError] Called with every internal error and its details
+     *        (`errorId`, `source` and what failed, see `handle`). Errors thrown by the hook are logged.
+     * @param {(error: *, details: object) => string | object} [options.errorReply] Builds the reply from the error and its details
+     *        (`errorId`, `message` (the default reply text), `userError`, ...). Defaults to the message.
+     */
+    constructor(options) {
+        this.logger = options.logger;
+        this.i18n = options.i18n;
+        this.onError = options.onError || null;
+        this.errorReply = options.errorReply || null;
+    }
+
+    /**
+     * Handles an error: logs it, calls `onError` for internal errors and builds the reply.
+     * @param {*} error The thrown value.
+     * @param {object} info What failed.
+     * @param {string} info.description Log message prefix, e.g. `Error executing SLASH command "ban"`.
+     * @param {string} info.replyKey Translation key of the generic reply (receives `{errorId}`).
+     * @param {string} [info.locale] Locale of the reply.
+     * @param {object} [info.details={}] Passed to `onError` and `errorReply`, e.g. `{ source: 'command', context }`.
+     * @returns {Promise<{ errorId: string | null, reply: string | object }>} The error ID (null for user errors) and the reply.
+     */
+    async handle(error, { description, replyKey, locale, details = {} }) {
+        const userError = error instanceof UserError;
+        const errorId = userError ? null : createErrorId();
+        if (error instanceof Error && errorId) error.errorId = errorId;
+
+        if (userError) {
+            this.logger.debug(`${description}: ${error.message}`);
+        } else {
+            this.logger.error(`[Error ID: ${errorId}] ${description}:`, error);
+            if (this.onError) {
+                try {
+                    await this.onError(error, { errorId, ...details });
+                } catch (hookError) {
+                    this.logger.error(`The onError hook failed for error ${errorId}:`, hookError);
+                }
+            }
+        }
+
+        const message = userError ? error.message : this.i18n.t(replyKey, locale, { errorId });
+        let reply = message;
+        if (this.errorReply) {
+            try {
+                reply = await this.errorReply(error, { errorId, message, userError, ...details }) ?? message;
+            } catch (replyError) {
+                this.logger.error(`The errorReply option failed for ${errorId ? `error ${errorId}` : 'a user error'}:`, replyError);
+            }
+        }
+        return { errorId, reply };
+    }
+}
+
+module.exports = ErrorHandler;
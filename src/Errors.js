@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+/**
+ * Base class of the suite's errors.
+ */
+class SuiteError extends Error {
+    /**
+     * Creates a SuiteError instance.
+     * @param {string} message The error message.
+     * @param {object} [options={}] Options.
+     * @param {*} [options.cause] The underlying error.
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause !== undefined ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * An expected failure caused by the user's input or situation, e.g. `throw new UserError('You need to link your account first.')`.
+ * The message is shown to the user as-is; it is only logged at debug level, doesn't get an error ID and doesn't count as a failure in the metrics.
+ */
+class UserError extends SuiteError {}
+
+/**
+ * An unexpected failure. The user sees the generic error reply with the error ID; the message only goes to the log.
+ * Any other thrown value is treated the same way; throw an InternalError to add a `cause` to a low-level error.
+ */
+class InternalError extends SuiteError {}
+
+/**
+ * Thrown (as the execution's error) when a command doesn't finish within its `timeout` (see CommandHandler).
+ */
+class CommandTimeoutError extends InternalError {
+    /**
+     * Creates a CommandTimeoutError instance.
+     * @param {string} commandName The command name.
+     * @param {number} timeout The timeout in seconds.
+     */
+    constructor(commandName, timeout) {
+        super(`Command "${commandName}" timed out after ${timeout}s.`);
+        this.commandName = commandName;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Creates a short ID to match an error reply with its log entry, e.g. "3f9a1c7e".
+ * @returns {string}
+ */
+function createErrorId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+module.exports = { SuiteError, UserError, InternalError, CommandTimeoutError, createErrorId };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { Collection } = require('discord.js');
+
+/**
+ * Loads client event listeners from a directory, so bots don't have to hand-wire `client.on(...)`.
+ * Created by CommandHandler when `options.eventDir` is set (available as `commandHandler.events`),
+ * and hot-reloaded together with the commands when `options.watch` is enabled.
+ *
+ * Each file (subdirectories are allowed; CommonJS or ES module, see the CommandHandler's `extensions` option) exports:
+ * ```js
+ * module.exports = {
+ *     name: 'guildMemberAdd', // The client event name (see discord.js Events)
+ *     once: false,            // Whether to remove the listener after the first call (optional)
+ *     async execute(member, client) { ... } // Receives the event arguments followed by the client
+ * };
+ * ```
+ * Errors thrown by `execute` (sync or async) are logged and never reach the client or other listeners.
+ */
+class EventHandler {
+    /**
+     * Creates an EventHandler instance.
+     * @param {import('./CommandHandler')} handler The CommandHandler instance (provides the client, logger and directory reader).
+     * @param {object} [options={}] Options.
+     * @param {string} [options.eventDir='./events'] Path to the directory containing event files.
+     */
+    constructor(handler, options = {}) {
+        this.handler = handler;
+        this.client = handler.client;
+        this.logger = handler.logger;
+        this.eventDir = path.resolve(options.eventDir || './events');
+        this.events = new Collection(); // Stores loaded events: <filePath, { name, once, execute, listener, filePath }>
+    }
+
+    /**
+     * Loads all event files from the event directory, replacing previously loaded listeners.
+     * The previous listeners stay attached until all files are loaded.
+     * @returns {Promise<void>}
+     */
+    async loadEvents() {
+        this.logger.info(`Loading events from: ${this.eventDir}`);
+        const events = [];
+        for (const file of this.handler._readDirRecursive(this.eventDir)) {
+            const event = await this._loadEventFile(file);
+            if (event) events.push(event);
+        }
+
+        this.unloadEvents();
+        events.forEach(event => this._attach(event));
+        this.logger.info(`Loaded ${this.events.size} event listener(s).`);
+    }
+
+    /**
+     * Reloads a single event file. Handles added, changed and deleted files.
+     * If the new version fails to load, the previously attached listener is kept.
+     * Note that a reloaded `once` listener waits for the next emit, even if the old one already ran.
+     * @param {string} file Path to the event file.
+     * @returns {Promise<boolean>} True if the listeners were updated, false otherwise.
+     */
+    async reloadEvent(file) {
+        const filePath = path.resolve(file);
+
+        // File deleted: detach whatever it provided
+        if (!fs.existsSync(filePath)) {
+            delete require.cache[filePath];
+            return this.unloadEvent(filePath);
+        }
+
+        const previous = this.events.get(filePath);
+        const event = await this._loadEventFile(filePath);
+        if (!event) {
+            if (previous) {
+                this.logger.error(`Reload of ${filePath} failed. Keeping the previously loaded "${previous.name}" listener.`);
+            }
+            return false;
+        }
+
+        if (previous) this._detach(previous);
+        this._attach(event);
+        this.logger.info(`${previous ? 'Reloaded' : 'Loaded new'} "${event.name}" event listener from ${filePath}`);
+        return true;
+    }
+
+    /**
+     * Detaches and forgets the listener of an event file.
+     * @param {string} file Path to the event file.
+     * @returns {boolean} True if a listener was removed.
+     */
+    unloadEvent(file) {
+        const event = this.events.get(path.resolve(file));
+        if (!event) return false;
+        this._detach(event);
+        this.logger.info(`Unloaded "${event.name}" event listener (${event.filePath}).`);
+        return true;
+    }
+
+    /**
+     * Detaches all loaded listeners.
+     */
+    unloadEvents() {
+        this.events.forEach(event => this._detach(event));
+    }
+
+    /**
+     * Loads a single event file (bypassing the module cache) and validates it.
+     * @param {string} file Absolute path to the event file.
+     * @returns {Promise<object | null>} The event object, or null if the file could not be loaded.
+     * @private
+     */
+    async _loadEventFile(file) {
+        try {
+            const event = await this.handler._loadModule(file);
+            if (!event || typeof event !== 'object') {
+                this.logger.warn(`Skipping event file: ${file}. Does not export an object.`);
+                return null;
+            }
+            if (typeof event.name !== 'string' || !event.name) {
+                this.logger.warn(`Skipping event in ${file}: Missing 'name' (the event to listen to).`);
+                return null;
+            }
+            if (typeof event.execute !== 'function') {
+                this.logger.warn(`Skipping event in ${file}: Missing 'execute' function.`);
+                return null;
+            }
+            event.filePath = file;
+            return event;
+        } catch (error) {
+            this.logger.error(`Error loading event file ${file}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Attaches an event's listener to the client, isolating errors.
+     * @param {object} event The event object.
+     * @private
+     */
+    _attach(event) {
+        event.listener = async (...args) => {
+            if (event.once) this.events.delete(event.filePath); // The client already removed the listener
+            try {
+                await event.execute(...args, this.client);
+            } catch (error) {
+                this.logger.error(`Error in "${event.name}" event listener (Source: ${event.filePath}):`, error);
+            }
+        };
+        this.client[event.once ? 'once' : 'on'](event.name, event.listener);
+        this.events.set(event.filePath, event);
+        this.logger.debug(`Attached ${event.once ? 'one-time ' : ''}"${event.name}" event listener from ${event.filePath}`);
+    }
+
+    /**
+     * Removes an event's listener from the client.
+     * @param {object} event The event object.
+     * @private
+     */
+    _detach(event) {
+        this.client.removeListener(event.name, event.listener);
+        this.events.delete(event.filePath);
+    }
+}
+
+module.exports = EventHandler;
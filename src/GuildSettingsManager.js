@@ -0,0 +1,214 @@
+const MemorySettingsStore = require('./MemorySettingsStore');
+
+const OVERRIDE_TARGETS = ['users', 'roles', 'channels'];
+
+/**
+ * Per-guild command settings that server admins can change at runtime: disabled commands and
+ * allow/deny overrides for users, roles and channels.
+ *
+ * Settings of a guild look like:
+ * ```js
+ * {
+ *     disabledCommands: ['meme', 'config roles'],
+ *     overrides: {
+ *         ban: {
+ *             users: { allow: ['<userId>'], deny: [] },
+ *             roles: { allow: ['<roleId>'], deny: ['<roleId>'] },
+ *             channels: { allow: [], deny: ['<channelId>'] },
+ *         },
+ *     },
+ * }
+ * ```
+ * Command names are primary names or qualified subcommand names ("config roles add"). Disabling or overriding
+ * "config" also applies to all of its subcommands; the most specific override wins.
+ * Other keys may be stored alongside these (e.g. a language for an I18n resolver) and are kept as they are.
+ */
+class GuildSettingsManager {
+    /**
+     * Creates a GuildSettingsManager instance.
+     * @param {object} [options={}] Options.
+     * @param {object} [options.store] Storage adapter (see MemorySettingsStore and JsonSettingsStore). Defaults to a new MemorySettingsStore.
+     */
+    constructor(options = {}) {
+        this.store = options.store || new MemorySettingsStore();
+        this._updates = new Map(); // <guildId, Promise> Pending updates, chained per guild
+    }
+
+    /**
+     * Gets the settings of a guild, with defaults for missing fields.
+     * @param {string} guildId The guild ID.
+     * @returns {Promise<object>} The settings.
+     */
+    async get(guildId) {
+        return GuildSettingsManager.normalize(await this.store.get(guildId));
+    }
+
+    /**
+     * Changes the settings of a guild. Updates of the same guild run one after another, so none are lost.
+     * @param {string} guildId The guild ID.
+     * @param {(settings: object) => object | void | Promise<object | void>} updater Changes the settings in place or returns new settings.
+     * @returns {Promise<object>} The saved settings.
+     */
+    update(guildId, updater) {
+        const previous = this._updates.get(guildId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const settings = await this.get(guildId);
+            const updated = GuildSettingsManager.normalize((await updater(settings)) || settings);
+            await this.store.set(guildId, updated);
+            return updated;
+        });
+        this._updates.set(guildId, next);
+        // Drop the chain once it is idle
+        next.catch(() => {}).then(() => {
+            if (this._updates.get(guildId) === next) this._updates.delete(guildId);
+        });
+        return next;
+    }
+
+    /**
+     * Disables a command (and its subcommands) in a guild.
+     * @param {string} guildId The guild ID.
+     * @param {string} commandName The command name.
+     * @returns {Promise<object>} The saved settings.
+     */
+    disableCommand(guildId, commandName) {
+        return this.update(guildId, settings => {
+            if (!settings.disabledCommands.includes(commandName)) settings.disabledCommands.push(commandName);
+        });
+    }
+
+    /**
+     * Enables a previously disabled command in a guild.
+     * @param {string} guildId The guild ID.
+     * @param {string} commandName The command name.
+     * @returns {Promise<object>} The saved settings.
+     */
+    enableCommand(guildId, commandName) {
+        return this.update(guildId, settings => {
+            settings.disabledCommands = settings.disabledCommands.filter(name => name !== commandName);
+        });
+    }
+
+    /**
+     * Allows or denies a command for a user, role or channel, or removes that override.
+     * @param {string} guildId The guild ID.
+     * @param {string} commandName The command name.
+     * @param {'users' | 'roles' | 'channels'} target What the ID refers to.
+     * @param {string} id The user, role or channel ID.
+     * @param {boolean | null} allow `true` to allow, `false` to deny, `null` to remove the override.
+     * @returns {Promise<object>} The saved settings.
+     * @throws {Error} If the target is invalid.
+     */
+    setOverride(guildId, commandName, target, id, allow) {
+        if (!OVERRIDE_TARGETS.includes(target)) {
+            throw new Error(`Invalid override target "${target}". Must be one of: ${OVERRIDE_TARGETS.join(', ')}.`);
+        }
+        return this.update(guildId, settings => {
+            const override = settings.overrides[commandName] || GuildSettingsManager.normalizeOverride();
+            override[target].allow = override[target].allow.filter(entry => entry !== id);
+            override[target].deny = override[target].deny.filter(entry => entry !== id);
+            if (allow !== null) override[target][allow ? 'allow' : 'deny'].push(id);
+            settings.overrides[commandName] = override;
+            if (GuildSettingsManager.isEmptyOverride(override)) delete settings.overrides[commandName];
+        });
+    }
+
+    /**
+     * Enables a command and removes all of its overrides in a guild.
+     * @param {string} guildId The guild ID.
+     * @param {string} commandName The command name.
+     * @returns {Promise<object>} The saved settings.
+     */
+    resetCommand(guildId, commandName) {
+        return this.update(guildId, settings => {
+            settings.disabledCommands = settings.disabledCommands.filter(name => name !== commandName);
+            delete settings.overrides[commandName];
+        });
+    }
+
+    /**
+     * Removes all settings of a guild (e.g. when the bot leaves it).
+     * @param {string} guildId The guild ID.
+     */
+    async reset(guildId) {
+        await this.store.delete(guildId);
+    }
+
+    /**
+     * Checks a command invocation against the settings of its guild.
+     * @param {object} settings The guild settings (see `get`).
+     * @param {string} commandName The (qualified) command name.
+     * @param {object} context The command context (needs `user`, `member`, `channel`).
+     * @returns {{ denied: 'commandDisabled' | 'channelNotAllowed' | 'overrideDenied' | null, allowed: boolean }}
+     *          Why the invocation is denied, and whether an allow override grants it regardless of the command's own permissions and roles.
+     */
+    static evaluate(settings, commandName, context) {
+        const names = GuildSettingsManager.getNameChain(commandName);
+        if (names.some(name => settings.disabledCommands.includes(name))) return { denied: 'commandDisabled', allowed: false };
+
+        const overrideName = [...names].reverse().find(name => settings.overrides[name]);
+        if (!overrideName) return { denied: null, allowed: false };
+        const { users, roles, channels } = settings.overrides[overrideName];
+
+        // Threads follow the overrides of their parent channel
+        const channelIds = [context.channel?.id, context.channel?.parentId].filter(Boolean);
+        if (channels.deny.some(id => channelIds.includes(id))) return { denied: 'channelNotAllowed', allowed: false };
+        if (channels.allow.length > 0 && !channels.allow.some(id => channelIds.includes(id))) return { denied: 'channelNotAllowed', allowed: false };
+
+        // User overrides take precedence over role overrides
+        if (users.deny.includes(context.user.id)) return { denied: 'overrideDenied', allowed: false };
+        if (users.allow.includes(context.user.id)) return { denied: null, allowed: true };
+
+        const hasRole = id => context.member?.roles?.cache?.has(id) ?? false;
+        if (roles.deny.some(hasRole)) return { denied: 'overrideDenied', allowed: false };
+        return { denied: null, allowed: roles.allow.some(hasRole) };
+    }
+
+    /**
+     * Gets a command name and the names of its parents, e.g. "config roles add" -> ["config", "config roles", "config roles add"].
+     * @param {string} commandName The (qualified) command name.
+     * @returns {string[]}
+     */
+    static getNameChain(commandName) {
+        const parts = commandName.split(' ');
+        return parts.map((_, index) => parts.slice(0, index + 1).join(' '));
+    }
+
+    /**
+     * Fills in missing fields of stored settings.
+     * @param {object | null} settings The stored settings.
+     * @returns {object} The settings with defaults.
+     */
+    static normalize(settings) {
+        const overrides = {};
+        for (const [name, override] of Object.entries(settings?.overrides || {})) {
+            overrides[name] = GuildSettingsManager.normalizeOverride(override);
+        }
+        return { ...settings, disabledCommands: [...(settings?.disabledCommands || [])], overrides };
+    }
+
+    /**
+     * Fills in missing fields of a command override.
+     * @param {object} [override={}] The stored override.
+     * @returns {object} The override with empty allow/deny lists for every target.
+     */
+    static normalizeOverride(override = {}) {
+        return Object.fromEntries(OVERRIDE_TARGETS.map(target => [target, {
+            allow: [...(override[target]?.allow || [])],
+            deny: [...(override[target]?.deny || [])],
+        }]));
+    }
+
+    /**
+     * Checks whether an override has no entries left.
+     * @param {object} override A normalized override.
+     * @returns {boolean}
+     */
+    static isEmptyOverride(override) {
+        return OVERRIDE_TARGETS.every(target => override[target].allow.length === 0 && override[target].deny.length === 0);
+    }
+}
+
+GuildSettingsManager.OVERRIDE_TARGETS = OVERRIDE_TARGETS;
+
+module.exports = GuildSettingsManager;
@@ -0,0 +1,268 @@
+const { SlashCommandBuilder, ApplicationCommandOptionType } = require('discord.js');
+const SuiteEmbed = require('./SuiteEmbed');
+const CommonUtils = require('./CommonUtils');
+const ArgumentParser = require('./ArgumentParser');
+const CooldownManager = require('./CooldownManager');
+const CommandType = require('./CommandType');
+const GuildSettingsManager = require('./GuildSettingsManager');
+const { createPagination } = require('./CreatePagination');
+
+/**
+ * Creates the built-in help command. It is registered as a slash command and, if a prefix is configured,
+ * also responds to the prefix. Enabled through the `helpCommand` option of CommandHandler.
+ *
+ * Lists the commands the caller can use grouped by category (paginated), or shows details about one command.
+ * Commands the caller can't use (including `devOnly` commands for non-owners) and commands exporting `hidden: true` are not shown.
+ * Replies use the `suite.help.*` translations of the handler's I18n instance.
+ * @param {import('./CommandHandler')} handler The CommandHandler instance.
+ * @param {object} [options={}] Options.
+ * @param {string} [options.name='help'] Command name.
+ * @param {string[]} [options.aliases=['h', 'commands']] Legacy aliases.
+ * @param {string} [options.description] Command description (defaults to the `suite.help.description` translation).
+ * @param {string} [options.category='utility'] Category of the help command itself.
+ * @param {number} [options.commandsPerPage=10] Commands listed per page.
+ * @param {number} [options.timeout=120] Seconds until the page buttons are disabled.
+ * @returns {object} The command object.
+ */
+function createHelpCommand(handler, options = {}) {
+    const name = options.name || 'help';
+    const description = options.description || handler.i18n.t('suite.help.description');
+    const commandsPerPage = options.commandsPerPage ?? 10;
+
+    return {
+        data: new SlashCommandBuilder()
+            .setName(name)
+            .setDescription(description)
+            .addStringOption(option => option
+                .setName('command')
+                .setDescription(handler.i18n.t('suite.help.optionDescription'))
+                .setAutocomplete(true)),
+        name,
+        aliases: options.aliases || ['h', 'commands'],
+        description,
+        category: options.category || 'utility',
+        type: CommandType.HYBRID,
+        builtin: true,
+        allowDM: true,
+
+        autocomplete(interaction, focused) {
+            const context = { user: interaction.user, member: interaction.member };
+            const names = getVisibleCommands(handler, context).map(cmd => getCommandName(cmd));
+            return CommonUtils.filterChoices(names, focused.value);
+        },
+
+        async execute(context) { // A HybridContext: the same API for slash and prefix invocations
+            const query = context.isInteraction ? context.options.getString('command') : context.args[0];
+            const prefix = context.displayPrefix ?? getStaticPrefix(handler);
+
+            if (query) {
+                const command = findCommand(handler, context, query);
+                if (!command) {
+                    return context.reply({ content: t(context, 'notFound', { query }), ephemeral: true });
+                }
+                return context.reply({ embeds: [buildDetailEmbed(handler, context, command, prefix)] });
+            }
+
+            const helpInvocation = context.message ? `${prefix}${name}` : `/${name}`;
+            const pages = buildOverviewPages(handler, context, prefix, commandsPerPage, helpInvocation);
+            if (pages.length === 0) {
+                return context.reply({ content: t(context, 'noCommands'), ephemeral: true });
+            }
+            if (pages.length === 1) {
+                return context.reply({ embeds: pages });
+            }
+            return createPagination(context.source, pages, options.timeout ?? 120, handler); // Ended when the handler is destroyed
+        },
+    };
+}
+
+/**
+ * Translates a `suite.help.*` key for the invoker's locale.
+ * @param {object} context The command context.
+ * @param {string} key The key below `suite.help`.
+ * @param {object} [vars] Values for interpolation.
+ * @returns {string}
+ */
+function t(context, key, vars) {
+    return context.t(`suite.help.${key}`, vars);
+}
+
+/**
+ * Gets the primary name of a command.
+ * @param {object} command The command object.
+ * @returns {string}
+ */
+function getCommandName(command) {
+    return command.data?.name || command.name;
+}
+
+/**
+ * Gets the prefix to display when the help command is used as a slash command.
+ * @param {import('./CommandHandler')} handler The CommandHandler instance.
+ * @returns {string}
+ */
+function getStaticPrefix(handler) {
+    if (typeof handler.prefix === 'function') return '';
+    return [].concat(handler.prefix ?? '')[0] ?? '';
+}
+
+/**
+ * Gets how a command is invoked, e.g. "/ban" or "!ping".
+ * @param {object} command The command object.
+ * @param {string} prefix The legacy prefix to display.
+ * @returns {string}
+ */
+function getInvocation(command, prefix) {
+    return command.type === CommandType.LEGACY ? `${prefix}${command.name}` : `/${command.data.name}`;
+}
+
+/**
+ * Gets the unique commands (no aliases) the caller can see: no context menus, no hidden commands,
+ * and only commands that pass the handler's guild, owner, role and permission checks
+ * and aren't disabled or denied by the guild settings (`context.state.guildSettings`, if loaded).
+ * @param {import('./CommandHandler')} handler The CommandHandler instance.
+ * @param {object} context Command context (`user`, `member`, `channel`, `state`).
+ * @returns {object[]}
+ */
+function getVisibleCommands(handler, context) {
+    return [...new Set(handler.commands.values())]
+        .filter(cmd => cmd.type !== CommandType.USER && cmd.type !== CommandType.MESSAGE)
+        .filter(cmd => !cmd.hidden)
+        .filter(cmd => {
+            const { denied, allowed } = evaluateSettings(cmd, context);
+            if (denied) return false;
+            // An allow override replaces the command's own permission and role requirements
+            return !handler._checkPermissions(allowed ? { ...cmd, permissions: [], roles: [] } : cmd, context.member, context.user);
+        })
+        .sort((a, b) => getCommandName(a).localeCompare(getCommandName(b)));
+}
+
+/**
+ * Checks a command against the guild settings for the caller (see GuildSettingsManager.evaluate).
+ * @param {object} command The command object.
+ * @param {object} context Command context.
+ * @returns {{ denied: string | null, allowed: boolean }}
+ */
+function evaluateSettings(command, context) {
+    const settings = context.state?.guildSettings;
+    if (!settings || command.ignoreGuildSettings) return { denied: null, allowed: false };
+    return GuildSettingsManager.evaluate(settings, getCommandName(command).toLowerCase(), context);
+}
+
+/**
+ * Finds a visible command by name or alias (case-insensitive, leading "/" or prefix ignored).
+ * @returns {object | null}
+ */
+function findCommand(handler, context, query) {
+    const search = query.toLowerCase().replace(/^\//, '');
+    return getVisibleCommands(handler, context).find(cmd =>
+        getCommandName(cmd).toLowerCase() === search
+        || cmd.aliases?.some(alias => alias.toLowerCase() === search)) || null;
+}
+
+/**
+ * Builds the overview pages: one or more pages per category.
+ * @returns {import('discord.js').EmbedBuilder[]}
+ */
+function buildOverviewPages(handler, context, prefix, commandsPerPage, helpInvocation) {
+    const categories = new Map();
+    for (const command of getVisibleCommands(handler, context)) {
+        const category = command.category || 'uncategorized';
+        if (!categories.has(category)) categories.set(category, []);
+        categories.get(category).push(command);
+    }
+
+    const pages = [];
+    for (const category of [...categories.keys()].sort()) {
+        const lines = categories.get(category).map(cmd => {
+            const cmdDescription = cmd.data?.description || cmd.description || t(context, 'noDescription');
+            return `\`${getInvocation(cmd, prefix)}\` — ${CommonUtils.truncateText(cmdDescription, 80)}`;
+        });
+        for (let i = 0; i < lines.length; i += commandsPerPage) {
+            pages.push(SuiteEmbed.info(lines.slice(i, i + commandsPerPage).join('\n'), `📖 ${formatCategory(category)}`));
+        }
+    }
+
+    pages.forEach((page, index) => page.setFooter({
+        text: t(context, 'footer', { page: index + 1, total: pages.length, help: helpInvocation }),
+    }));
+    return pages;
+}
+
+/**
+ * Builds the detail embed for a single command.
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+function buildDetailEmbed(handler, context, command, prefix) {
+    const embed = SuiteEmbed.info(
+        command.data?.description || command.description || t(context, 'noDescription'),
+        t(context, 'title', { name: getCommandName(command) }),
+    );
+
+    const usage = [];
+    if (command.type !== CommandType.LEGACY && command.subcommands) {
+        // Subcommand directories: list the subcommands the caller can use
+        for (const subcommand of command.subcommands.values()) {
+            if (handler._checkPermissions(subcommand, context.member, context.user)) continue;
+            usage.push(`\`${formatSlashUsage(subcommand.qualifiedName, subcommand.data.toJSON().options)}\` — ${subcommand.data.description}`);
+        }
+    } else if (command.type !== CommandType.LEGACY) {
+        usage.push(`\`${formatSlashUsage(command.data.name, command.data.toJSON().options)}\``);
+    }
+    if (command.type === CommandType.LEGACY || command.type === CommandType.HYBRID) {
+        usage.push(`\`${ArgumentParser.formatUsage({ ...command, name: command.name || command.data.name }, prefix)}\``);
+    }
+
+    const fields = [
+        { name: t(context, 'usage'), value: usage.join('\n') || t(context, 'none') },
+        command.aliases?.length && { name: t(context, 'aliases'), value: command.aliases.map(a => `\`${a}\``).join(', '), inline: true },
+        command.category && { name: t(context, 'category'), value: formatCategory(command.category), inline: true },
+        command.cooldown && { name: t(context, 'cooldown'), value: formatCooldown(context, command.cooldown), inline: true },
+        command.permissions?.length && { name: t(context, 'permissions'), value: command.permissions.map(p => `\`${p}\``).join(', ') },
+        command.roles?.length && { name: t(context, 'roles'), value: command.roles.map(r => `\`${r}\``).join(', ') },
+        command.botPermissions?.length && { name: t(context, 'botPermissions'), value: command.botPermissions.map(p => `\`${p}\``).join(', ') },
+    ].filter(Boolean);
+
+    return embed.addFields(fields.map(field => ({ ...field, value: CommonUtils.truncateText(field.value, 1024) })));
+}
+
+/**
+ * Formats slash command usage from option JSON, e.g. "/ban <user> [reason]".
+ * @param {string} name The (qualified) command name.
+ * @param {object[]} [options] The options JSON.
+ * @returns {string}
+ */
+function formatSlashUsage(name, options = []) {
+    const parts = [`/${name}`];
+    for (const option of options || []) {
+        // Subcommands and groups are listed separately
+        if (option.type === ApplicationCommandOptionType.Subcommand || option.type === ApplicationCommandOptionType.SubcommandGroup) continue;
+        parts.push(option.required ? `<${option.name}>` : `[${option.name}]`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Describes a command's cooldown limits, e.g. "3 uses / 10s, 20 uses / 1m (per guild)".
+ * @param {object} context The command context.
+ * @param {number | object | object[]} cooldown The command's cooldown definition.
+ * @returns {string}
+ */
+function formatCooldown(context, cooldown) {
+    return CooldownManager.normalize(cooldown).map(limit => {
+        const duration = CommonUtils.formatDuration(limit.duration * 1000);
+        const text = limit.uses > 1 ? t(context, 'uses', { uses: limit.uses, duration }) : duration;
+        return limit.scope !== 'user' ? `${text} ${t(context, 'scope', { scope: limit.scope })}` : text;
+    }).join(', ') || t(context, 'none');
+}
+
+/**
+ * Formats a category path for display ("moderation/tools" -> "Moderation / Tools").
+ * @param {string} category The category.
+ * @returns {string}
+ */
+function formatCategory(category) {
+    return category.split('/').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' / ');
+}
+
+module.exports = { createHelpCommand, formatSlashUsage, formatCategory };
@@ -0,0 +1,256 @@
+const { ApplicationCommandOptionType } = require('discord.js');
+
+/**
+ * The context hybrid commands (`hybrid: true`) receive as `execute(ctx)`. A hybrid command is registered as a slash
+ * command and also responds to the prefix; this context wraps the interaction or the message with one API,
+ * so the same code serves both:
+ * ```js
+ * async execute(ctx) {
+ *     const target = ctx.options.getUser('target', true);
+ *     await ctx.defer();
+ *     await ctx.editReply(`Looked up ${target.tag}`);
+ * }
+ * ```
+ * - `reply`, `defer`, `editReply` and `followUp` follow the interaction rules for both sources: one reply (or defer) first,
+ *   then edits and follow-ups. They resolve to the sent `Message`. `ephemeral` only applies to interactions.
+ * - `options` is the interaction's option resolver, or a resolver with the same getters over the parsed prefix arguments.
+ * - `author`, `member`, `guild` and `channel` come from the interaction or message; `state`, `locale` and `t` from the
+ *   command context the middlewares saw.
+ */
+class HybridContext {
+    /**
+     * Creates a HybridContext instance.
+     * @param {object} context The command context (see CommandHandler#_createContext), after the middlewares ran.
+     */
+    constructor(context) {
+        this.context = context;
+        this.handler = context.handler;
+        this.client = context.client;
+        this.command = context.command;
+        this.commandName = context.commandName;
+        this.interaction = context.interaction;
+        this.message = context.message;
+        this.source = context.interaction || context.message;
+        this.isInteraction = Boolean(context.interaction);
+        this.prefix = context.prefix; // null for interactions
+        this.displayPrefix = context.displayPrefix;
+        this.edited = context.edited;
+        this.author = context.user;
+        this.user = context.user;
+        this.member = context.member;
+        this.guild = context.guild;
+        this.channel = context.channel;
+        this.state = context.state;
+        this.options = this.isInteraction ? context.interaction.options : new MessageOptionResolver(context);
+
+        this.replied = false;
+        this.deferred = false;
+        this.response = null; // The message holding the reply (for prefix commands, sent by reply(), or by editReply() after defer())
+    }
+
+    /** The parsed prefix arguments (named values), or an empty object for interactions. */
+    get args() {
+        return this.isInteraction ? {} : this.context.args;
+    }
+
+    /** The invoker's locale, resolved before the middlewares ran. */
+    get locale() {
+        return this.context.locale;
+    }
+
+    /**
+     * Translates a key for the invoker's locale (see I18n#t).
+     * @param {string} key Dot-separated key.
+     * @param {object} [vars] Values for `{placeholder}` interpolation.
+     * @returns {string}
+     */
+    t(key, vars) {
+        return this.context.t(key, vars);
+    }
+
+    /**
+     * Asks the invoker to confirm with Confirm/Cancel buttons before continuing (see CommandHandler#_confirm).
+     * After a confirmation, the next reply replaces the prompt.
+     * @param {string | Function | object} [options] The prompt message, or confirmation options.
+     * @returns {Promise<boolean>} Whether the invoker confirmed.
+     */
+    confirm(options) {
+        return this.context.confirm(options);
+    }
+
+    /**
+     * Sends the reply.
+     * @param {string | object} response Content string or reply options (`ephemeral` is ignored for prefix commands).
+     * @returns {Promise<import('discord.js').Message>} The reply.
+     * @throws {Error} If the command was already replied to or deferred.
+     */
+    async reply(response) {
+        if (this.replied || this.deferred) throw new Error('The command was already replied to or deferred. Use editReply() or followUp().');
+        if (!this.isInteraction) {
+            this.response = await this.message.reply(toMessagePayload(response));
+        } else if (this.interaction.deferred) {
+            this.response = await this.interaction.editReply(toPayload(response)); // Deferred by the handler while queued (see maxConcurrency)
+        } else {
+            this.response = await this.interaction.reply({ ...toPayload(response), fetchReply: true });
+        }
+        this.replied = true;
+        return this.response;
+    }
+
+    /**
+     * Acknowledges the command before a slow operation: defers the interaction reply, or shows the typing indicator.
+     * Follow with `editReply`.
+     * @param {object} [options={}] Options.
+     * @param {boolean} [options.ephemeral=false] Whether the reply is ephemeral (interactions only).
+     * @returns {Promise<void>}
+     * @throws {Error} If the command was already replied to or deferred.
+     */
+    async defer({ ephemeral = false } = {}) {
+        if (this.replied || this.deferred) throw new Error('The command was already replied to or deferred.');
+        if (!this.isInteraction) await this.channel.sendTyping().catch(() => {}); // Only cosmetic
+        else if (!this.interaction.deferred) await this.interaction.deferReply({ ephemeral }); // Unless deferred while queued
+        this.deferred = true;
+    }
+
+    /**
+     * Edits the reply. After `defer`, this sends the reply.
+     * @param {string | object} response Content string or message edit options.
+     * @returns {Promise<import('discord.js').Message>} The reply.
+     * @throws {Error} If the command was not replied to or deferred yet.
+     */
+    async editReply(response) {
+        this._assertReplied();
+        if (this.isInteraction) {
+            this.response = await this.interaction.editReply(toPayload(response));
+        } else if (this.response) {
+            this.response = await this.response.edit(toMessagePayload(response));
+        } else {
+            this.response = await this.message.reply(toMessagePayload(response)); // Deferred: nothing was sent yet
+        }
+        this.replied = true;
+        return this.response;
+    }
+
+    /**
+     * Sends an additional message after the reply. After `defer` without a reply, this sends the reply.
+     * @param {string | object} response Content string or message options (`ephemeral` is ignored for prefix commands).
+     * @returns {Promise<import('discord.js').Message>} The sent message.
+     * @throws {Error} If the command was not replied to or deferred yet.
+     */
+    async followUp(response) {
+        this._assertReplied();
+        if (this.isInteraction) return this.interaction.followUp(toPayload(response));
+        if (!this.response) return this.editReply(response);
+        return this.message.reply(toMessagePayload(response));
+    }
+
+    /**
+     * Throws unless the command was replied to or deferred.
+     * @private
+     */
+    _assertReplied() {
+        if (!this.replied && !this.deferred) throw new Error('The command was not replied to or deferred yet. Use reply() or defer() first.');
+    }
+}
+
+/**
+ * Resolves options of a prefix invocation with the getters of discord.js' CommandInteractionOptionResolver.
+ * Values come from the arguments parsed with the slash options' definitions (see ArgumentParser.fromApplicationCommandOptions);
+ * attachment options are filled with the message's attachments, in order.
+ */
+class MessageOptionResolver {
+    /**
+     * @param {object} context The command context of the prefix invocation.
+     */
+    constructor(context) {
+        this.context = context;
+        this.values = context.args && !Array.isArray(context.args) ? { ...context.args } : {};
+        const attachmentOptions = (context.command.data?.toJSON().options || [])
+            .filter(option => option.type === ApplicationCommandOptionType.Attachment);
+        const attachments = [...(context.message.attachments?.values() || [])];
+        attachmentOptions.forEach((option, index) => {
+            this.values[option.name] = attachments[index] ?? null;
+        });
+    }
+
+    /**
+     * Gets an option value.
+     * @param {string} name The option name.
+     * @param {boolean} [required=false] Whether to throw if the option is missing.
+     * @returns {*} The value, or null.
+     * @throws {Error} If the option is required and missing.
+     */
+    get(name, required = false) {
+        const value = this.values[name] ?? null;
+        if (value === null && required) throw new Error(`Option "${name}" not found.`);
+        return value;
+    }
+
+    getString(name, required) {
+        return this.get(name, required);
+    }
+
+    getInteger(name, required) {
+        return this.get(name, required);
+    }
+
+    getNumber(name, required) {
+        return this.get(name, required);
+    }
+
+    getBoolean(name, required) {
+        return this.get(name, required);
+    }
+
+    getUser(name, required) {
+        const value = this.get(name, required);
+        return value?.user ?? value; // Mentionable options may hold a member
+    }
+
+    /**
+     * Gets the member of a user option (from the cache, as discord.js does).
+     * @param {string} name The option name.
+     * @returns {import('discord.js').GuildMember | null}
+     */
+    getMember(name) {
+        const user = this.getUser(name);
+        return (user && this.context.guild?.members.cache.get(user.id)) ?? null;
+    }
+
+    getChannel(name, required) {
+        return this.get(name, required);
+    }
+
+    getRole(name, required) {
+        return this.get(name, required);
+    }
+
+    getMentionable(name, required) {
+        return this.get(name, required);
+    }
+
+    getAttachment(name, required) {
+        return this.get(name, required);
+    }
+}
+
+/**
+ * Normalizes a response to interaction reply options.
+ * @param {string | object} response Content string or options.
+ * @returns {object}
+ */
+function toPayload(response) {
+    return typeof response === 'string' ? { content: response } : response;
+}
+
+/**
+ * Normalizes a response to message options, dropping interaction-only options.
+ * @param {string | object} response Content string or options.
+ * @returns {object}
+ */
+function toMessagePayload(response) {
+    const { ephemeral, fetchReply, ...payload } = toPayload(response);
+    return payload;
+}
+
+module.exports = HybridContext;
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { Locale } = require('discord.js');
+
+// Locales shipped with the suite (messages under the `suite.*` namespace)
+const BUILTIN_LOCALE_DIR = path.join(__dirname, 'locales');
+const DISCORD_LOCALES = new Set(Object.values(Locale));
+let defaultInstance = null;
+
+/**
+ * Translation layer for suite messages and command metadata.
+ *
+ * Locale files are JSON files named after a Discord locale (`en-US.json`, `tr.json`, `de.json`, ...)
+ * containing nested keys. Values may use `{placeholder}` interpolation.
+ * - `suite.*` keys override the built-in handler messages (see `src/locales/en-US.json`).
+ * - `commands.<name>.name` / `.description` / `.options.<option>.name` / `.options.<option>.description` /
+ *   `.options.<option>.choices.<value>` fill in the localizations of slash command data when registering.
+ */
+class I18n {
+    /**
+     * Creates an I18n instance.
+     * @param {object} [options={}] Options.
+     * @param {string} [options.directory] Directory containing `<locale>.json` files.
+     * @param {Object<string, object>} [options.locales] Translations passed directly, keyed by locale (merged over the files).
+     * @param {string} [options.defaultLocale='en-US'] Locale used when nothing else matches.
+     * @param {(context: { guild: import('discord.js').Guild | null, user: import('discord.js').User | null, interaction: import('discord.js').Interaction | null, message: import('discord.js').Message | null }) => string | null | Promise<string | null>} [options.resolver]
+     *        Per-guild (or per-user) locale resolver, e.g. reading a guild setting. Takes precedence over the Discord locales.
+     */
+    constructor(options = {}) {
+        this.defaultLocale = options.defaultLocale || 'en-US';
+        this.resolver = options.resolver || null;
+        this.translations = {}; // <locale, nestedTranslations>
+
+        this.loadDirectory(BUILTIN_LOCALE_DIR);
+        if (options.directory) this.loadDirectory(path.resolve(options.directory));
+        for (const [locale, translations] of Object.entries(options.locales || {})) {
+            this.addTranslations(locale, translations);
+        }
+    }
+
+    /**
+     * Loads every `<locale>.json` file of a directory.
+     * @param {string} dir The directory path.
+     * @throws {Error} If a file contains invalid JSON.
+     */
+    loadDirectory(dir) {
+        if (!fs.existsSync(dir)) {
+            throw new Error(`Locale directory not found: ${dir}`);
+        }
+        for (const file of fs.readdirSync(dir)) {
+            if (!file.endsWith('.json')) continue;
+            const filePath = path.join(dir, file);
+            try {
+                this.addTranslations(path.basename(file, '.json'), JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            } catch (error) {
+                throw new Error(`Failed to load locale file ${filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Deep-merges translations into a locale.
+     * @param {string} locale The locale (e.g. 'tr', 'en-US').
+     * @param {object} translations Nested translations.
+     */
+    addTranslations(locale, translations) {
+        const merge = (target, source) => {
+            for (const [key, value] of Object.entries(source)) {
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    target[key] = merge(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+                } else {
+                    target[key] = value;
+                }
+            }
+            return target;
+        };
+        this.translations[locale] = merge(this.translations[locale] || {}, translations);
+    }
+
+    /**
+     * Gets the locales that have translations.
+     * @returns {string[]}
+     */
+    get locales() {
+        return Object.keys(this.translations);
+    }
+
+    /**
+     * Looks up a key in a single locale, without fallbacks.
+     * @param {string} locale The locale.
+     * @param {string} key Dot-separated key.
+     * @returns {string | undefined}
+     */
+    lookup(locale, key) {
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), this.translations[locale]);
+        return typeof value === 'string' ? value : undefined;
+    }
+
+    /**
+     * Translates a key. Falls back from the locale to its language ('pt-BR' -> 'pt'), to other regions
+     * of the same language ('en-GB' -> 'en-US'), to the default locale, and finally returns the key itself.
+     * @param {string} key Dot-separated key (e.g. 'suite.cooldown').
+     * @param {string} [locale] The locale. Defaults to the default locale.
+     * @param {object} [vars={}] Values for `{placeholder}` interpolation.
+     * @returns {string} The translated string.
+     */
+    t(key, locale = this.defaultLocale, vars = {}) {
+        for (const candidate of this._getFallbacks(locale)) {
+            const value = this.lookup(candidate, key);
+            if (value !== undefined) return this.format(value, vars);
+        }
+        return key;
+    }
+
+    /**
+     * Replaces `{placeholder}` tokens. Unknown placeholders are left as they are.
+     * @param {string} template The template string.
+     * @param {object} [vars={}] Values for interpolation.
+     * @returns {string}
+     */
+    format(template, vars = {}) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+    }
+
+    /**
+     * Picks the locale for an invocation: the resolver's result, then the user's locale (`interaction.locale`),
+     * then the guild's locale (`interaction.guildLocale` / `guild.preferredLocale`), then the default locale.
+     * @param {object} source Any of `{ interaction, message, guild, user }`.
+     * @returns {Promise<string>} The locale.
+     */
+    async resolveLocale({ interaction = null, message = null, guild = null, user = null } = {}) {
+        guild = guild || interaction?.guild || message?.guild || null;
+        user = user || interaction?.user || message?.author || null;
+
+        if (this.resolver) {
+            try {
+                const resolved = await this.resolver({ guild, user, interaction, message });
+                if (resolved) return resolved;
+            } catch {
+                // A broken resolver should not prevent replies; fall through to the Discord locales
+            }
+        }
+        return interaction?.locale || interaction?.guildLocale || guild?.preferredLocale || this.defaultLocale;
+    }
+
+    /**
+     * Fills in `name_localizations` / `description_localizations` of application command JSON
+     * (including options and choices) from the `commands.<name>` keys. Localizations set in the builder are kept.
+     * @param {object} data Application command JSON (`data.toJSON()` output).
+     * @returns {object} A localized copy.
+     */
+    localizeCommand(data) {
+        const base = `commands.${data.name}`;
+        const localized = {
+            ...data,
+            ...this._localizations('name_localizations', `${base}.name`, data.name_localizations),
+        };
+        // Context menu commands have no description
+        if (data.description) {
+            Object.assign(localized, this._localizations('description_localizations', `${base}.description`, data.description_localizations));
+        }
+        if (data.options) localized.options = data.options.map(option => this._localizeOption(option, `${base}.options`));
+        return localized;
+    }
+
+    /**
+     * @private
+     */
+    _localizeOption(option, base) {
+        const key = `${base}.${option.name}`;
+        const localized = {
+            ...option,
+            ...this._localizations('name_localizations', `${key}.name`, option.name_localizations),
+            ...this._localizations('description_localizations', `${key}.description`, option.description_localizations),
+        };
+        if (option.choices) {
+            localized.choices = option.choices.map(choice => ({
+                ...choice,
+                ...this._localizations('name_localizations', `${key}.choices.${choice.value}`, choice.name_localizations),
+            }));
+        }
+        if (option.options) localized.options = option.options.map(o => this._localizeOption(o, `${key}.options`));
+        return localized;
+    }
+
+    /**
+     * Collects the translations of a key for all Discord-supported locales (no fallbacks).
+     * @returns {object} `{ [field]: map }`, or an empty object if there is nothing to add.
+     * @private
+     */
+    _localizations(field, key, existing) {
+        const map = {};
+        for (const locale of this.locales) {
+            if (!DISCORD_LOCALES.has(locale)) continue;
+            const value = this.lookup(locale, key);
+            if (value !== undefined) map[locale] = value;
+        }
+        if (Object.keys(map).length === 0) return existing ? { [field]: existing } : {};
+        return { [field]: { ...map, ...existing } };
+    }
+
+    /**
+     * Gets a shared instance with only the built-in translations, used by components that weren't given one.
+     * @returns {I18n}
+     */
+    static getDefault() {
+        if (!defaultInstance) defaultInstance = new I18n();
+        return defaultInstance;
+    }
+
+    /**
+     * @private
+     */
+    _getFallbacks(locale) {
+        const language = locale.split('-')[0];
+        const sameLanguage = this.locales.filter(l => l !== locale && l.split('-')[0] === language);
+        return [...new Set([locale, language, ...sameLanguage, this.defaultLocale])];
+    }
+}
+
+module.exports = I18n;
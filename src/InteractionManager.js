@@ -1,5 +1,14 @@
-const { Collection, InteractionType } = require('discord.js');
+const { Collection, InteractionType, ActionRowBuilder } = require('discord.js');
 const Logger = require('./Logger'); // Use internal logger if none provided
+const I18n = require('./I18n');
+const Metrics = require('./Metrics');
+const ErrorHandler = require('./ErrorHandler');
+const { UserError } = require('./Errors');
+const CommonUtils = require('./CommonUtils');
+const { stopPaginations } = require('./CreatePagination');
+
+// Custom IDs of components the suite collects itself (e.g. the CommandHandler's confirmation buttons)
+const RESERVED_PREFIX = 'djs-suite:';
 
 /**
  * Manages non-command interactions (Buttons, Select Menus, Modals).
@@ -11,15 +20,30 @@ class InteractionManager {
      * @param {object} [options={}] Configuration options.
      * @param {Logger} [options.logger] A logger instance.
      * @param {string} [options.componentDir] [Concept] Directory to load component handlers from (not fully implemented).
+     * @param {I18n | object} [options.i18n] Translations for the fallback replies: an I18n instance, or options to create one (see I18n).
+     *        Pass the CommandHandler's `i18n` to share locale files.
+     * @param {Metrics | false} [options.metrics] Where handler metrics are recorded. Pass the CommandHandler's `metrics` to collect everything in one place.
+     *        Defaults to a new instance; `false` disables recording.
+     * @param {Function} [options.onError] Called with every internal error of a handler (not UserErrors), and
+     *        `{ errorId, source: 'interaction', handlerType, customId, interaction }` (see ErrorHandler).
+     * @param {Function} [options.errorReply] Builds the error reply from the error and `{ errorId, message, userError, source, handlerType, customId, interaction }`;
+     *        return a string or reply options. Pass the same functions as to the CommandHandler to handle all errors alike.
      */
     constructor(client, options = {}) {
          if (!client) throw new Error("InteractionManager requires a Discord Client instance.");
          this.client = client;
          // Stores persistent handlers: <customIdPrefix_or_exactId, { type: 'button'|'select'|'modal', handler: Function }>
          this.handlers = new Collection();
-         // Stores temporary stateful handlers (e.g., pagination): <interactionId_or_messageId, handlerData> (Concept)
+         // Stores temporary stateful handlers (e.g., pagination): <messageId_or_interactionId, entry> (see registerStatefulHandler)
          this.statefulHandlers = new Collection();
+         this._listener = null; // The 'interactionCreate' listener (removed by destroy())
+         this._runs = new Set(); // Handler runs in progress (awaited by shutdown())
+         this.destroyed = false;
          this.logger = options.logger || new Logger({ level: 'info' }); // Use provided or default logger
+         // An I18n instance (e.g. the CommandHandler's) or options to create one, like CommandHandler accepts
+         this.i18n = options.i18n instanceof I18n ? options.i18n : options.i18n ? new I18n(options.i18n) : I18n.getDefault();
+         this.metrics = options.metrics === false ? null : options.metrics || new Metrics();
+         this.errors = new ErrorHandler({ logger: this.logger, i18n: this.i18n, onError: options.onError, errorReply: options.errorReply });
 
          // Start listening for interactions
          this._listen();
@@ -56,20 +80,154 @@ class InteractionManager {
         this.registerHandler(customId, 'modal', handler);
     }
 
-    // --- Placeholder/Concept for Stateful Handlers & Pagination ---
     /**
-     * [Concept] Registers a temporary handler tied to a specific interaction or message, often with state.
-     * @param {string} key Interaction ID or Message ID.
-     * @param {object} handlerData Data including the handler function and state.
-     * @param {number} timeout Timeout in milliseconds before auto-cleanup.
+     * Registers a temporary handler for all components (and modals submitted from them) of one message, with its own state.
+     * Stateful handlers take priority over persistent handlers and replace ad-hoc component collectors:
+     * ```js
+     * const reply = await interaction.reply({ content: 'Count: 0', components: [row], fetchReply: true });
+     * interactionManager.registerStatefulHandler(reply, {
+     *     state: { count: 0 },
+     *     filter: i => i.user.id === interaction.user.id,
+     *     idleTimeout: 60,
+     *     handler: (i, entry) => i.update({ content: `Count: ${++entry.state.count}` }),
+     * });
+     * ```
+     * @param {string | import('discord.js').Message | import('discord.js').Interaction} key The message (or its ID), or the interaction
+     *        whose reply holds the components (or its ID). Passing the object lets the components be disabled before the first use.
+     * @param {Function | object} options The handler function, or options:
+     * @param {(interaction: import('discord.js').Interaction, entry: object) => *} options.handler Called for each interaction on the message,
+     *        with the registration entry (`entry.state`, `entry.stop()`, ...).
+     * @param {object} [options.state={}] State kept between interactions (`entry.state`).
+     * @param {(interaction: import('discord.js').Interaction, entry: object) => boolean | Promise<boolean>} [options.filter] Who may use the components;
+     *        others get the `suite.interactionNotAllowed` reply.
+     * @param {number} [options.idleTimeout] Seconds without interactions until the handler expires.
+     * @param {number} [options.timeout] Seconds after registration until the handler expires, however active it is.
+     * @param {(entry: object, reason: 'idle' | 'timeout' | 'shutdown') => *} [options.onExpire] Called when the handler expires.
+     *        Defaults to `entry.disableComponents()`.
+     * @param {string} [options.name='stateful'] Name used in logs and as the metrics label.
+     * @returns {object} The entry: `{ key, name, state, message, interaction, createdAt, lastUsedAt, uses, stop(), disableComponents() }`.
+     * @throws {Error} If the key or handler is missing, or the manager was destroyed (nothing would serve the handler).
+     */
+    registerStatefulHandler(key, options) {
+        if (this.destroyed) throw new Error('Cannot register a stateful handler: the InteractionManager was destroyed.');
+        const { handler, state = {}, filter, idleTimeout, timeout, onExpire, name = 'stateful' } = typeof options === 'function' ? { handler: options } : options || {};
+        if (typeof handler !== 'function') throw new Error('Stateful handlers need a handler function.');
+        const target = typeof key === 'string' ? null : key;
+        const id = target ? target.id : key;
+        if (!id) throw new Error('Stateful handlers need a message ID, interaction ID, Message or Interaction as key.');
+        this.unregisterStatefulHandler(id); // Replaces an earlier registration (without calling its onExpire)
+
+        const isInteraction = typeof target?.editReply === 'function';
+        const entry = {
+            key: id,
+            name,
+            state,
+            handler,
+            filter,
+            onExpire: onExpire || (registered => registered.disableComponents()),
+            idleTimeout: idleTimeout ?? null,
+            message: isInteraction ? null : target, // Set from the first interaction if only an ID was given
+            interaction: isInteraction ? target : null,
+            createdAt: Date.now(),
+            lastUsedAt: null,
+            uses: 0,
+            timers: { idle: null, absolute: null },
+            stop: () => this.unregisterStatefulHandler(id),
+            disableComponents: () => this._disableComponents(entry),
+        };
+        if (timeout) entry.timers.absolute = setTimeout(() => this._expireStatefulHandler(entry, 'timeout'), timeout * 1000);
+        this._resetIdleTimer(entry);
+        this.statefulHandlers.set(id, entry);
+        this.logger.debug(`Registered ${name} handler for ${id}${timeout ? ` (expires in ${timeout}s)` : ''}`);
+        return entry;
+    }
+
+    /**
+     * Removes a stateful handler without calling its `onExpire` (e.g. when the interaction flow is finished).
+     * @param {string} key The message or interaction ID used during registration.
+     * @returns {boolean} True if a handler was removed.
+     */
+    unregisterStatefulHandler(key) {
+        const entry = this.statefulHandlers.get(key);
+        if (!entry) return false;
+        clearTimeout(entry.timers.idle);
+        clearTimeout(entry.timers.absolute);
+        this.statefulHandlers.delete(key);
+        this.logger.debug(`Unregistered ${entry.name} handler for ${key}`);
+        return true;
+    }
+
+    /**
+     * Returns a copy of action rows with every component disabled.
+     * @param {Array<import('discord.js').ActionRow | ActionRowBuilder | object>} rows The message's action rows.
+     * @returns {ActionRowBuilder[]}
      */
-    // registerStatefulHandler(key, handlerData, timeout) { ... }
+    static disableComponents(rows) {
+        return rows.map(row => {
+            const builder = ActionRowBuilder.from(row);
+            builder.components.forEach(component => component.setDisabled?.(true));
+            return builder;
+        });
+    }
 
     /**
-     * [Concept] Removes a stateful handler.
-     * @param {string} key The key used during registration.
+     * Finds the stateful handler for an interaction: by the ID of its message, or of the interaction that created the message.
+     * @param {import('discord.js').Interaction} interaction The interaction.
+     * @returns {object | null} The entry, or null.
+     * @private
      */
-    // unregisterStatefulHandler(key) { ... }
+    _findStatefulHandler(interaction) {
+        const message = interaction.message;
+        if (!message) return null;
+        return this.statefulHandlers.get(message.id)
+            ?? this.statefulHandlers.get(message.interactionMetadata?.id ?? message.interaction?.id)
+            ?? null;
+    }
+
+    /**
+     * (Re)starts the idle timer of a stateful handler.
+     * @param {object} entry The entry.
+     * @private
+     */
+    _resetIdleTimer(entry) {
+        if (!entry.idleTimeout) return;
+        clearTimeout(entry.timers.idle);
+        entry.timers.idle = setTimeout(() => this._expireStatefulHandler(entry, 'idle'), entry.idleTimeout * 1000);
+    }
+
+    /**
+     * Removes a stateful handler and calls its `onExpire`.
+     * @param {object} entry The entry.
+     * @param {'idle' | 'timeout' | 'shutdown'} reason Why it expired.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _expireStatefulHandler(entry, reason) {
+        if (this.statefulHandlers.get(entry.key) !== entry) return; // Already removed or replaced
+        this.unregisterStatefulHandler(entry.key);
+        this.logger.debug(`${entry.name} handler for ${entry.key} expired (${reason})`);
+        try {
+            await entry.onExpire(entry, reason);
+        } catch (error) {
+            this.logger.error(`onExpire of ${entry.name} handler for ${entry.key} failed:`, error);
+        }
+    }
+
+    /**
+     * Disables the components of a stateful handler's message.
+     * @param {object} entry The entry.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _disableComponents(entry) {
+        if (entry.interaction) {
+            // Also works for ephemeral replies, which can't be edited through the message
+            const reply = await entry.interaction.fetchReply();
+            if (reply.components?.length) await entry.interaction.editReply({ components: InteractionManager.disableComponents(reply.components) });
+        } else if (entry.message?.components?.length) {
+            await entry.message.edit({ components: InteractionManager.disableComponents(entry.message.components) });
+        }
+    }
 
     /**
      * [Concept] Creates and manages a paginated embed message.
@@ -90,81 +248,191 @@ class InteractionManager {
      * @private
      */
     _findHandler(customId, type) {
+        return this._findHandlerEntry(customId, type)?.handler ?? null;
+    }
+
+    /**
+     * Finds the registered handler and the key (exact customId or prefix) it was registered with.
+     * @param {string} customId The customId from the interaction.
+     * @param {'button' | 'select' | 'modal'} type The interaction type.
+     * @returns {{ key: string, handler: Function } | null}
+     * @private
+     */
+    _findHandlerEntry(customId, type) {
         // 1. Check for exact match
         let handlerData = this.handlers.get(customId);
         if (handlerData && handlerData.type === type) {
-            return handlerData.handler;
+            return { key: customId, handler: handlerData.handler };
         }
 
         // 2. Check for prefix match (keys ending with '*')
         // Iterate through handlers to find a matching prefix
         for (const [key, data] of this.handlers.entries()) {
             if (key.endsWith('*') && data.type === type && customId.startsWith(key.slice(0, -1))) {
-                return data.handler; // Return the first matching prefix handler
+                return { key, handler: data.handler }; // Return the first matching prefix handler
             }
         }
 
         return null; // No handler found
     }
 
+    /**
+     * Records a handler execution in the metrics.
+     * @param {import('discord.js').Interaction} interaction The interaction.
+     * @param {string} handlerKey The key the handler was registered with.
+     * @param {string} handlerType The handler type.
+     * @param {number} startedAt `performance.now()` before the handler was called.
+     * @param {boolean} failed Whether the handler threw (anything but a UserError).
+     * @private
+     */
+    _recordExecution(interaction, handlerKey, handlerType, startedAt, failed) {
+        if (!this.metrics) return;
+        const labels = this.metrics.labels({ handler: handlerKey, type: handlerType }, interaction.guild);
+        this.metrics.increment('interaction_executions_total', labels);
+        if (failed) this.metrics.increment('interaction_failures_total', labels);
+        this.metrics.observe('interaction_duration_seconds', labels, (performance.now() - startedAt) / 1000);
+    }
+
+    /**
+     * Stops the manager gracefully: stops accepting interactions, waits for running handlers to finish, then releases
+     * everything (see `destroy`). Call it before `client.destroy()`, e.g. on SIGTERM.
+     * @param {object} [options={}] Options.
+     * @param {number} [options.timeout=10] Maximum seconds to wait for running handlers.
+     * @returns {Promise<boolean>} True if all running handlers finished in time.
+     */
+    async shutdown({ timeout = 10 } = {}) {
+        this._detachListener(); // Stop accepting new work first
+        const finished = await CommonUtils.settleWithin([...this._runs], timeout * 1000);
+        if (!finished) this.logger.warn(`${this._runs.size} interaction handler(s) did not finish within ${timeout}s.`);
+        await Promise.all(this.statefulHandlers.map(entry => this._expireStatefulHandler(entry, 'shutdown')));
+        this.destroy();
+        return finished;
+    }
+
+    /**
+     * Releases the manager immediately, without waiting for running handlers: removes its client listener,
+     * expires the stateful handlers (calling their `onExpire`, without waiting for it) and ends the active paginations it owns. The manager can't be used afterwards
+     * (`registerStatefulHandler` throws).
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this._detachListener();
+        this.statefulHandlers.forEach(entry => this._expireStatefulHandler(entry, 'shutdown'));
+        stopPaginations(this);
+        this.destroyed = true;
+        this.logger.info('InteractionManager destroyed.');
+    }
+
+    /**
+     * Removes the client listener.
+     * @private
+     */
+    _detachListener() {
+        if (!this._listener) return;
+        this.client.removeListener('interactionCreate', this._listener);
+        this._listener = null;
+    }
+
     /**
      * Sets up the listener for the 'interactionCreate' event.
      * @private
      */
     _listen() {
-        this.client.on('interactionCreate', async interaction => {
-            let handler;
-            let handlerType = 'Unknown';
-            let customId = interaction.customId || 'N/A'; // Modals don't have customId directly on top level
-
+        this._listener = async interaction => {
+            const run = this._handleInteraction(interaction);
+            this._runs.add(run); // Awaited by shutdown()
             try {
-                 // --- Placeholder: Check for Stateful Handlers First ---
-                 // const statefulHandler = this.statefulHandlers.get(interaction.message?.id || interaction.id);
-                 // if (statefulHandler) { handler = statefulHandler.handler; /* ... */ }
-                 // --- End Placeholder ---
-
-
-                // Determine interaction type and find persistent handler
-                if (interaction.isButton()) {
-                    handlerType = 'button';
-                    handler = this._findHandler(interaction.customId, handlerType);
-                } else if (interaction.isAnySelectMenu()) { // Catches StringSelectMenu, UserSelectMenu, etc.
-                    handlerType = 'select';
-                     handler = this._findHandler(interaction.customId, handlerType);
-                } else if (interaction.type === InteractionType.ModalSubmit) {
-                    handlerType = 'modal';
-                    customId = interaction.customId; // Get customId from modal
-                    handler = this._findHandler(customId, handlerType);
-                } else {
-                    // Ignore other interaction types (like commands, handled by CommandHandler)
+                await run;
+            } finally {
+                this._runs.delete(run);
+            }
+        };
+        this.client.on('interactionCreate', this._listener);
+    }
+
+    /**
+     * Routes a component or modal interaction to its handler.
+     * @param {import('discord.js').Interaction} interaction The interaction.
+     * @private
+     */
+    async _handleInteraction(interaction) {
+        let handler;
+        let handlerKey = null; // The registered customId or prefix (used as metrics label instead of the raw customId)
+        let startedAt = null;
+        let handlerType = 'Unknown';
+        let customId = interaction.customId || 'N/A'; // Modals don't have customId directly on top level
+
+        try {
+            // Determine interaction type and find the handler
+            if (interaction.isButton()) {
+                handlerType = 'button';
+            } else if (interaction.isAnySelectMenu()) { // Catches StringSelectMenu, UserSelectMenu, etc.
+                handlerType = 'select';
+            } else if (interaction.type === InteractionType.ModalSubmit) {
+                handlerType = 'modal';
+                customId = interaction.customId; // Get customId from modal
+            } else {
+                // Ignore other interaction types (like commands, handled by CommandHandler)
+                return;
+            }
+            if (customId.startsWith(RESERVED_PREFIX)) return;
+
+            // Stateful handlers (bound to this message) take priority over persistent ones
+            const stateful = this._findStatefulHandler(interaction);
+            if (stateful) {
+                if (stateful.filter && !(await stateful.filter(interaction, stateful))) {
+                    const locale = await this.i18n.resolveLocale({ interaction });
+                    await interaction.reply({ content: this.i18n.t('suite.interactionNotAllowed', locale), ephemeral: true }).catch(() => {});
                     return;
                 }
+                stateful.message ??= interaction.message;
+                stateful.lastUsedAt = Date.now();
+                stateful.uses++;
+                this._resetIdleTimer(stateful);
+                handler = received => stateful.handler(received, stateful);
+                handlerKey = stateful.name;
+            } else {
+                const entry = this._findHandlerEntry(customId, handlerType);
+                handler = entry?.handler;
+                handlerKey = entry?.key ?? null;
+            }
 
-                // Execute the handler if found
-                if (handler) {
-                     this.logger.info(`Executing ${handlerType} handler for ID "${customId}" triggered by ${interaction.user.tag}`);
-                     // Provide context? Maybe pass manager instance? handler(interaction, this);
-                     await handler(interaction);
-                } else {
-                    // No persistent handler found - potentially an old interaction or one managed statefully
-                     this.logger.warn(`No persistent ${handlerType} handler found for customId: ${customId}`);
-                     // Optionally reply to the user that the interaction is outdated
-                     if (!interaction.replied && !interaction.deferred && interaction.isMessageComponent()) {
-                         await interaction.reply({ content: 'This interaction is no longer valid or has expired.', ephemeral: true }).catch(() => {});
-                     } else if (interaction.type === InteractionType.ModalSubmit && !interaction.replied && !interaction.deferred) {
-                          await interaction.reply({ content: 'Could not process this form submission (handler not found).', ephemeral: true }).catch(() => {});
-                     }
-                }
-            } catch (error) {
-                this.logger.error(`Error executing ${handlerType} handler for ID "${customId}":`, error);
-                 try {
-                      const replyMethod = (interaction.replied || interaction.deferred) ? 'followUp' : 'reply';
-                      await interaction[replyMethod]({ content: 'An error occurred while processing this interaction!', ephemeral: true });
-                 } catch (e) {
-                     this.logger.error(`Interaction error fallback reply failed for ID "${customId}":`, e);
+            // Execute the handler if found
+            if (handler) {
+                 this.logger.info(`Executing ${handlerType} handler for ID "${customId}" triggered by ${interaction.user.tag}`);
+                 // Provide context? Maybe pass manager instance? handler(interaction, this);
+                 startedAt = performance.now();
+                 await handler(interaction);
+                 this._recordExecution(interaction, handlerKey, handlerType, startedAt, false);
+            } else {
+                // No persistent handler found - potentially an old interaction or one managed statefully
+                 this.logger.warn(`No persistent ${handlerType} handler found for customId: ${customId}`);
+                 this.metrics?.increment('interaction_not_found_total', this.metrics.labels({ type: handlerType }, interaction.guild));
+                 // Optionally reply to the user that the interaction is outdated
+                 if (!interaction.replied && !interaction.deferred && interaction.isMessageComponent()) {
+                     const locale = await this.i18n.resolveLocale({ interaction });
+                     await interaction.reply({ content: this.i18n.t('suite.interactionExpired', locale), ephemeral: true }).catch(() => {});
+                 } else if (interaction.type === InteractionType.ModalSubmit && !interaction.replied && !interaction.deferred) {
+                      const locale = await this.i18n.resolveLocale({ interaction });
+                      await interaction.reply({ content: this.i18n.t('suite.modalHandlerNotFound', locale), ephemeral: true }).catch(() => {});
                  }
             }
-        });
+        } catch (error) {
+            if (startedAt !== null) this._recordExecution(interaction, handlerKey, handlerType, startedAt, !(error instanceof UserError));
+             try {
+                  const locale = await this.i18n.resolveLocale({ interaction });
+                  const { reply } = await this.errors.handle(error, {
+                      description: `Error executing ${handlerType} handler for ID "${customId}"`,
+                      replyKey: 'suite.interactionError',
+                      locale,
+                      details: { source: 'interaction', handlerType, customId, interaction },
+                  });
+                  const replyMethod = (interaction.replied || interaction.deferred) ? 'followUp' : 'reply';
+                  await interaction[replyMethod]({ ...(typeof reply === 'string' ? { content: reply } : reply), ephemeral: true });
+             } catch (e) {
+                 this.logger.error(`Interaction error fallback reply failed for ID "${customId}":`, e);
+             }
+        }
     }
 }
 
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapter for GuildSettingsManager that keeps all guild settings in a single JSON file.
+ * Suited for small bots running a single process; use a database-backed store for sharded bots.
+ */
+class JsonSettingsStore {
+    /**
+     * Creates a JsonSettingsStore instance.
+     * @param {object} [options={}] Options.
+     * @param {string} [options.path='./guild-settings.json'] Path to the JSON file. Created on the first write.
+     */
+    constructor(options = {}) {
+        this.path = path.resolve(options.path || './guild-settings.json');
+        this._data = null; // <guildId, settings>, loaded on first access
+        this._loading = null;
+        this._writing = Promise.resolve(); // Writes are chained so they never interleave
+    }
+
+    async get(guildId) {
+        const data = await this._load();
+        return data[guildId] ? JSON.parse(JSON.stringify(data[guildId])) : null;
+    }
+
+    async set(guildId, settings) {
+        const data = await this._load();
+        data[guildId] = JSON.parse(JSON.stringify(settings));
+        await this._save();
+    }
+
+    async delete(guildId) {
+        const data = await this._load();
+        if (!(guildId in data)) return;
+        delete data[guildId];
+        await this._save();
+    }
+
+    /**
+     * Reads the file once and caches its contents.
+     * @returns {Promise<object>}
+     * @throws {Error} If the file exists but contains invalid JSON.
+     * @private
+     */
+    _load() {
+        // Concurrent first calls share a single read
+        this._loading ??= fs.promises.readFile(this.path, 'utf8')
+            .then(content => JSON.parse(content), error => {
+                if (error.code === 'ENOENT') return {};
+                throw error;
+            })
+            .then(data => (this._data = data))
+            .catch(error => {
+                this._loading = null; // Retry on the next access
+                throw new Error(`Failed to read guild settings from ${this.path}: ${error.message}`);
+            });
+        return this._loading;
+    }
+
+    /**
+     * Writes the cached data to a temporary file and renames it, so a crash never leaves a half-written file.
+     * @private
+     */
+    _save() {
+        const write = async () => {
+            const tempPath = `${this.path}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(this._data, null, 2));
+            await fs.promises.rename(tempPath, this.path);
+        };
+        this._writing = this._writing.catch(() => {}).then(write);
+        return this._writing;
+    }
+}
+
+module.exports = JsonSettingsStore;
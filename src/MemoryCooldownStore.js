@@ -0,0 +1,67 @@
+/**
+ * In-memory storage adapter for CooldownManager (the default).
+ *
+ * Any object implementing the same async methods can be used instead, e.g. to keep
+ * cooldowns in Redis or a database so they survive restarts and are shared across shards:
+ * - `get(key)` -> `Promise<number[] | null>` The stored usage timestamps.
+ * - `set(key, timestamps, ttl)` -> `Promise<void>` Stores the timestamps; they may be dropped after `ttl` milliseconds.
+ * - `delete(key)` -> `Promise<void>`
+ * - `clear()` -> `Promise<void>` (optional)
+ */
+class MemoryCooldownStore {
+    /**
+     * Creates a MemoryCooldownStore instance.
+     * @param {object} [options={}] Options.
+     * @param {number} [options.sweepInterval=60000] How often expired entries are removed, in milliseconds.
+     * @param {() => number} [options.now=Date.now] Clock used for expiry.
+     */
+    constructor(options = {}) {
+        this.entries = new Map(); // <key, { timestamps: number[], expiresAt: number }>
+        this.now = options.now || Date.now;
+
+        // A single periodic sweep instead of one timer per entry
+        this._sweepTimer = setInterval(() => this.sweep(), options.sweepInterval ?? 60000);
+        this._sweepTimer.unref?.(); // Never keep the process alive just for cleanup
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.timestamps;
+    }
+
+    async set(key, timestamps, ttl) {
+        this.entries.set(key, { timestamps, expiresAt: this.now() + ttl });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Removes all expired entries.
+     */
+    sweep() {
+        const now = this.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Stops the periodic sweep.
+     */
+    destroy() {
+        clearInterval(this._sweepTimer);
+    }
+}
+
+module.exports = MemoryCooldownStore;
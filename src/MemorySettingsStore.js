@@ -0,0 +1,29 @@
+/**
+ * In-memory storage adapter for GuildSettingsManager (the default). Settings are lost on restart.
+ *
+ * Any object implementing the same async methods can be used instead, e.g. to keep settings in a database:
+ * - `get(guildId)` -> `Promise<object | null>` The stored settings of a guild.
+ * - `set(guildId, settings)` -> `Promise<void>` Stores the settings (a plain, JSON-serializable object).
+ * - `delete(guildId)` -> `Promise<void>`
+ */
+class MemorySettingsStore {
+    constructor() {
+        this.entries = new Map(); // <guildId, settings>
+    }
+
+    async get(guildId) {
+        const settings = this.entries.get(guildId);
+        // Hand out copies so callers can't change stored settings without set()
+        return settings ? JSON.parse(JSON.stringify(settings)) : null;
+    }
+
+    async set(guildId, settings) {
+        this.entries.set(guildId, JSON.parse(JSON.stringify(settings)));
+    }
+
+    async delete(guildId) {
+        this.entries.delete(guildId);
+    }
+}
+
+module.exports = MemorySettingsStore;
@@ -0,0 +1,228 @@
+const http = require('http');
+
+// Histogram buckets in seconds, from fast replies to slow API-heavy commands
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Metrics recorded by CommandHandler and InteractionManager: <name, { type, help }>
+const DEFINITIONS = {
+    command_executions_total: { type: 'counter', help: 'Commands executed (including failed executions).' },
+    command_failures_total: { type: 'counter', help: 'Command executions that threw an error.' },
+    command_duration_seconds: { type: 'histogram', help: 'Time spent in command execute functions.' },
+    command_blocked_total: { type: 'counter', help: 'Commands stopped by a middleware, by middleware name.' },
+    command_cooldown_hits_total: { type: 'counter', help: 'Commands rejected because of a cooldown.' },
+    command_timeouts_total: { type: 'counter', help: 'Command executions that exceeded their timeout.' },
+    command_permission_denials_total: { type: 'counter', help: 'Commands rejected by permission, role or guild settings checks.' },
+    command_not_found_total: { type: 'counter', help: 'Application command interactions without a matching loaded command.' },
+    interaction_executions_total: { type: 'counter', help: 'Component and modal handlers executed.' },
+    interaction_failures_total: { type: 'counter', help: 'Component and modal handlers that threw an error.' },
+    interaction_duration_seconds: { type: 'histogram', help: 'Time spent in component and modal handlers.' },
+    interaction_not_found_total: { type: 'counter', help: 'Component and modal interactions without a registered handler.' },
+};
+
+/**
+ * Collects command and interaction metrics (counters and duration histograms) in memory.
+ *
+ * Pass the same instance to CommandHandler and InteractionManager (`options.metrics`) to collect everything in one place.
+ * Read the data with `getCounter`, `getHistogram`, `getCommandStats`, or export all of it in the
+ * Prometheus text format with `toPrometheus` / `createServer`.
+ */
+class Metrics {
+    /**
+     * Creates a Metrics instance.
+     * @param {object} [options={}] Options.
+     * @param {string} [options.prefix='djs_suite_'] Prefix of all exported metric names.
+     * @param {number[]} [options.buckets] Histogram bucket upper bounds in seconds.
+     * @param {boolean} [options.guildLabel=true] Whether to label by guild ID. Disable for bots in many guilds to limit the number of series.
+     */
+    constructor(options = {}) {
+        this.prefix = options.prefix ?? 'djs_suite_';
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+        this.guildLabel = options.guildLabel ?? true;
+        this.counters = new Map(); // <name, Map<labelKey, { labels, value }>>
+        this.histograms = new Map(); // <name, Map<labelKey, { labels, count, sum, buckets: number[] }>>
+    }
+
+    /**
+     * Adds the guild label (unless disabled) to a label set.
+     * @param {object} labels Label values, e.g. `{ command, type }`.
+     * @param {{ id: string } | null} [guild] The guild, if any.
+     * @returns {object} The labels.
+     */
+    labels(labels, guild = null) {
+        return this.guildLabel ? { ...labels, guild: guild?.id ?? 'dm' } : labels;
+    }
+
+    /**
+     * Increments a counter.
+     * @param {string} name Metric name (without prefix).
+     * @param {object} [labels={}] Label values.
+     * @param {number} [value=1] Amount to add.
+     */
+    increment(name, labels = {}, value = 1) {
+        const series = this._getSeries(this.counters, name, labels, () => ({ labels, value: 0 }));
+        series.value += value;
+    }
+
+    /**
+     * Records a duration in a histogram.
+     * @param {string} name Metric name (without prefix).
+     * @param {object} [labels={}] Label values.
+     * @param {number} seconds The observed duration in seconds.
+     */
+    observe(name, labels = {}, seconds) {
+        const series = this._getSeries(this.histograms, name, labels, () => ({ labels, count: 0, sum: 0, buckets: this.buckets.map(() => 0) }));
+        series.count++;
+        series.sum += seconds;
+        this.buckets.forEach((bound, index) => {
+            if (seconds <= bound) series.buckets[index]++;
+        });
+    }
+
+    /**
+     * Gets the series of a counter.
+     * @param {string} name Metric name (without prefix).
+     * @returns {{ labels: object, value: number }[]}
+     */
+    getCounter(name) {
+        return [...(this.counters.get(name)?.values() || [])].map(series => ({ ...series }));
+    }
+
+    /**
+     * Gets the series of a histogram.
+     * @param {string} name Metric name (without prefix).
+     * @returns {{ labels: object, count: number, sum: number, buckets: number[] }[]} Bucket counts are cumulative, in the order of `this.buckets`.
+     */
+    getHistogram(name) {
+        return [...(this.histograms.get(name)?.values() || [])].map(series => ({ ...series, buckets: [...series.buckets] }));
+    }
+
+    /**
+     * Summarizes the command metrics per command and type (summed over guilds), slowest first.
+     * @returns {{ command: string, type: string, executions: number, failures: number, failureRate: number, averageDuration: number, cooldownHits: number, permissionDenials: number }[]}
+     *          Durations are in seconds.
+     */
+    getCommandStats() {
+        const stats = new Map();
+        const entry = ({ command, type }) => {
+            const key = `${type}:${command}`;
+            if (!stats.has(key)) {
+                stats.set(key, { command, type, executions: 0, failures: 0, failureRate: 0, averageDuration: 0, cooldownHits: 0, permissionDenials: 0, totalDuration: 0 });
+            }
+            return stats.get(key);
+        };
+
+        this.getCounter('command_executions_total').forEach(({ labels, value }) => (entry(labels).executions += value));
+        this.getCounter('command_failures_total').forEach(({ labels, value }) => (entry(labels).failures += value));
+        this.getCounter('command_cooldown_hits_total').forEach(({ labels, value }) => (entry(labels).cooldownHits += value));
+        this.getCounter('command_permission_denials_total').forEach(({ labels, value }) => (entry(labels).permissionDenials += value));
+        this.getHistogram('command_duration_seconds').forEach(({ labels, sum }) => (entry(labels).totalDuration += sum));
+
+        return [...stats.values()]
+            .map(({ totalDuration, ...stat }) => ({
+                ...stat,
+                failureRate: stat.executions ? stat.failures / stat.executions : 0,
+                averageDuration: stat.executions ? totalDuration / stat.executions : 0,
+            }))
+            .sort((a, b) => b.averageDuration - a.averageDuration);
+    }
+
+    /**
+     * Clears all recorded metrics.
+     */
+    reset() {
+        this.counters.clear();
+        this.histograms.clear();
+    }
+
+    /**
+     * Renders all metrics in the Prometheus text exposition format.
+     * @returns {string}
+     */
+    toPrometheus() {
+        const lines = [];
+        const names = new Set([...this.counters.keys(), ...this.histograms.keys()]);
+
+        for (const name of [...names].sort()) {
+            const fullName = `${this.prefix}${name}`;
+            const definition = DEFINITIONS[name];
+            if (definition) lines.push(`# HELP ${fullName} ${definition.help}`);
+
+            if (this.counters.has(name)) {
+                lines.push(`# TYPE ${fullName} counter`);
+                for (const { labels, value } of this.counters.get(name).values()) {
+                    lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+                }
+                continue;
+            }
+
+            lines.push(`# TYPE ${fullName} histogram`);
+            for (const { labels, count, sum, buckets } of this.histograms.get(name).values()) {
+                this.buckets.forEach((bound, index) => {
+                    lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: String(bound) })} ${buckets[index]}`);
+                });
+                lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${fullName}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+            }
+        }
+        return lines.length ? `${lines.join('\n')}\n` : '';
+    }
+
+    /**
+     * Creates an HTTP request listener that serves `toPrometheus()` (for use with an existing server).
+     * @param {object} [options={}] Options.
+     * @param {string} [options.path='/metrics'] The path to serve the metrics on.
+     * @returns {(req: http.IncomingMessage, res: http.ServerResponse) => void}
+     */
+    createRequestListener({ path = '/metrics' } = {}) {
+        return (req, res) => {
+            if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(this.toPrometheus());
+        };
+    }
+
+    /**
+     * Starts an HTTP server serving the metrics for a Prometheus scraper.
+     * Binds to localhost by default; expose it deliberately if the scraper runs elsewhere.
+     * @param {object} [options={}] Options.
+     * @param {number} [options.port=9464] The port to listen on.
+     * @param {string} [options.host='127.0.0.1'] The address to bind to.
+     * @param {string} [options.path='/metrics'] The path to serve the metrics on.
+     * @returns {http.Server} The listening server (call `close()` to stop it).
+     */
+    createServer({ port = 9464, host = '127.0.0.1', path = '/metrics' } = {}) {
+        return http.createServer(this.createRequestListener({ path })).listen(port, host);
+    }
+
+    /**
+     * Gets (or creates) the series of a metric for a label set.
+     * @private
+     */
+    _getSeries(store, name, labels, create) {
+        if (!store.has(name)) store.set(name, new Map());
+        const series = store.get(name);
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        if (!series.has(key)) series.set(key, create());
+        return series.get(key);
+    }
+}
+
+/**
+ * Formats labels as `{name="value",...}`, escaping values as the exposition format requires.
+ * @param {object} labels Label values.
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+Metrics.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = Metrics;
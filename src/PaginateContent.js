@@ -1,25 +1,32 @@
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const I18n = require('./I18n');
+const { trackPagination } = require('./CreatePagination');
 
 /**
  * Uzun içeriği otomatik olarak sayfalara böler ve Discord'da sayfa sistemini gösterir.
  * @param {Interaction|Message} interaction - Komut interaction'ı
  * @param {string[]} items - Liste halinde içerikler
  * @param {Object} options - Ayarlar
- * @param {string} [options.title] - Embed başlığı
+ * @param {string} [options.title] - Embed başlığı (varsayılan: `suite.pagination.title` çevirisi)
  * @param {number} [options.itemsPerPage=5] - Her sayfada kaç içerik gösterilsin
  * @param {number} [options.timeout=60] - Süre (sn) sonunda düğmeler pasifleşsin
  * @param {boolean} [options.defer=false] - Eğer interaction.deferReply() yapıldıysa true olmalı
+ * @param {I18n} [options.i18n] - Çeviriler (varsayılan: yerleşik çeviriler)
+ * @param {string} [options.locale] - Dil (varsayılan: interaction.locale veya sunucu dili)
+ * @param {*} [options.owner] - Sayfalamanın sahibi, örn. `context.handler`; sahibi kapatılınca sayfalama da sonlanır
  */
 async function paginateContent(interaction, items, options = {}) {
+    const i18n = options.i18n || I18n.getDefault();
+    const locale = options.locale || interaction.locale || interaction.guild?.preferredLocale || i18n.defaultLocale;
     const {
-        title = 'Sayfalı Liste',
+        title = i18n.t('suite.pagination.title', locale),
         itemsPerPage = 5,
         timeout = 60,
         defer = false
     } = options;
 
     if (!Array.isArray(items) || items.length === 0)
-        throw new Error('Gösterilecek içerik listesi boş veya geçersiz.');
+        throw new Error(i18n.t('suite.pagination.emptyItems', locale));
 
     if(interaction.deferred) options.defer = true;
     
@@ -29,7 +36,7 @@ async function paginateContent(interaction, items, options = {}) {
         const embed = new EmbedBuilder()
             .setTitle(title)
             .setDescription(chunk.join('\n'))
-            .setFooter({ text: `Sayfa ${Math.floor(i / itemsPerPage) + 1}/${Math.ceil(items.length / itemsPerPage)}` });
+            .setFooter({ text: i18n.t('suite.pagination.page', locale, { page: Math.floor(i / itemsPerPage) + 1, total: Math.ceil(items.length / itemsPerPage) }) });
         pages.push(embed);
     }
 
@@ -59,9 +66,10 @@ async function paginateContent(interaction, items, options = {}) {
         : await interaction.reply(replyOptions);
 
     const collector = message.createMessageComponentCollector({
-        filter: i => i.user.id === interaction.user.id,
+        filter: i => i.user.id === (interaction.user ?? interaction.author).id, // Message kaynaklarında kullanıcı `author` alanındadır
         time: timeout * 1000
     });
+    trackPagination(collector, options.owner);
 
     collector.on('collect', async i => {
         if (i.customId === 'prev' && currentPage > 0) currentPage--;
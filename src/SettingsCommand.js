@@ -0,0 +1,210 @@
+const { SlashCommandBuilder, PermissionsBitField } = require('discord.js');
+const SuiteEmbed = require('./SuiteEmbed');
+const CommonUtils = require('./CommonUtils');
+const CommandType = require('./CommandType');
+const GuildSettingsManager = require('./GuildSettingsManager');
+
+/**
+ * Creates the built-in slash command for managing per-guild command settings (see GuildSettingsManager).
+ * Enabled through the `settingsCommand` option of CommandHandler. Requires the Manage Server permission by default.
+ *
+ * Subcommands:
+ * - `disable <command>` / `enable <command>` Turns a command (or a subcommand / subcommand group) off or on.
+ * - `allow <command> [user] [role] [channel]` / `deny ...` Adds allow or deny overrides.
+ * - `unset <command> [user] [role] [channel]` Removes overrides.
+ * - `reset <command>` Enables the command and removes all of its overrides.
+ * - `show [command]` Lists disabled commands and overrides.
+ *
+ * An allow override for a user or role lets them use the command without its own `permissions` and `roles`;
+ * channel allow overrides restrict the command to those channels.
+ * Replies use the `suite.settings.*` translations of the handler's I18n instance.
+ * @param {import('./CommandHandler')} handler The CommandHandler instance.
+ * @param {object} [options={}] Options.
+ * @param {string} [options.name='command-settings'] Command name.
+ * @param {string} [options.description] Command description (defaults to the `suite.settings.description` translation).
+ * @param {string} [options.category='admin'] Category of the command.
+ * @param {import('discord.js').PermissionResolvable[]} [options.permissions=['ManageGuild']] Permissions required to use the command.
+ * @returns {object} The command object.
+ */
+function createSettingsCommand(handler, options = {}) {
+    const name = options.name || 'command-settings';
+    const description = options.description || handler.i18n.t('suite.settings.description');
+    const permissions = options.permissions || ['ManageGuild'];
+    const commandOption = option => option
+        .setName('command')
+        .setDescription(handler.i18n.t('suite.settings.commandOptionDescription'))
+        .setAutocomplete(true);
+    const targetOptions = subcommand => subcommand
+        .addStringOption(option => commandOption(option).setRequired(true))
+        .addUserOption(option => option.setName('user').setDescription(handler.i18n.t('suite.settings.userOptionDescription')))
+        .addRoleOption(option => option.setName('role').setDescription(handler.i18n.t('suite.settings.roleOptionDescription')))
+        .addChannelOption(option => option.setName('channel').setDescription(handler.i18n.t('suite.settings.channelOptionDescription')));
+
+    const data = new SlashCommandBuilder()
+        .setName(name)
+        .setDescription(description)
+        .setDMPermission(false)
+        .setDefaultMemberPermissions(PermissionsBitField.resolve(permissions)) // Hides the command from members who can't use it
+        .addSubcommand(sub => sub.setName('disable').setDescription(handler.i18n.t('suite.settings.disableDescription'))
+            .addStringOption(option => commandOption(option).setRequired(true)))
+        .addSubcommand(sub => sub.setName('enable').setDescription(handler.i18n.t('suite.settings.enableDescription'))
+            .addStringOption(option => commandOption(option).setRequired(true)))
+        .addSubcommand(sub => targetOptions(sub.setName('allow').setDescription(handler.i18n.t('suite.settings.allowDescription'))))
+        .addSubcommand(sub => targetOptions(sub.setName('deny').setDescription(handler.i18n.t('suite.settings.denyDescription'))))
+        .addSubcommand(sub => targetOptions(sub.setName('unset').setDescription(handler.i18n.t('suite.settings.unsetDescription'))))
+        .addSubcommand(sub => sub.setName('reset').setDescription(handler.i18n.t('suite.settings.resetDescription'))
+            .addStringOption(option => commandOption(option).setRequired(true)))
+        .addSubcommand(sub => sub.setName('show').setDescription(handler.i18n.t('suite.settings.showDescription'))
+            .addStringOption(commandOption));
+
+    return {
+        data,
+        description,
+        category: options.category || 'admin',
+        type: CommandType.SLASH,
+        builtin: true,
+        guildOnly: true,
+        permissions,
+        ignoreGuildSettings: true, // Admins must never be able to lock themselves out of this command
+
+        autocomplete(interaction, focused) {
+            return CommonUtils.filterChoices(getManageableNames(handler, name), focused.value);
+        },
+
+        async execute(interaction, context) {
+            const subcommand = interaction.options.getSubcommand();
+            const guildId = interaction.guild.id;
+            const query = interaction.options.getString('command');
+
+            if (subcommand === 'show') {
+                const settings = await handler.settings.get(guildId);
+                return context.reply({ embeds: [buildSettingsEmbed(context, settings, query && resolveName(handler, name, query))] });
+            }
+
+            const commandName = resolveName(handler, name, query);
+            if (!commandName) {
+                return context.reply(t(context, 'unknownCommand', { command: query }));
+            }
+
+            switch (subcommand) {
+                case 'disable':
+                    await handler.settings.disableCommand(guildId, commandName);
+                    return context.reply(t(context, 'disabled', { command: commandName }));
+                case 'enable':
+                    await handler.settings.enableCommand(guildId, commandName);
+                    return context.reply(t(context, 'enabled', { command: commandName }));
+                case 'reset':
+                    await handler.settings.resetCommand(guildId, commandName);
+                    return context.reply(t(context, 'reset', { command: commandName }));
+                default: {
+                    // allow / deny / unset
+                    const targets = [
+                        ['users', interaction.options.getUser('user')],
+                        ['roles', interaction.options.getRole('role')],
+                        ['channels', interaction.options.getChannel('channel')],
+                    ].filter(([, value]) => value);
+                    if (targets.length === 0) {
+                        return context.reply(t(context, 'missingTarget'));
+                    }
+                    const allow = subcommand === 'unset' ? null : subcommand === 'allow';
+                    for (const [target, value] of targets) {
+                        await handler.settings.setOverride(guildId, commandName, target, value.id, allow);
+                    }
+                    return context.reply(t(context, subcommand === 'unset' ? 'overrideRemoved' : 'overrideSet', {
+                        command: commandName,
+                        targets: targets.map(([target, value]) => formatTarget(target, value.id)).join(', '),
+                    }));
+                }
+            }
+        },
+    };
+}
+
+/**
+ * Translates a `suite.settings.*` key for the invoker's locale.
+ * @param {object} context The command context.
+ * @param {string} key The key below `suite.settings`.
+ * @param {object} [vars] Values for interpolation.
+ * @returns {string}
+ */
+function t(context, key, vars) {
+    return context.t(`suite.settings.${key}`, vars);
+}
+
+/**
+ * Gets the names that can be configured: primary command names, subcommand groups and qualified subcommand names.
+ * Context menus and the settings command itself are excluded.
+ * @param {import('./CommandHandler')} handler The CommandHandler instance.
+ * @param {string} ownName The name of the settings command.
+ * @returns {string[]}
+ */
+function getManageableNames(handler, ownName) {
+    const names = new Set();
+    for (const command of new Set(handler.commands.values())) {
+        if (command.type === CommandType.USER || command.type === CommandType.MESSAGE) continue;
+        const commandName = (command.data?.name || command.name).toLowerCase();
+        if (commandName === ownName) continue;
+        names.add(commandName);
+        for (const subcommand of command.subcommands?.values() || []) {
+            GuildSettingsManager.getNameChain(subcommand.qualifiedName).forEach(name => names.add(name));
+        }
+    }
+    return [...names].sort();
+}
+
+/**
+ * Resolves user input (a name, qualified name or legacy alias) to the name settings are stored under.
+ * @returns {string | null} The name, or null if no such command exists.
+ */
+function resolveName(handler, ownName, query) {
+    const search = query.trim().toLowerCase().replace(/^\//, '').replace(/\s+/g, ' ');
+    if (getManageableNames(handler, ownName).includes(search)) return search;
+    // Legacy aliases map to the command's primary name
+    const command = handler.commands.get(search);
+    const commandName = command && (command.data?.name || command.name).toLowerCase();
+    return commandName && commandName !== ownName ? commandName : null;
+}
+
+/**
+ * Formats an override target as a mention.
+ * @param {'users' | 'roles' | 'channels'} target The target type.
+ * @param {string} id The ID.
+ * @returns {string}
+ */
+function formatTarget(target, id) {
+    if (target === 'users') return `<@${id}>`;
+    if (target === 'roles') return `<@&${id}>`;
+    return `<#${id}>`;
+}
+
+/**
+ * Builds the embed listing disabled commands and overrides (of all commands, or of one command).
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+function buildSettingsEmbed(context, settings, commandName) {
+    const disabled = commandName
+        ? settings.disabledCommands.filter(name => GuildSettingsManager.getNameChain(commandName).includes(name))
+        : settings.disabledCommands;
+    const overrides = Object.entries(settings.overrides)
+        .filter(([name]) => !commandName || name === commandName || name.startsWith(`${commandName} `));
+
+    const lines = overrides.map(([name, override]) => {
+        const entries = GuildSettingsManager.OVERRIDE_TARGETS.flatMap(target => [
+            ...override[target].allow.map(id => `✅ ${formatTarget(target, id)}`),
+            ...override[target].deny.map(id => `❌ ${formatTarget(target, id)}`),
+        ]);
+        return `\`${name}\`: ${entries.join(' ')}`;
+    });
+
+    const embed = SuiteEmbed.info(
+        disabled.length === 0 && lines.length === 0 ? t(context, 'empty') : null,
+        commandName ? t(context, 'titleCommand', { command: commandName }) : t(context, 'title'),
+    );
+    const fields = [
+        disabled.length > 0 && { name: t(context, 'disabledCommands'), value: disabled.map(name => `\`${name}\``).join(', ') },
+        lines.length > 0 && { name: t(context, 'overrides'), value: lines.join('\n') },
+    ].filter(Boolean);
+    return embed.addFields(fields.map(field => ({ ...field, value: CommonUtils.truncateText(field.value, 1024) })));
+}
+
+module.exports = { createSettingsCommand };
@@ -0,0 +1,1024 @@
+const { EventEmitter } = require('events');
+const {
+    Collection,
+    GuildMember,
+    PermissionsBitField,
+    MessageFlagsBitField,
+    MessageFlags,
+    InteractionType,
+    ApplicationCommandType,
+    ComponentType,
+    ChannelType,
+} = require('discord.js');
+
+/**
+ * Offline fakes of discord.js objects for testing commands and component handlers without a gateway connection.
+ *
+ * Events are dispatched through a FakeClient, so CommandHandler and InteractionManager run exactly as in
+ * production (middlewares, cooldowns, permission checks, localization). Replies, edits, deferrals and their
+ * ephemeral flags are recorded on the fake interactions and messages for assertions.
+ * Nothing here talks to Discord: the client never becomes ready, so application commands are never registered.
+ *
+ * ```js
+ * const clock = new Testing.TestClock();
+ * const client = new Testing.FakeClient({ clock });
+ * const handler = new CommandHandler(client, { commandDir: './commands', prefix: '!', now: clock.now });
+ * const member = client.createGuild().createMember({ permissions: ['BanMembers'] });
+ *
+ * const interaction = new Testing.FakeChatInputCommandInteraction(client, { commandName: 'ban', member, options: { reason: 'spam' } });
+ * await client.dispatch(interaction);
+ * interaction.replies[0].ephemeral; // true
+ * ```
+ */
+
+// Snowflake-like IDs, unique within the process
+let nextId = 1n;
+function generateId() {
+    return String(100000000000000000n + nextId++);
+}
+
+/**
+ * Normalizes a reply/edit payload and extracts what tests usually assert on.
+ * @param {string | object} payload The payload as passed to reply, editReply, send, etc.
+ * @param {boolean} [ephemeral] Overrides the payload's own ephemeral flag (edits keep the flag of the original reply).
+ * @returns {{ content: string | null, embeds: object[], components: object[], files: object[], ephemeral: boolean, payload: object }}
+ */
+function normalizePayload(payload, ephemeral) {
+    const data = typeof payload === 'string' ? { content: payload } : { ...payload };
+    return {
+        content: data.content ?? null,
+        embeds: data.embeds || [],
+        components: data.components || [],
+        files: data.files || [],
+        ephemeral: ephemeral ?? isEphemeral(data),
+        payload: data,
+    };
+}
+
+/**
+ * Checks whether a payload requests an ephemeral response (`ephemeral: true` or the Ephemeral message flag).
+ * @param {object} data The payload.
+ * @returns {boolean}
+ */
+function isEphemeral(data) {
+    if (data.ephemeral) return true;
+    return data.flags != null && new MessageFlagsBitField(data.flags).has(MessageFlags.Ephemeral);
+}
+
+/**
+ * A manually advanced clock. Pass `clock.now` as the CommandHandler's `now` option to control cooldowns.
+ * Its timers (used by the fake component collectors) only fire when the clock is advanced past them.
+ */
+class TestClock {
+    /**
+     * Creates a TestClock instance.
+     * @param {number} [start=0] The initial time in milliseconds.
+     */
+    constructor(start = 0) {
+        this.time = start;
+        this.timers = []; // { at, callback }, sorted by `at`
+        this.now = this.now.bind(this); // Usable as a detached function (`now: clock.now`)
+    }
+
+    /**
+     * Gets the current time.
+     * @returns {number} The time in milliseconds.
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Moves the clock forward, firing the timers that become due (in order, each at its own time).
+     * @param {number} ms Milliseconds to advance.
+     * @returns {number} The new time.
+     */
+    advance(ms) {
+        this.set(this.time + ms);
+        return this.time;
+    }
+
+    /**
+     * Sets the clock to a specific time. Moving forward fires the timers that become due.
+     * @param {number} time The time in milliseconds.
+     */
+    set(time) {
+        while (this.timers.length && this.timers[0].at <= time) {
+            const timer = this.timers.shift();
+            this.time = Math.max(this.time, timer.at);
+            timer.callback();
+        }
+        this.time = time;
+    }
+
+    /**
+     * Schedules a callback on this clock's time.
+     * @param {() => void} callback The callback.
+     * @param {number} ms Milliseconds from now.
+     * @returns {object} A handle for `clearTimeout`.
+     */
+    setTimeout(callback, ms) {
+        const timer = { at: this.time + ms, callback };
+        const index = this.timers.findIndex(other => other.at > timer.at);
+        this.timers.splice(index === -1 ? this.timers.length : index, 0, timer);
+        return timer;
+    }
+
+    /**
+     * Cancels a timer created with `setTimeout`.
+     * @param {object} timer The handle.
+     */
+    clearTimeout(timer) {
+        const index = this.timers.indexOf(timer);
+        if (index !== -1) this.timers.splice(index, 1);
+    }
+}
+
+/**
+ * A fake User. Only `bot` users are ignored by legacy command handling.
+ */
+class FakeUser {
+    /**
+     * Creates a FakeUser instance.
+     * @param {FakeClient} client The fake client.
+     * @param {object} [data={}] User data.
+     * @param {string} [data.id] The user ID (generated if omitted).
+     * @param {string} [data.username] The username (defaults to `user<id>`).
+     * @param {boolean} [data.bot=false] Whether the user is a bot.
+     */
+    constructor(client, data = {}) {
+        this.client = client;
+        this.id = data.id || generateId();
+        this.username = data.username || `user${this.id.slice(-4)}`;
+        this.globalName = data.globalName ?? null;
+        this.discriminator = '0';
+        this.bot = data.bot ?? false;
+    }
+
+    get tag() {
+        return this.username;
+    }
+
+    get displayName() {
+        return this.globalName ?? this.username;
+    }
+
+    displayAvatarURL() {
+        return `https://cdn.discordapp.com/embed/avatars/0.png`;
+    }
+
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+/**
+ * A fake Role.
+ */
+class FakeRole {
+    /**
+     * Creates a FakeRole instance.
+     * @param {FakeGuild} guild The guild the role belongs to.
+     * @param {object} [data={}] Role data.
+     * @param {string} [data.id] The role ID (generated if omitted).
+     * @param {string} [data.name] The role name (defaults to `role<id>`).
+     * @param {import('discord.js').PermissionResolvable} [data.permissions=[]] Permissions granted by the role.
+     */
+    constructor(guild, data = {}) {
+        this.guild = guild;
+        this.client = guild.client;
+        this.id = data.id || generateId();
+        this.name = data.name || `role${this.id.slice(-4)}`;
+        this.position = data.position ?? guild.roles.cache.size;
+        this.permissions = new PermissionsBitField(data.permissions || []).freeze();
+    }
+
+    toString() {
+        return `<@&${this.id}>`;
+    }
+}
+
+/**
+ * A fake text channel (or DM channel) that records the messages sent to it.
+ */
+class FakeChannel {
+    /**
+     * Creates a FakeChannel instance.
+     * @param {FakeClient} client The fake client.
+     * @param {object} [data={}] Channel data.
+     * @param {FakeGuild} [data.guild] The guild (omit for a DM channel).
+     * @param {string} [data.id] The channel ID (generated if omitted).
+     * @param {string} [data.name='general'] The channel name.
+     * @param {string} [data.parentId] The parent channel ID (for threads).
+     */
+    constructor(client, data = {}) {
+        this.client = client;
+        this.guild = data.guild || null;
+        this.guildId = this.guild?.id ?? null;
+        this.id = data.id || generateId();
+        this.name = this.guild ? data.name || 'general' : null;
+        this.type = data.type ?? (this.guild ? ChannelType.GuildText : ChannelType.DM);
+        this.parentId = data.parentId ?? null;
+        this.messages = []; // FakeMessages sent to this channel, oldest first
+        this.typingCount = 0; // Calls of sendTyping()
+    }
+
+    /**
+     * Sends a message as the bot and records it.
+     * @param {string | object} payload Content string or message options.
+     * @returns {Promise<FakeMessage>} The sent message.
+     */
+    async send(payload) {
+        const message = new FakeMessage(this.client, { author: this.client.user, channel: this });
+        message._apply(payload);
+        this.messages.push(message);
+        return message;
+    }
+
+    async sendTyping() {
+        this.typingCount++;
+    }
+
+    isTextBased() {
+        return true;
+    }
+
+    isDMBased() {
+        return this.type === ChannelType.DM;
+    }
+
+    isThread() {
+        return this.parentId !== null;
+    }
+
+    isSendable() {
+        return true;
+    }
+
+    toString() {
+        return `<#${this.id}>`;
+    }
+}
+
+/**
+ * A fake Guild with role, member and channel caches.
+ */
+class FakeGuild {
+    /**
+     * Creates a FakeGuild instance. Prefer `client.createGuild()`, which also caches the guild on the client.
+     * @param {FakeClient} client The fake client.
+     * @param {object} [data={}] Guild data.
+     * @param {string} [data.id] The guild ID (generated if omitted).
+     * @param {string} [data.name='Test Guild'] The guild name.
+     * @param {string} [data.ownerId] The owner's user ID.
+     * @param {string} [data.preferredLocale='en-US'] The guild locale.
+     * @param {import('discord.js').PermissionResolvable} [data.botPermissions=PermissionsBitField.All] Permissions of the bot's member (`members.me`).
+     */
+    constructor(client, data = {}) {
+        this.client = client;
+        this.id = data.id || generateId();
+        this.name = data.name || 'Test Guild';
+        this.ownerId = data.ownerId ?? null;
+        this.preferredLocale = data.preferredLocale || 'en-US';
+
+        const members = new Collection();
+        this.roles = { cache: new Collection() };
+        this.channels = { cache: new Collection() };
+        this.members = {
+            cache: members,
+            me: null,
+            fetch: async id => {
+                if (id === undefined) return members;
+                const member = members.get(typeof id === 'string' ? id : id?.user?.id ?? id?.id);
+                if (!member) throw new Error('Unknown Member');
+                return member;
+            },
+        };
+
+        this.systemChannel = this.createChannel({ name: 'general' });
+        this.members.me = this.createMember({ user: client.user, permissions: data.botPermissions ?? PermissionsBitField.All });
+    }
+
+    /**
+     * Creates a role in this guild.
+     * @param {object} [data={}] Role data (see FakeRole).
+     * @returns {FakeRole}
+     */
+    createRole(data = {}) {
+        const role = new FakeRole(this, data);
+        this.roles.cache.set(role.id, role);
+        return role;
+    }
+
+    /**
+     * Creates a text channel in this guild.
+     * @param {object} [data={}] Channel data (see FakeChannel).
+     * @returns {FakeChannel}
+     */
+    createChannel(data = {}) {
+        const channel = new FakeChannel(this.client, { ...data, guild: this });
+        this.channels.cache.set(channel.id, channel);
+        this.client.channels.cache.set(channel.id, channel);
+        return channel;
+    }
+
+    /**
+     * Creates a member of this guild. The result passes `instanceof GuildMember`, so PermissionUtils treats it like a real member.
+     * @param {object} [data={}] Member data.
+     * @param {FakeUser | object} [data.user] The user, or data to create one (see FakeUser).
+     * @param {import('discord.js').PermissionResolvable} [data.permissions=[]] Permissions of the member (on top of those of its roles).
+     * @param {(FakeRole | string)[]} [data.roles=[]] Roles, role IDs or role names. Unknown IDs and names are created.
+     * @param {string} [data.nickname] The nickname.
+     * @returns {GuildMember} The fake member.
+     */
+    createMember(data = {}) {
+        const user = data.user instanceof FakeUser ? data.user : this.client.createUser(data.user);
+        const roles = new Collection();
+        for (const resolvable of data.roles || []) {
+            const role = resolvable instanceof FakeRole
+                ? resolvable
+                : this.roles.cache.get(resolvable) || this.roles.cache.find(r => r.name === resolvable)
+                    || this.createRole(/^\d+$/.test(resolvable) ? { id: resolvable } : { name: resolvable });
+            roles.set(role.id, role);
+        }
+        const permissions = new PermissionsBitField(data.permissions || [])
+            .add(...roles.map(role => role.permissions))
+            .freeze();
+
+        const member = Object.create(GuildMember.prototype, {
+            client: { value: this.client },
+            guild: { value: this },
+            user: { value: user },
+            id: { value: user.id },
+            nickname: { value: data.nickname ?? null, writable: true },
+            displayName: { get: () => member.nickname ?? user.displayName },
+            roles: { value: { cache: roles, highest: [...roles.values()].sort((a, b) => b.position - a.position)[0] ?? null } },
+            permissions: { value: permissions },
+            joinedTimestamp: { value: this.client.clock.now() },
+        });
+        this.members.cache.set(user.id, member);
+        return member;
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+/**
+ * A fake Message that records replies, edits, reactions and deletion.
+ */
+class FakeMessage {
+    /**
+     * Creates a FakeMessage instance (e.g. a user's message to dispatch as a legacy command).
+     * @param {FakeClient} client The fake client.
+     * @param {object} [data={}] Message data.
+     * @param {string} [data.content=''] The message content.
+     * @param {GuildMember} [data.member] The author's member (sets `author`, `guild` and the default channel).
+     * @param {FakeUser} [data.author] The author (for DMs; defaults to a new user).
+     * @param {FakeChannel} [data.channel] The channel (defaults to the guild's system channel, or a new DM channel).
+     * @param {object[]} [data.embeds=[]] Embeds.
+     * @param {object[]} [data.components=[]] Components.
+     */
+    constructor(client, data = {}) {
+        this.client = client;
+        this.id = data.id || generateId();
+        this.member = data.member || null;
+        this.author = data.author || this.member?.user || client.createUser();
+        this.guild = data.guild || this.member?.guild || data.channel?.guild || null;
+        this.guildId = this.guild?.id ?? null;
+        this.channel = data.channel || this.guild?.systemChannel || new FakeChannel(client);
+        this.channelId = this.channel.id;
+        this.content = data.content ?? '';
+        this.embeds = data.embeds || [];
+        this.components = data.components || [];
+        this.createdTimestamp = client.clock.now();
+        this.editedTimestamp = null;
+        this.deleted = false;
+
+        this.replies = []; // FakeMessages sent in reply to this message
+        this.edits = []; // Normalized payloads passed to edit()
+        this.reactions = []; // Emojis passed to react()
+    }
+
+    get editable() {
+        return this.author.id === this.client.user.id;
+    }
+
+    /**
+     * Replies to the message and records the reply.
+     * @param {string | object} payload Content string or message options.
+     * @returns {Promise<FakeMessage>} The reply.
+     */
+    async reply(payload) {
+        const reply = await this.channel.send(payload);
+        reply.reference = { messageId: this.id };
+        this.replies.push(reply);
+        return reply;
+    }
+
+    /**
+     * Edits the message and records the edit.
+     * @param {string | object} payload Content string or message options.
+     * @returns {Promise<FakeMessage>} This message.
+     */
+    async edit(payload) {
+        this.edits.push(normalizePayload(payload, false));
+        this._apply(payload);
+        this.editedTimestamp = this.client.clock.now();
+        return this;
+    }
+
+    async delete() {
+        this.deleted = true;
+        return this;
+    }
+
+    async react(emoji) {
+        this.reactions.push(emoji);
+    }
+
+    /**
+     * Waits for a component interaction on this message, as discord.js does: dispatch a FakeButtonInteraction
+     * with `message` set to this message to answer it.
+     * @param {object} [options={}] Options.
+     * @param {(interaction: FakeInteraction) => boolean | Promise<boolean>} [options.filter] Which interactions are collected.
+     * @param {number} [options.time] Milliseconds (real time, not the TestClock) before the promise rejects.
+     * @returns {Promise<FakeInteraction>} The collected interaction.
+     */
+    awaitMessageComponent(options = {}) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const listener = async interaction => {
+                if (interaction.message?.id !== this.id) return;
+                if (options.filter && !(await options.filter(interaction))) return;
+                stop();
+                resolve(interaction);
+            };
+            const stop = () => {
+                clearTimeout(timer);
+                this.client.off('interactionCreate', listener);
+            };
+            this.client.on('interactionCreate', listener);
+            if (options.time) {
+                timer = setTimeout(() => {
+                    stop();
+                    reject(new Error('Collector received no interactions before ending with reason: time'));
+                }, options.time);
+            }
+        });
+    }
+
+    /**
+     * Creates a collector for the component interactions on this message, as discord.js does
+     * (used by createPagination and PaginateContent). Its `time` and `idle` run on the client's TestClock.
+     * @param {object} [options={}] Options (see FakeComponentCollector).
+     * @returns {FakeComponentCollector}
+     */
+    createMessageComponentCollector(options = {}) {
+        return new FakeComponentCollector(this, options);
+    }
+
+    /**
+     * Applies the fields of a payload to the message.
+     * @param {string | object} payload Content string or message options.
+     * @private
+     */
+    _apply(payload) {
+        const data = typeof payload === 'string' ? { content: payload } : payload;
+        if (data.content !== undefined) this.content = data.content ?? '';
+        if (data.embeds !== undefined) this.embeds = data.embeds;
+        if (data.components !== undefined) this.components = data.components;
+    }
+}
+
+/**
+ * A fake InteractionCollector for the component interactions on one message. Emits 'collect' (interaction),
+ * 'ignore' (interaction) and 'end' (collected, reason) like discord.js. `dispatch` waits for the 'collect' listeners.
+ */
+class FakeComponentCollector extends EventEmitter {
+    /**
+     * Creates a FakeComponentCollector instance. Prefer `message.createMessageComponentCollector()`.
+     * @param {FakeMessage} message The message whose component interactions are collected.
+     * @param {object} [options={}] Options.
+     * @param {(interaction: FakeInteraction) => boolean | Promise<boolean>} [options.filter] Which interactions are collected.
+     * @param {number} [options.time] Milliseconds (TestClock time) until the collector ends with reason 'time'.
+     * @param {number} [options.idle] Milliseconds (TestClock time) without collected interactions until it ends with reason 'idle'.
+     * @param {number} [options.max] Number of collected interactions after which it ends with reason 'limit'.
+     */
+    constructor(message, options = {}) {
+        super();
+        this.client = message.client;
+        this.message = message;
+        this.options = options;
+        this.filter = options.filter || (() => true);
+        this.collected = new Collection();
+        this.ended = false;
+        this.endReason = null;
+
+        this._timer = options.time ? this.client.clock.setTimeout(() => this.stop('time'), options.time) : null;
+        this._idleTimer = null;
+        this.resetTimer();
+
+        this._listener = this._handleInteraction.bind(this);
+        this.client.on('interactionCreate', this._listener);
+    }
+
+    /**
+     * Ends the collector.
+     * @param {string} [reason='user'] The end reason.
+     */
+    stop(reason = 'user') {
+        if (this.ended) return;
+        this.ended = true;
+        this.endReason = reason;
+        this.client.clock.clearTimeout(this._timer);
+        this.client.clock.clearTimeout(this._idleTimer);
+        this.client.off('interactionCreate', this._listener);
+        this.emit('end', this.collected, reason);
+    }
+
+    /**
+     * Restarts the idle timer.
+     */
+    resetTimer() {
+        if (!this.options.idle) return;
+        this.client.clock.clearTimeout(this._idleTimer);
+        this._idleTimer = this.client.clock.setTimeout(() => this.stop('idle'), this.options.idle);
+    }
+
+    /**
+     * Collects an interaction on the message if it passes the filter.
+     * @param {FakeInteraction} interaction The dispatched interaction.
+     * @private
+     */
+    async _handleInteraction(interaction) {
+        if (this.ended || !interaction.isMessageComponent?.() || interaction.message?.id !== this.message.id) return;
+        if (!(await this.filter(interaction, this.collected))) {
+            this.emit('ignore', interaction);
+            return;
+        }
+        this.collected.set(interaction.id, interaction);
+        this.resetTimer();
+        await Promise.all(this.rawListeners('collect').map(listener => listener.call(this, interaction)));
+        if (this.options.max && this.collected.size >= this.options.max) this.stop('limit');
+    }
+}
+
+/**
+ * Fake option resolver for chat input interactions, backed by a plain `{ name: value }` object.
+ */
+class FakeOptionResolver {
+    constructor({ values = {}, subcommand = null, subcommandGroup = null, focused = null }) {
+        this.values = values;
+        this.subcommand = subcommand;
+        this.subcommandGroup = subcommandGroup;
+        this.focused = focused;
+    }
+
+    get(name, required = false) {
+        if (this.values[name] === undefined) {
+            if (required) throw new Error(`Required option "${name}" not found.`);
+            return null;
+        }
+        return { name, value: this.values[name] };
+    }
+
+    getSubcommand(required = true) {
+        if (!this.subcommand && required) throw new Error('A subcommand was not selected.');
+        return this.subcommand;
+    }
+
+    getSubcommandGroup(required = false) {
+        if (!this.subcommandGroup && required) throw new Error('A subcommand group was not selected.');
+        return this.subcommandGroup;
+    }
+
+    getFocused(getFull = false) {
+        if (!this.focused) throw new Error('No focused option for autocomplete interaction.');
+        const option = { name: this.focused, value: this.values[this.focused] ?? '' };
+        return getFull ? option : option.value;
+    }
+}
+
+// Typed getters return the raw value; the fakes don't validate option types
+for (const method of ['getString', 'getInteger', 'getNumber', 'getBoolean', 'getUser', 'getMember', 'getRole', 'getChannel', 'getMentionable', 'getAttachment']) {
+    FakeOptionResolver.prototype[method] = function (name, required = false) {
+        return this.get(name, required)?.value ?? null;
+    };
+}
+
+/**
+ * Base class of the fake interactions. Records every response in `responses` (in order), and enforces the same
+ * reply/defer rules as discord.js (e.g. replying twice throws).
+ */
+class FakeInteraction {
+    /**
+     * @param {FakeClient} client The fake client.
+     * @param {object} data Interaction data.
+     * @param {GuildMember} [data.member] The invoking member (sets `user`, `guild` and the default channel).
+     * @param {FakeUser} [data.user] The invoking user (for DMs; defaults to a new user).
+     * @param {FakeChannel} [data.channel] The channel (defaults to the guild's system channel, or a new DM channel).
+     * @param {string} [data.locale='en-US'] The user's locale.
+     */
+    constructor(client, data = {}) {
+        this.client = client;
+        this.id = data.id || generateId();
+        this.applicationId = client.application.id;
+        this.member = data.member || null;
+        this.user = data.user || this.member?.user || client.createUser();
+        this.guild = data.guild || this.member?.guild || data.channel?.guild || null;
+        this.guildId = this.guild?.id ?? null;
+        this.channel = data.channel || this.guild?.systemChannel || new FakeChannel(client);
+        this.channelId = this.channel.id;
+        this.locale = data.locale || 'en-US';
+        this.guildLocale = this.guild?.preferredLocale ?? null;
+        this.createdTimestamp = client.clock.now();
+
+        this.replied = false;
+        this.deferred = false;
+        this.ephemeral = null;
+        this.responses = []; // { type, content, embeds, components, files, ephemeral, payload }, in call order
+        this._reply = null; // The FakeMessage holding the original reply
+    }
+
+    /** Responses sent with `reply`. */
+    get replies() {
+        return this._responsesOf('reply');
+    }
+
+    /** Responses sent with `editReply`. */
+    get edits() {
+        return this._responsesOf('editReply');
+    }
+
+    /** Responses sent with `followUp`. */
+    get followUps() {
+        return this._responsesOf('followUp');
+    }
+
+    /** Calls of `deferReply` and `deferUpdate`. */
+    get deferrals() {
+        return this._responsesOf('deferReply', 'deferUpdate');
+    }
+
+    /** The last recorded response, or null. */
+    get lastResponse() {
+        return this.responses[this.responses.length - 1] ?? null;
+    }
+
+    async reply(payload) {
+        this._assertNotReplied();
+        const response = this._record('reply', payload);
+        this.ephemeral = response.ephemeral;
+        this.replied = true;
+        this._reply = await this._createMessage(payload);
+        return this._reply;
+    }
+
+    async deferReply(options = {}) {
+        this._assertNotReplied();
+        const response = this._record('deferReply', options);
+        this.ephemeral = response.ephemeral;
+        this.deferred = true;
+        this._reply = await this._createMessage({});
+        return this._reply;
+    }
+
+    async editReply(payload) {
+        this._assertReplied();
+        this._record('editReply', payload, this.ephemeral);
+        this._reply._apply(payload);
+        this.replied = true;
+        return this._reply;
+    }
+
+    async followUp(payload) {
+        this._assertReplied();
+        this._record('followUp', payload);
+        return this._createMessage(payload);
+    }
+
+    async deleteReply() {
+        this._assertReplied();
+        this._record('deleteReply', {});
+        this._reply.deleted = true;
+    }
+
+    async fetchReply() {
+        this._assertReplied();
+        return this._reply;
+    }
+
+    async showModal(modal) {
+        this._assertNotReplied();
+        this._record('showModal', { modal: modal?.toJSON?.() ?? modal }, false);
+        this.replied = true;
+    }
+
+    inGuild() {
+        return this.guildId !== null;
+    }
+
+    inCachedGuild() {
+        return this.guild !== null;
+    }
+
+    isRepliable() {
+        return true;
+    }
+
+    isCommand() {
+        return this.type === InteractionType.ApplicationCommand;
+    }
+
+    isChatInputCommand() {
+        return this.isCommand() && this.commandType === ApplicationCommandType.ChatInput;
+    }
+
+    isContextMenuCommand() {
+        return this.isCommand() && this.commandType !== ApplicationCommandType.ChatInput;
+    }
+
+    isUserContextMenuCommand() {
+        return this.isCommand() && this.commandType === ApplicationCommandType.User;
+    }
+
+    isMessageContextMenuCommand() {
+        return this.isCommand() && this.commandType === ApplicationCommandType.Message;
+    }
+
+    isAutocomplete() {
+        return this.type === InteractionType.ApplicationCommandAutocomplete;
+    }
+
+    isMessageComponent() {
+        return this.type === InteractionType.MessageComponent;
+    }
+
+    isButton() {
+        return this.isMessageComponent() && this.componentType === ComponentType.Button;
+    }
+
+    isAnySelectMenu() {
+        return this.isMessageComponent() && this.componentType !== ComponentType.Button;
+    }
+
+    isModalSubmit() {
+        return this.type === InteractionType.ModalSubmit;
+    }
+
+    /**
+     * Records a response.
+     * @private
+     */
+    _record(type, payload, ephemeral) {
+        const response = { type, ...normalizePayload(payload, ephemeral) };
+        this.responses.push(response);
+        return response;
+    }
+
+    /**
+     * Gets the recorded responses of the given types.
+     * @private
+     */
+    _responsesOf(...types) {
+        return this.responses.filter(response => types.includes(response.type));
+    }
+
+    /**
+     * Creates the message a response would produce (not added to the channel's messages, like ephemeral replies).
+     * @private
+     */
+    async _createMessage(payload) {
+        const message = new FakeMessage(this.client, { author: this.client.user, channel: this.channel });
+        message._apply(payload);
+        message.interaction = this;
+        return message;
+    }
+
+    /** @private */
+    _assertNotReplied() {
+        if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+    }
+
+    /** @private */
+    _assertReplied() {
+        if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+    }
+}
+
+/**
+ * A fake slash command interaction.
+ */
+class FakeChatInputCommandInteraction extends FakeInteraction {
+    /**
+     * Creates a FakeChatInputCommandInteraction instance.
+     * @param {FakeClient} client The fake client.
+     * @param {object} data Interaction data (see FakeInteraction for the invoker and channel).
+     * @param {string} data.commandName The command name.
+     * @param {string} [data.subcommand] The selected subcommand.
+     * @param {string} [data.subcommandGroup] The selected subcommand group.
+     * @param {object} [data.options={}] Option values by name (users, roles and channels as fake objects).
+     */
+    constructor(client, data = {}) {
+        super(client, data);
+        if (!data.commandName) throw new Error('FakeChatInputCommandInteraction requires a commandName.');
+        this.type = InteractionType.ApplicationCommand;
+        this.commandType = ApplicationCommandType.ChatInput;
+        this.commandName = data.commandName;
+        this.commandId = data.commandId || generateId();
+        this.options = new FakeOptionResolver({
+            values: data.options,
+            subcommand: data.subcommand,
+            subcommandGroup: data.subcommandGroup,
+        });
+    }
+
+    toString() {
+        return `/${[this.commandName, this.options.subcommandGroup, this.options.subcommand].filter(Boolean).join(' ')}`;
+    }
+}
+
+/**
+ * A fake autocomplete interaction. The choices sent with `respond` are recorded in `choices`.
+ */
+class FakeAutocompleteInteraction extends FakeInteraction {
+    /**
+     * Creates a FakeAutocompleteInteraction instance.
+     * @param {FakeClient} client The fake client.
+     * @param {object} data Interaction data (see FakeChatInputCommandInteraction).
+     * @param {string} data.focused The name of the focused option (its value is taken from `options`).
+     */
+    constructor(client, data = {}) {
+        super(client, data);
+        if (!data.commandName) throw new Error('FakeAutocompleteInteraction requires a commandName.');
+        this.type = InteractionType.ApplicationCommandAutocomplete;
+        this.commandType = ApplicationCommandType.ChatInput;
+        this.commandName = data.commandName;
+        this.commandId = data.commandId || generateId();
+        this.options = new FakeOptionResolver({
+            values: data.options,
+            subcommand: data.subcommand,
+            subcommandGroup: data.subcommandGroup,
+            focused: data.focused,
+        });
+        this.responded = false;
+        this.choices = null;
+    }
+
+    async respond(choices) {
+        if (this.responded) throw new Error('This interaction has already been responded to.');
+        this._record('respond', { choices }, false);
+        this.responded = true;
+        this.choices = choices;
+    }
+}
+
+/**
+ * A fake button interaction. `update` and `deferUpdate` act on the message the button belongs to.
+ */
+class FakeButtonInteraction extends FakeInteraction {
+    /**
+     * Creates a FakeButtonInteraction instance.
+     * @param {FakeClient} client The fake client.
+     * @param {object} data Interaction data (see FakeInteraction for the invoker and channel).
+     * @param {string} data.customId The button's custom ID.
+     * @param {FakeMessage} [data.message] The message the button is attached to (defaults to a new bot message).
+     */
+    constructor(client, data = {}) {
+        super(client, data);
+        if (!data.customId) throw new Error('FakeButtonInteraction requires a customId.');
+        this.type = InteractionType.MessageComponent;
+        this.componentType = ComponentType.Button;
+        this.customId = data.customId;
+        this.message = data.message || new FakeMessage(client, { author: client.user, channel: this.channel });
+    }
+
+    /** Responses sent with `update`. */
+    get updates() {
+        return this._responsesOf('update');
+    }
+
+    async update(payload) {
+        this._assertNotReplied();
+        this._record('update', payload, false);
+        this.message._apply(payload);
+        this.replied = true;
+        this._reply = this.message;
+        return this.message;
+    }
+
+    async deferUpdate() {
+        this._assertNotReplied();
+        this._record('deferUpdate', {}, false);
+        this.deferred = true;
+        this._reply = this.message;
+        return this.message;
+    }
+}
+
+/**
+ * A fake Client. Dispatched events wait for all (async) listeners, so assertions can follow directly.
+ * The client is never ready, so CommandHandler doesn't try to register application commands.
+ */
+class FakeClient extends EventEmitter {
+    /**
+     * Creates a FakeClient instance.
+     * @param {object} [options={}] Options.
+     * @param {TestClock} [options.clock] Clock for the timestamps of created objects (defaults to a new TestClock).
+     * @param {object} [options.user] Data for the bot user (see FakeUser).
+     */
+    constructor(options = {}) {
+        super();
+        this.clock = options.clock || new TestClock();
+        this.users = {
+            cache: new Collection(),
+            fetch: async id => {
+                const user = this.users.cache.get(id);
+                if (!user) throw new Error('Unknown User');
+                return user;
+            },
+        };
+        this.guilds = { cache: new Collection() };
+        this.channels = {
+            cache: new Collection(),
+            fetch: async id => {
+                const channel = this.channels.cache.get(id);
+                if (!channel) throw new Error('Unknown Channel');
+                return channel;
+            },
+        };
+        this.user = this.createUser({ username: 'Test Bot', ...options.user, bot: true });
+        this.application = { id: this.user.id };
+        this.token = null;
+        this.ws = { ping: 0 };
+    }
+
+    isReady() {
+        return false;
+    }
+
+    /**
+     * Creates a user and caches it (so `users.fetch` and user arguments resolve it).
+     * @param {object} [data] User data (see FakeUser).
+     * @returns {FakeUser}
+     */
+    createUser(data) {
+        const user = new FakeUser(this, data);
+        this.users.cache.set(user.id, user);
+        return user;
+    }
+
+    /**
+     * Creates a guild and caches it.
+     * @param {object} [data] Guild data (see FakeGuild).
+     * @returns {FakeGuild}
+     */
+    createGuild(data) {
+        const guild = new FakeGuild(this, data);
+        this.guilds.cache.set(guild.id, guild);
+        return guild;
+    }
+
+    /**
+     * Dispatches an interaction ('interactionCreate') or message ('messageCreate') and waits for all listeners.
+     * @param {FakeInteraction | FakeMessage} target The interaction or message.
+     * @returns {Promise<FakeInteraction | FakeMessage>} The target, for chaining assertions.
+     */
+    async dispatch(target) {
+        await this.emitAsync(target instanceof FakeMessage ? 'messageCreate' : 'interactionCreate', target);
+        return target;
+    }
+
+    /**
+     * Emits an event and waits for all listeners, including async ones.
+     * A listener that throws or rejects fails the dispatch (as an unhandled error would in production).
+     * @param {string} event The event name.
+     * @param {...any} args The event arguments.
+     * @returns {Promise<void>}
+     */
+    async emitAsync(event, ...args) {
+        // rawListeners keeps `once` wrappers, so one-time listeners are removed as with emit()
+        await Promise.all(this.rawListeners(event).map(listener => listener.apply(this, args)));
+    }
+
+    destroy() {
+        this.removeAllListeners();
+    }
+}
+
+module.exports = {
+    TestClock,
+    FakeClient,
+    FakeUser,
+    FakeRole,
+    FakeChannel,
+    FakeGuild,
+    FakeMessage,
+    FakeComponentCollector,
+    FakeInteraction,
+    FakeChatInputCommandInteraction,
+    FakeAutocompleteInteraction,
+    FakeButtonInteraction,
+};
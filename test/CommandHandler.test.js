@@ -0,0 +1,289 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CommandHandler, Testing } = require('..');
+const gate = require('./fixtures/gate');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('CommandHandler', () => {
+    let clock, client, handler, guild;
+
+    beforeEach(async () => {
+        clock = new Testing.TestClock(1000);
+        client = new Testing.FakeClient({ clock });
+        handler = new CommandHandler(client, {
+            commandDir: path.join(__dirname, 'fixtures', 'commands'),
+            prefix: '!',
+            now: clock.now,
+            logger: silentLogger,
+            editTracking: true,
+        });
+        await handler.loaded;
+        guild = client.createGuild();
+    });
+
+    afterEach(() => handler.destroy());
+
+    const slash = (commandName, data = {}) => client.dispatch(new Testing.FakeChatInputCommandInteraction(client, { commandName, ...data }));
+    const prefixed = (content, member) => client.dispatch(new Testing.FakeMessage(client, { content, member }));
+
+    describe('registration', () => {
+        let puts;
+
+        beforeEach(() => {
+            puts = [];
+            handler._createRest = () => ({
+                put: async (route, { body }) => {
+                    puts.push(body);
+                    return body;
+                },
+            });
+        });
+
+        it('clears the registered commands when none are left', async () => {
+            handler.commands.clear();
+            await handler.registerSlashCommands();
+            assert.deepStrictEqual(puts, [[]]);
+        });
+
+        it('warns once per registration about guild commands without guilds', async () => {
+            const warnings = [];
+            handler.logger = { ...silentLogger, warn: message => warnings.push(message) };
+            handler.commands.set('ping', { ...handler.commands.get('ping'), scope: 'guild' });
+
+            handler.getRegistrationTargets(); // Also used by every sync and lookup
+            handler.getRegistrationTargets();
+            assert.strictEqual(warnings.length, 0);
+            await handler.registerSlashCommands();
+            assert.strictEqual(warnings.filter(warning => warning.includes('"ping" has scope \'guild\'')).length, 1);
+            assert.ok(!puts[0].some(command => command.name === 'ping'));
+        });
+    });
+
+    describe('permissions', () => {
+        it('blocks members without the required permissions', async () => {
+            const interaction = await slash('ban', { member: guild.createMember(), options: { reason: 'spam' } });
+            assert.strictEqual(interaction.responses.length, 1);
+            assert.match(interaction.replies[0].content, /You lack the required permissions: `BanMembers`/);
+            assert.strictEqual(interaction.replies[0].ephemeral, true);
+        });
+
+        it('runs the command for members with the permissions (also through roles)', async () => {
+            const moderator = guild.createRole({ name: 'Moderator', permissions: ['BanMembers'] });
+            const interaction = await slash('ban', { member: guild.createMember({ roles: [moderator] }), options: { reason: 'spam' } });
+            assert.deepStrictEqual(interaction.responses.map(response => response.type), ['deferReply', 'editReply']);
+            assert.strictEqual(interaction.edits[0].content, 'banned: spam');
+        });
+
+        it('blocks guild-only commands in DMs', async () => {
+            const interaction = await slash('ban', { options: { reason: 'spam' } });
+            assert.match(interaction.replies[0].content, /only be used inside a server/);
+        });
+    });
+
+    describe('autocomplete', () => {
+        const suggest = (member, value) => client.dispatch(new Testing.FakeAutocompleteInteraction(client, {
+            commandName: 'tag',
+            member,
+            options: { name: value },
+            focused: 'name',
+        }));
+
+        it('sends the choices the command returns', async () => {
+            const interaction = await suggest(guild.createMember(), 'r');
+            assert.deepStrictEqual(interaction.choices.map(choice => choice.value), ['rules', 'roles']);
+        });
+
+        it('sends no choices for commands the guild settings disable or deny', async () => {
+            const member = guild.createMember();
+            await handler.settings.setOverride(guild.id, 'tag', 'users', member.id, false);
+            assert.deepStrictEqual((await suggest(member, 'r')).choices, []);
+            assert.strictEqual((await suggest(guild.createMember(), 'r')).choices.length, 2);
+
+            await handler.settings.disableCommand(guild.id, 'tag');
+            assert.deepStrictEqual((await suggest(guild.createMember(), 'r')).choices, []);
+        });
+    });
+
+    describe('prefix commands', () => {
+        it('parses typed arguments and flags', async () => {
+            const member = guild.createMember();
+            assert.strictEqual((await prefixed('!repeat 2 hi there', member)).replies[0].content, 'hi there hi there');
+            assert.strictEqual((await prefixed('!r 1 shout --upper', member)).replies[0].content, 'SHOUT');
+        });
+
+        it('keeps the spacing and line breaks of rest arguments, without the flags inside them', async () => {
+            const member = guild.createMember();
+            assert.strictEqual((await prefixed('!repeat 1 first  line\n  second line', member)).replies[0].content, 'first  line\n  second line');
+            assert.strictEqual((await prefixed('!repeat 1 one --upper\ntwo', member)).replies[0].content, 'ONE\nTWO');
+        });
+
+        it('resolves user arguments in DMs', async () => {
+            const target = client.createUser({ username: 'target' });
+            const message = await client.dispatch(new Testing.FakeMessage(client, { content: `!whois <@${target.id}>` }));
+            assert.strictEqual(message.guild, null);
+            assert.strictEqual(message.replies[0].content, 'target');
+        });
+
+        it('replies with the usage when an argument is invalid', async () => {
+            const message = await prefixed('!repeat 9 hi', guild.createMember());
+            assert.match(message.replies[0].content, /Invalid value for `times`/);
+            assert.match(message.replies[0].content, /Usage: `!repeat <times> <text\.\.\.> \[--upper\]`/);
+        });
+
+        it('ignores messages without the prefix, unknown commands and bots', async () => {
+            const member = guild.createMember();
+            assert.strictEqual((await prefixed('repeat 1 hi', member)).replies.length, 0);
+            assert.strictEqual((await prefixed('!nope', member)).replies.length, 0);
+            const bot = guild.createMember({ user: { bot: true } });
+            assert.strictEqual((await prefixed('!repeat 1 hi', bot)).replies.length, 0);
+        });
+    });
+
+    describe('subcommand directories', () => {
+        it('dispatches subcommands and grouped subcommands', async () => {
+            const member = guild.createMember({ permissions: ['ManageGuild'] });
+            assert.strictEqual((await slash('config', { member, subcommand: 'show' })).replies[0].content, 'config: default');
+            const added = await slash('config', { member, subcommandGroup: 'roles', subcommand: 'add', options: { role: 'Member' } });
+            assert.strictEqual(added.replies[0].content, 'added Member');
+        });
+
+        it('applies the permissions of the parent command', async () => {
+            const interaction = await slash('config', { member: guild.createMember(), subcommand: 'show' });
+            assert.match(interaction.replies[0].content, /`ManageGuild`/);
+        });
+    });
+
+    describe('cooldowns', () => {
+        it('rejects calls within the cooldown and allows them once the clock passes it', async () => {
+            const member = guild.createMember();
+            assert.strictEqual((await slash('ping', { member })).replies[0].content, 'pong');
+
+            const early = await slash('ping', { member });
+            assert.match(early.replies[0].content, /wait 5\.0 more second/);
+            assert.strictEqual(early.replies[0].ephemeral, true);
+
+            clock.advance(5000);
+            assert.strictEqual((await slash('ping', { member })).replies[0].content, 'pong');
+        });
+
+        it('tracks cooldowns per user', async () => {
+            await slash('ping', { member: guild.createMember() });
+            assert.strictEqual((await slash('ping', { member: guild.createMember() })).replies[0].content, 'pong');
+        });
+    });
+
+    describe('edit tracking', () => {
+        it('edits its response when the command message is edited', async () => {
+            const message = await prefixed('!repeat 1 first', guild.createMember());
+            const response = message.replies[0];
+            const before = Object.assign(Object.create(Testing.FakeMessage.prototype), message);
+            message.content = '!repeat 1 second';
+            await client.emitAsync('messageUpdate', before, message);
+
+            assert.strictEqual(response.content, 'second');
+            assert.strictEqual(message.channel.messages.length, 1);
+            assert.ok(!Object.prototype.hasOwnProperty.call(message, 'reply'), 'the Message is not modified');
+        });
+
+        it('keeps handling edits after a failed run', async () => {
+            const message = await prefixed('!repeat 1 first', guild.createMember());
+            const runCommand = handler._runCommand;
+            handler._runCommand = async () => {
+                throw new Error('boom');
+            };
+            const edit = async content => {
+                const before = Object.assign(Object.create(Testing.FakeMessage.prototype), message);
+                message.content = content;
+                await client.emitAsync('messageUpdate', before, message);
+            };
+            await edit('!repeat 1 second');
+            handler._runCommand = runCommand;
+            await edit('!repeat 1 third');
+
+            assert.strictEqual(message.channel.messages.at(-1).content, 'third');
+        });
+    });
+
+    describe('confirmation prompts', () => {
+        const tick = () => new Promise(resolve => setImmediate(resolve));
+        const confirm = (source, prompt, member) => client.dispatch(new Testing.FakeButtonInteraction(client, {
+            customId: `djs-suite:confirm:${source.id}:yes`,
+            message: prompt,
+            member,
+        }));
+
+        it('replaces a prompt asked inside execute with the first reply and follows up after it', async () => {
+            const member = guild.createMember();
+            const interaction = new Testing.FakeChatInputCommandInteraction(client, { commandName: 'reset', member });
+            const running = client.dispatch(interaction);
+            await tick();
+            await confirm(interaction, interaction._reply, member);
+            await running;
+
+            assert.deepStrictEqual(interaction.responses.map(response => response.type), ['reply', 'editReply', 'followUp']);
+            assert.strictEqual(interaction.edits[0].content, 'reset');
+            assert.strictEqual(interaction.followUps[0].content, 'done');
+            assert.ok(!Object.prototype.hasOwnProperty.call(interaction, 'reply'), 'the interaction is not modified');
+        });
+
+        it('replaces the prompt of a tracked prefix command, also when it is re-run', async () => {
+            const member = guild.createMember();
+            const message = new Testing.FakeMessage(client, { content: '!purge', member });
+            const run = async () => {
+                await tick();
+                await confirm(message, message.channel.messages[0], member);
+            };
+            await Promise.all([client.dispatch(message), run()]);
+            assert.deepStrictEqual(message.channel.messages.map(response => response.content), ['purged', 'done']);
+
+            const before = Object.assign(Object.create(Testing.FakeMessage.prototype), message);
+            message.content = '!purge now';
+            await Promise.all([client.emitAsync('messageUpdate', before, message), run()]);
+            assert.deepStrictEqual(message.channel.messages.map(response => response.content), ['purged', 'done']);
+            assert.ok(!Object.prototype.hasOwnProperty.call(message, 'reply'), 'the Message is not modified');
+        });
+    });
+
+    describe('hybrid commands', () => {
+        it('runs hybrid commands through the prefix and as slash commands', async () => {
+            const member = guild.createMember();
+            assert.strictEqual((await prefixed('!echo hello world', member)).replies[0].content, 'hello world');
+            assert.strictEqual((await slash('echo', { member, options: { text: 'hi' } })).replies[0].content, 'hi');
+        });
+    });
+
+    describe('timeouts', () => {
+        it('keeps the concurrency slot of a timed-out command until it settles', async () => {
+            const member = guild.createMember();
+            const first = await prefixed('!slow', member);
+            assert.match(first.replies[0].content, /took too long/);
+
+            const second = await prefixed('!slow', member);
+            assert.match(second.replies[0].content, /already running the maximum number of times/);
+            assert.deepStrictEqual(handler.concurrency.getInFlight().map(execution => execution.timedOut), [true]);
+
+            gate.open();
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(first.replies[1].content, 'done');
+            assert.strictEqual(handler.concurrency.getInFlight().length, 0);
+        });
+
+        it('answers a queued interaction by editing its deferral', async () => {
+            const member = guild.createMember();
+            const tick = () => new Promise(resolve => setImmediate(resolve));
+            const running = slash('render', { member });
+            const queued = slash('render', { member });
+            await tick();
+            gate.open();
+            await running;
+            await tick();
+            gate.open();
+            const interaction = await queued;
+
+            assert.deepStrictEqual(interaction.responses.map(response => response.type), ['deferReply', 'editReply']);
+            assert.strictEqual(interaction.edits[0].content, 'rendered');
+        });
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { CommandValidator } = require('..');
+
+const validate = command => CommandValidator.validate({ execute() {}, ...command });
+
+describe('CommandValidator', () => {
+    it('reports invalid property types as errors', () => {
+        const { errors } = validate({ permissions: 'BanMembers', cooldown: 'soon' });
+        assert.strictEqual(errors.length, 2);
+        assert.match(errors[0], /'permissions' must be an array/);
+    });
+
+    it('suggests permission flag names', () => {
+        const { errors } = validate({ botPermissions: ['BAN_MEMBERS'] });
+        assert.match(errors[0], /did you mean "BanMembers"/);
+    });
+
+    it('warns about likely typos of known properties', () => {
+        assert.deepStrictEqual(validate({ cooldwon: 5 }).warnings, ["Unknown property 'cooldwon'. Did you mean 'cooldown'?"]);
+        assert.deepStrictEqual(validate({ permisions: [] }).warnings, ["Unknown property 'permisions'. Did you mean 'permissions'?"]);
+    });
+
+    it('only treats one edit as a typo for short keys', () => {
+        assert.deepStrictEqual(validate({ tags: [], rank: 1 }).warnings, []);
+        assert.strictEqual(validate({ rules: [] }).warnings.length, 1);
+    });
+
+    it('allows custom keys listed in ignoreUnknownKeys', () => {
+        assert.deepStrictEqual(validate({ rules: [], ignoreUnknownKeys: ['rules'] }).warnings, []);
+        assert.deepStrictEqual(validate({ rules: [], ignoreUnknownKeys: true }).warnings, []);
+        assert.strictEqual(validate({ ignoreUnknownKeys: 'rules' }).errors.length, 1);
+    });
+});
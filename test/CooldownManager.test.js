@@ -0,0 +1,46 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { CooldownManager, Testing } = require('..');
+
+describe('CooldownManager', () => {
+    let clock, cooldowns;
+    const context = { user: { id: '1' }, member: null, guild: null, channel: null };
+
+    beforeEach(() => {
+        clock = new Testing.TestClock(1000);
+        cooldowns = new CooldownManager({ now: clock.now });
+    });
+
+    afterEach(() => cooldowns.destroy());
+
+    const allowed = async (command, times) => {
+        const results = [];
+        for (let i = 0; i < times; i++) results.push((await cooldowns.consume(command, context)) === null);
+        return results;
+    };
+
+    it('keeps a separate history for each limit of the same scope', async () => {
+        const command = { name: 'limited', cooldown: [{ duration: 60, uses: 3 }, { duration: 5, uses: 2 }] };
+
+        assert.deepStrictEqual(await allowed(command, 3), [true, true, false]); // 2 per 5 seconds
+        clock.advance(5000);
+        assert.deepStrictEqual(await allowed(command, 2), [true, false]); // 3 per minute
+        clock.advance(50000);
+        assert.deepStrictEqual(await allowed(command, 1), [false]);
+        clock.advance(5000);
+        assert.deepStrictEqual(await allowed(command, 3), [true, true, false]);
+    });
+
+    it('lets only one of simultaneous uses through', async () => {
+        const command = { name: 'once', cooldown: 5 };
+        const results = await Promise.all(Array.from({ length: 5 }, () => cooldowns.consume(command, context)));
+        assert.strictEqual(results.filter(result => result === null).length, 1);
+    });
+
+    it('resets every limit of a command', async () => {
+        const command = { name: 'reset', cooldown: [{ duration: 60 }, { duration: 5 }] };
+        await cooldowns.consume(command, context);
+        await cooldowns.reset(command, context);
+        assert.strictEqual(await cooldowns.consume(command, context), null);
+    });
+});
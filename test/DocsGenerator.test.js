@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CommandHandler, DocsGenerator, Testing } = require('..');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('DocsGenerator', () => {
+    let handler, manifest;
+
+    before(async () => {
+        handler = new CommandHandler(new Testing.FakeClient(), {
+            commandDir: path.join(__dirname, 'fixtures', 'commands'),
+            prefix: '!',
+            logger: silentLogger,
+            helpCommand: true,
+        });
+        await handler.loaded;
+        manifest = handler.getManifest();
+    });
+
+    after(() => handler.destroy());
+
+    const command = name => manifest.commands.find(entry => entry.name === name);
+
+    it('describes arguments and flags of legacy commands', () => {
+        const repeat = command('repeat');
+        assert.deepStrictEqual(repeat.args.map(arg => [arg.name, arg.type, arg.required]), [['times', 'integer', true], ['text', 'rest', true]]);
+        assert.deepStrictEqual(repeat.flags, [{ name: 'upper', type: 'boolean', required: false, description: null }]);
+        assert.deepStrictEqual(repeat.usage, ['!repeat <times> <text...> [--upper]']);
+    });
+
+    it('describes the prefix arguments of hybrid commands', () => {
+        const echo = command('echo');
+        assert.strictEqual(echo.type, 'HYBRID');
+        assert.deepStrictEqual(echo.usage, ['/echo <text>', '!echo <text...>']);
+        assert.deepStrictEqual(echo.args.map(arg => [arg.name, arg.required]), [['text', true]]);
+    });
+
+    it('lists subcommands with the checks of their directory', () => {
+        assert.deepStrictEqual(command('config').subcommands.map(subcommand => subcommand.name), ['config roles add', 'config show']);
+        assert.deepStrictEqual(command('config').permissions, ['ManageGuild']);
+    });
+
+    it('renders flags as optional booleans', () => {
+        assert.match(DocsGenerator.toMarkdown(manifest), /\| --upper \| boolean \| No \|/);
+    });
+});
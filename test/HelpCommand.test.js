@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CommandHandler, InteractionManager, Testing } = require('..');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('help command', () => {
+    let clock, client, handler, member;
+
+    beforeEach(async () => {
+        clock = new Testing.TestClock();
+        client = new Testing.FakeClient({ clock });
+        handler = new CommandHandler(client, {
+            commandDir: path.join(__dirname, 'fixtures', 'commands'),
+            prefix: '!',
+            now: clock.now,
+            logger: silentLogger,
+            helpCommand: { commandsPerPage: 1, timeout: 30 },
+        });
+        await handler.loaded;
+        member = client.createGuild().createMember({ permissions: ['Administrator'] });
+    });
+
+    afterEach(() => handler.destroy());
+
+    const help = () => client.dispatch(new Testing.FakeChatInputCommandInteraction(client, { commandName: 'help', member }));
+    const press = (customId, message, by = member) => client.dispatch(new Testing.FakeButtonInteraction(client, { customId, message, member: by }));
+
+    it('paginates the overview and turns pages for the invoker only', async () => {
+        const interaction = await help();
+        const message = await interaction.fetchReply();
+        const [firstPage] = message.embeds;
+        assert.strictEqual(message.components.length, 1);
+
+        const stranger = await press('next', message, member.guild.createMember());
+        assert.strictEqual(stranger.responses.length, 0);
+        assert.strictEqual(message.embeds[0], firstPage);
+
+        const next = await press('next', message);
+        assert.strictEqual(next.updates.length, 1);
+        assert.notStrictEqual(message.embeds[0], firstPage);
+    });
+
+    it('removes the page buttons when the clock passes the timeout', async () => {
+        const message = await (await help()).fetchReply();
+        clock.advance(29000);
+        assert.strictEqual(message.edits.length, 0);
+        clock.advance(1000);
+        assert.deepStrictEqual(message.edits[0].components, []);
+    });
+
+    it('paginates prefix invocations', async () => {
+        const message = await client.dispatch(new Testing.FakeMessage(client, { content: '!help', member }));
+        assert.strictEqual(message.replies[0].components.length, 1);
+    });
+
+    it('ends active paginations when the handler is destroyed', async () => {
+        const message = await (await help()).fetchReply();
+        handler.destroy();
+        assert.deepStrictEqual(message.edits[0].components, []);
+        assert.strictEqual(clock.timers.length, 0);
+    });
+
+    it('keeps the paginations of the handler when others on the client are destroyed', async () => {
+        const message = await (await help()).fetchReply();
+        const other = new CommandHandler(client, { commandDir: path.join(__dirname, 'fixtures', 'commands'), logger: silentLogger });
+        await other.loaded;
+        other.destroy();
+        new InteractionManager(client, { logger: silentLogger }).destroy();
+
+        assert.strictEqual(message.edits.length, 0);
+        assert.strictEqual((await press('next', message)).updates.length, 1);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { InteractionManager, Testing } = require('..');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('InteractionManager', () => {
+    let client, manager, member;
+
+    beforeEach(() => {
+        client = new Testing.FakeClient();
+        manager = new InteractionManager(client, { logger: silentLogger });
+        member = client.createGuild().createMember();
+    });
+
+    afterEach(() => manager.destroy());
+
+    const press = (customId, data = {}) => client.dispatch(new Testing.FakeButtonInteraction(client, { customId, member, ...data }));
+
+    it('routes buttons by exact custom ID and prefix', async () => {
+        manager.registerButtonHandler('ok', interaction => interaction.update({ content: 'ok' }));
+        manager.registerButtonHandler('vote_*', interaction => interaction.reply(interaction.customId.slice(5)));
+
+        assert.strictEqual((await press('ok')).updates[0].content, 'ok');
+        assert.strictEqual((await press('vote_yes')).replies[0].content, 'yes');
+        assert.match((await press('unknown')).replies[0].content, /no longer valid/);
+    });
+
+    it('accepts I18n options for its fallback replies', async () => {
+        const localized = new InteractionManager(client, {
+            logger: silentLogger,
+            i18n: { locales: { 'en-US': { suite: { interactionExpired: 'Gone.' } } } },
+        });
+        manager.destroy(); // Only one manager may answer
+        assert.strictEqual((await press('unknown')).replies[0].content, 'Gone.');
+        localized.destroy();
+    });
+
+    it('keeps the state of a stateful handler and checks its filter', async () => {
+        const message = new Testing.FakeMessage(client, { author: client.user });
+        manager.registerStatefulHandler(message, {
+            state: { count: 0 },
+            filter: interaction => interaction.user.id === member.id,
+            handler: (interaction, entry) => interaction.update({ content: `Count: ${++entry.state.count}` }),
+        });
+
+        await press('inc', { message });
+        await press('inc', { message });
+        assert.strictEqual(message.content, 'Count: 2');
+
+        const other = await press('inc', { message, member: member.guild.createMember() });
+        assert.strictEqual(other.replies[0].content, "You can't use these components.");
+        assert.strictEqual(other.replies[0].ephemeral, true);
+    });
+
+    it('expires stateful handlers on destroy and rejects new ones', () => {
+        let reason = null;
+        manager.registerStatefulHandler('123', { handler() {}, idleTimeout: 60, onExpire: (entry, why) => { reason = why; } });
+        manager.destroy();
+
+        assert.strictEqual(reason, 'shutdown');
+        assert.strictEqual(manager.statefulHandlers.size, 0);
+        assert.throws(() => manager.registerStatefulHandler('456', () => {}), /was destroyed/);
+    });
+});
@@ -0,0 +1,27 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { PaginateContent, CreatePagination, Testing } = require('..');
+
+describe('paginateContent', () => {
+    const owner = {};
+    let client, member;
+
+    beforeEach(() => {
+        client = new Testing.FakeClient();
+        member = client.createGuild().createMember();
+    });
+
+    afterEach(() => CreatePagination.stopPaginations(owner));
+
+    const press = (customId, message, by = member) => client.dispatch(new Testing.FakeButtonInteraction(client, { customId, message, member: by }));
+
+    it('turns the pages of a message source for its author only', async () => {
+        const source = new Testing.FakeMessage(client, { content: '!list', member });
+        await PaginateContent.paginateContent(source, ['a', 'b', 'c'], { itemsPerPage: 1, owner });
+        const message = source.replies[0];
+
+        assert.strictEqual((await press('next', message, member.guild.createMember())).responses.length, 0);
+        assert.strictEqual((await press('next', message)).updates.length, 1);
+        assert.strictEqual(message.embeds[0].data.description, 'b');
+    });
+});
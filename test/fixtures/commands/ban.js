@@ -0,0 +1,14 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('ban')
+        .setDescription('Bans a member')
+        .addStringOption(option => option.setName('reason').setDescription('The reason')),
+    permissions: ['BanMembers'],
+    guildOnly: true,
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+        await interaction.editReply(`banned: ${interaction.options.getString('reason')}`);
+    },
+};
@@ -0,0 +1,6 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandBuilder().setName('config').setDescription('Server configuration'),
+    permissions: ['ManageGuild'],
+};
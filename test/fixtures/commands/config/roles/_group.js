@@ -0,0 +1,5 @@
+const { SlashCommandSubcommandGroupBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandSubcommandGroupBuilder().setName('roles').setDescription('Manage auto roles'),
+};
@@ -0,0 +1,11 @@
+const { SlashCommandSubcommandBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandSubcommandBuilder()
+        .setName('add')
+        .setDescription('Adds an auto role')
+        .addStringOption(option => option.setName('role').setDescription('The role name').setRequired(true)),
+    async execute(interaction) {
+        await interaction.reply(`added ${interaction.options.getString('role')}`);
+    },
+};
@@ -0,0 +1,8 @@
+const { SlashCommandSubcommandBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandSubcommandBuilder().setName('show').setDescription('Shows the configuration'),
+    async execute(interaction) {
+        await interaction.reply('config: default');
+    },
+};
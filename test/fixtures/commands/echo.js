@@ -0,0 +1,12 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('echo')
+        .setDescription('Repeats a text')
+        .addStringOption(option => option.setName('text').setDescription('The text').setRequired(true)),
+    hybrid: true,
+    async execute(ctx) {
+        await ctx.reply(ctx.options.getString('text', true));
+    },
+};
@@ -0,0 +1,9 @@
+// Asks for confirmation, then replies twice
+module.exports = {
+    name: 'purge',
+    confirm: true,
+    async execute(message) {
+        await message.reply('purged');
+        await message.reply('done');
+    },
+};
@@ -0,0 +1,12 @@
+const { SlashCommandBuilder } = require('discord.js');
+const gate = require('../gate');
+
+// One render at a time, further calls wait in the queue
+module.exports = {
+    data: new SlashCommandBuilder().setName('render').setDescription('Renders a report'),
+    maxConcurrency: { limit: 1, mode: 'queue' },
+    async execute(interaction) {
+        await gate.wait();
+        await interaction.reply('rendered');
+    },
+};
@@ -0,0 +1,13 @@
+module.exports = {
+    name: 'repeat',
+    aliases: ['r'],
+    args: [
+        { name: 'times', type: 'integer', min: 1, max: 5 },
+        { name: 'text', type: 'rest' },
+    ],
+    flags: [{ name: 'upper' }],
+    async execute(message, { times, text, upper }) {
+        const line = upper ? text.toUpperCase() : text;
+        await message.reply(Array(times).fill(line).join(' '));
+    },
+};
@@ -0,0 +1,11 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+// Asks for confirmation inside execute, then replies twice
+module.exports = {
+    data: new SlashCommandBuilder().setName('reset').setDescription('Resets the stats'),
+    async execute(interaction, context) {
+        if (!(await context.confirm('Reset the stats?'))) return;
+        await interaction.reply('reset');
+        await interaction.reply('done');
+    },
+};
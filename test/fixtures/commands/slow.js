@@ -0,0 +1,12 @@
+const gate = require('../gate');
+
+// Takes longer than its timeout, until the test opens the gate
+module.exports = {
+    name: 'slow',
+    timeout: 0.01,
+    maxConcurrency: 1,
+    async execute(message) {
+        await gate.wait();
+        await message.reply('done');
+    },
+};
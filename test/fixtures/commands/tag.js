@@ -0,0 +1,16 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+const tags = ['rules', 'roles', 'faq'];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tag')
+        .setDescription('Shows a tag')
+        .addStringOption(option => option.setName('name').setDescription('The tag').setRequired(true).setAutocomplete(true)),
+    autocomplete: (interaction, focused) => tags
+        .filter(tag => tag.startsWith(focused.value))
+        .map(tag => ({ name: tag, value: tag })),
+    async execute(interaction) {
+        await interaction.reply(`Tag: ${interaction.options.getString('name', true)}`);
+    },
+};
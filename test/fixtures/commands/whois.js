@@ -0,0 +1,9 @@
+// Works in DMs, where users can't be resolved through a guild
+module.exports = {
+    name: 'whois',
+    allowDM: true,
+    args: [{ name: 'target', type: 'user' }],
+    async execute(message, { target }) {
+        await message.reply(target.username);
+    },
+};
@@ -0,0 +1,7 @@
+// Lets tests decide when fixture commands waiting on it finish
+const waiting = [];
+
+module.exports = {
+    wait: () => new Promise(resolve => waiting.push(resolve)),
+    open: () => waiting.splice(0).forEach(resolve => resolve()),
+};